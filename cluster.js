@@ -0,0 +1,118 @@
+// ================================================================
+// VORTEX SOS SERVER - Cluster entry point
+// ================================================================
+// Runs server.js on several worker processes behind one port:
+// - the primary accepts connections and hands them to workers with
+//   sticky sessions (Socket.IO polling needs the same worker)
+// - workers broadcast to each other through the cluster adapter
+// - shared state is written by workers, persisted by the primary and
+//   relayed to the other workers (see lib/cluster.js)
+// - the first worker is the leader and runs once-per-deployment work;
+//   a crashed worker is replaced in the same role
+//
+// Usage: CLUSTER_WORKERS=4 node cluster.js
+// ================================================================
+
+const cluster = require('cluster');
+const http = require('http');
+const os = require('os');
+const { setupMaster } = require('@socket.io/sticky');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+const { createStorage } = require('./lib/storage');
+const { attachStateHub } = require('./lib/cluster');
+
+const PORT = process.env.PORT || 3000;
+const WORKERS = Number(process.env.CLUSTER_WORKERS) || os.availableParallelism();
+
+const startPrimary = () => {
+  // Workers refuse to start without it; fail once here instead of restarting them forever
+  if (!process.env.AUTH_SECRET && process.env.AUTH_DISABLED !== 'true') {
+    console.error('❌ AUTH_SECRET must be set (or AUTH_DISABLED=true for local development)');
+    process.exit(1);
+  }
+
+  const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || 'file',
+    filePath: process.env.STORAGE_FILE || './data/sos-server.json'
+  });
+  storage.load();
+
+  let leaderId = null;
+  let shuttingDown = false;
+
+  const fork = (leader) => {
+    const worker = cluster.fork({ CLUSTER_LEADER: String(leader) });
+    if (leader) leaderId = worker.id;
+    return worker;
+  };
+
+  attachStateHub({ cluster, storage, isLeader: worker => worker.id === leaderId });
+
+  // Adapter traffic between workers goes through the primary
+  setupPrimary();
+  cluster.setupPrimary({ serialization: 'advanced' });
+
+  const server = http.createServer();
+  setupMaster(server, { loadBalancingMethod: 'least-connection' });
+
+  server.listen(PORT, () => {
+    console.log('🧩================================================================🧩');
+    console.log('🧩 VORTEX SOS SERVER - CLUSTER PRIMARY');
+    console.log('🧩 Port:', PORT);
+    console.log('🧩 Workers:', WORKERS);
+    console.log('💾 Storage:', storage.backend, '-', storage.location);
+    console.log('🧩================================================================🧩');
+  });
+
+  for (let i = 0; i < WORKERS; i++) {
+    fork(i === 0);
+  }
+
+  // Replace crashed workers; a replacement loads the latest flushed state
+  cluster.on('exit', (worker, code, signal) => {
+    if (shuttingDown) return;
+
+    const wasLeader = worker.id === leaderId;
+    console.warn(`💥 Worker ${worker.id} (pid ${worker.process.pid}) exited (${signal || code})${wasLeader ? ' - was leader' : ''}, restarting`);
+    try {
+      storage.flush();
+    } catch (error) {
+      console.error('💾 Failed to flush state after a worker exit:', error.message);
+    }
+    fork(wasLeader);
+  });
+
+  // Stop the workers, then write the state they left behind
+  const shutdown = (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`🛑 ${signal} - stopping ${Object.keys(cluster.workers).length} workers`);
+
+    const finish = (code) => {
+      try {
+        if (storage.flush()) console.log('💾 State flushed to', storage.location);
+      } catch (error) {
+        console.error('💾 Failed to flush state during shutdown:', error.message);
+      }
+      process.exit(code);
+    };
+
+    Object.values(cluster.workers).forEach(worker => worker.process.kill('SIGTERM'));
+    cluster.on('exit', () => {
+      if (Object.keys(cluster.workers).length === 0) finish(0);
+    });
+    server.close();
+
+    // Force close after 7 seconds (workers force themselves after 5)
+    setTimeout(() => finish(1), 7000).unref();
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+};
+
+if (cluster.isWorker) {
+  require('./server');
+} else {
+  startPrimary();
+}
@@ -0,0 +1,139 @@
+// ================================================================
+// ADVISORIES - Geo-targeted messages from admins
+// ================================================================
+// An advisory targets a stored geofence (`geofenceId`) or an ad-hoc
+// `area` shaped like a geofence (circle or polygon). Until it expires it
+// is delivered to every user whose last known location is inside the
+// area, and to users who move into it later. Deliveries and
+// acknowledgements are recorded per user:
+//
+//   { id, message, severity, geofenceId | area, createdBy, createdAt,
+//     expiresAt, cancelledAt, deliveries: { user: at }, acknowledgements: { user: at } }
+// ================================================================
+
+const { ERROR_CODES, validateGeofence } = require('./validation');
+
+const ADVISORY_SEVERITIES = ['info', 'warning', 'severe', 'extreme'];
+
+const DEFAULT_EXPIRY_MINUTES = 60;
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+const MAX_MESSAGE_LENGTH = 2000;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Validate an ad-hoc area with the geofence shape rules
+const validateArea = (area, errors) => {
+  if (!isPlainObject(area)) {
+    errors.push({ field: 'area', code: ERROR_CODES.INVALID_TYPE, message: 'area must be a circle or polygon object' });
+    return null;
+  }
+
+  const result = validateGeofence({ ...area, name: 'advisory area' });
+  if (!result.valid) {
+    result.errors.forEach(error => errors.push({ ...error, field: `area.${error.field}` }));
+    return null;
+  }
+
+  const { shapeType, center, radius, points } = result.value;
+  return { shapeType, center, radius, points };
+};
+
+// Validate a new advisory; returns { valid, value | errors }
+const validateAdvisory = (input, now = Date.now()) => {
+  const errors = [];
+
+  if (!isPlainObject(input)) {
+    return { valid: false, errors: [{ field: 'advisory', code: ERROR_CODES.INVALID_TYPE, message: 'advisory must be an object' }] };
+  }
+
+  const value = {};
+
+  if (input.id !== undefined && input.id !== null) {
+    if ((typeof input.id !== 'string' && typeof input.id !== 'number') || String(input.id).trim() === '') {
+      errors.push({ field: 'id', code: ERROR_CODES.INVALID_TYPE, message: 'id must be a non-empty string' });
+    } else {
+      value.id = String(input.id);
+    }
+  }
+
+  if (typeof input.message !== 'string' || input.message.trim() === '') {
+    errors.push({ field: 'message', code: ERROR_CODES.REQUIRED, message: 'message is required' });
+  } else if (input.message.length > MAX_MESSAGE_LENGTH) {
+    errors.push({ field: 'message', code: ERROR_CODES.OUT_OF_RANGE, message: `message must be at most ${MAX_MESSAGE_LENGTH} characters` });
+  } else {
+    value.message = input.message.trim();
+  }
+
+  const severity = input.severity ?? 'warning';
+  if (!ADVISORY_SEVERITIES.includes(severity)) {
+    errors.push({ field: 'severity', code: ERROR_CODES.INVALID_VALUE, message: `severity must be one of: ${ADVISORY_SEVERITIES.join(', ')}` });
+  } else {
+    value.severity = severity;
+  }
+
+  // Exactly one target: a stored geofence or an ad-hoc area
+  const hasGeofence = input.geofenceId !== undefined && input.geofenceId !== null;
+  const hasArea = input.area !== undefined && input.area !== null;
+  if (hasGeofence === hasArea) {
+    errors.push({ field: 'geofenceId', code: ERROR_CODES.REQUIRED, message: 'either geofenceId or area is required' });
+  } else if (hasGeofence) {
+    value.geofenceId = String(input.geofenceId);
+  } else {
+    const area = validateArea(input.area, errors);
+    if (area) value.area = area;
+  }
+
+  // expiresAt (ISO timestamp) or expiresInMinutes; an hour by default
+  const latest = now + MAX_EXPIRY_MINUTES * 60 * 1000;
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    const expiresAt = Date.parse(input.expiresAt);
+    if (typeof input.expiresAt !== 'string' || !Number.isFinite(expiresAt)) {
+      errors.push({ field: 'expiresAt', code: ERROR_CODES.INVALID_FORMAT, message: 'expiresAt must be an ISO 8601 timestamp' });
+    } else if (expiresAt <= now || expiresAt > latest) {
+      errors.push({ field: 'expiresAt', code: ERROR_CODES.OUT_OF_RANGE, message: `expiresAt must be in the future and at most ${MAX_EXPIRY_MINUTES / 60 / 24} days ahead` });
+    } else {
+      value.expiresAt = new Date(expiresAt).toISOString();
+    }
+  } else {
+    const minutes = input.expiresInMinutes ?? DEFAULT_EXPIRY_MINUTES;
+    const number = Number(minutes);
+    if (typeof minutes === 'boolean' || !Number.isFinite(number) || number <= 0 || number > MAX_EXPIRY_MINUTES) {
+      errors.push({ field: 'expiresInMinutes', code: ERROR_CODES.OUT_OF_RANGE, message: `expiresInMinutes must be between 0 and ${MAX_EXPIRY_MINUTES}` });
+    } else {
+      value.expiresAt = new Date(now + number * 60 * 1000).toISOString();
+    }
+  }
+
+  return errors.length > 0 ? { valid: false, errors } : { valid: true, value };
+};
+
+// Still being delivered (not cancelled nor expired)
+const isAdvisoryActive = (advisory, now = Date.now()) =>
+  !advisory.cancelledAt && Date.parse(advisory.expiresAt) > now;
+
+// What dashboards see: the advisory with delivery counts instead of the maps
+const advisorySummary = ({ deliveries, acknowledgements, ...advisory }) => ({
+  ...advisory,
+  active: isAdvisoryActive(advisory),
+  delivered: Object.keys(deliveries).length,
+  acknowledged: Object.keys(acknowledgements).length
+});
+
+// What a recipient's devices receive
+const advisoryNotice = (advisory) => ({
+  id: advisory.id,
+  message: advisory.message,
+  severity: advisory.severity,
+  ...(advisory.geofenceId ? { geofenceId: advisory.geofenceId } : { area: advisory.area }),
+  createdAt: advisory.createdAt,
+  expiresAt: advisory.expiresAt
+});
+
+module.exports = {
+  ADVISORY_SEVERITIES,
+  validateAdvisory,
+  isAdvisoryActive,
+  advisorySummary,
+  advisoryNotice
+};
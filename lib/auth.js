@@ -0,0 +1,159 @@
+// ================================================================
+// AUTHENTICATION & ROLE-BASED AUTHORIZATION
+// ================================================================
+// Clients authenticate with a signed token (compact JWT, HS256):
+// - Socket.IO: io({ auth: { token } }) or ?token= in the handshake
+// - REST:      Authorization: Bearer <token>
+//
+// Token payload: { sub, role, name?, iat, exp }. Every token expires:
+// tokens without exp are rejected, and signToken() uses a day unless
+// told otherwise (at most MAX_TOKEN_TTL_SECONDS).
+// Roles:
+// - admin     manages geofences, users and everything a responder can do
+// - responder handles incidents (acknowledge, assign, resolve, ...)
+// - mobile    sends SOS / location reports for itself only
+// ================================================================
+
+const crypto = require('crypto');
+
+const ROLES = {
+  ADMIN: 'admin',
+  RESPONDER: 'responder',
+  MOBILE: 'mobile'
+};
+
+const DEFAULT_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+const MAX_TOKEN_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Is expiresIn a usable token lifetime (seconds)?
+const isValidTokenTtl = (expiresIn) =>
+  typeof expiresIn === 'number' && Number.isFinite(expiresIn) && expiresIn > 0 && expiresIn <= MAX_TOKEN_TTL_SECONDS;
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const hmac = (data, secret) =>
+  crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Create a signed token; expiresIn is in seconds
+const signToken = (payload, secret, { expiresIn = DEFAULT_TOKEN_TTL_SECONDS } = {}) => {
+  if (!payload?.sub || !Object.values(ROLES).includes(payload.role)) {
+    throw new Error('Token payload needs a sub and a known role');
+  }
+  if (!isValidTokenTtl(expiresIn)) {
+    throw new Error(`expiresIn must be between 1 and ${MAX_TOKEN_TTL_SECONDS} seconds`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    ...payload,
+    iat: now,
+    exp: now + Math.floor(expiresIn)
+  };
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(claims));
+  return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+};
+
+// Verify a token's signature and expiry; returns the payload or null
+const verifyToken = (token, secret) => {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${body}`, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    if (alg !== 'HS256') return null;
+
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!Number.isFinite(payload.exp) || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    if (!payload.sub || !Object.values(ROLES).includes(payload.role)) return null;
+
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Pull a bearer token out of an Authorization header value
+const extractBearerToken = (headerValue) => {
+  if (typeof headerValue !== 'string') return null;
+  const match = headerValue.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+// Does the principal hold one of the given roles? (admin holds them all)
+const hasRole = (principal, roles) =>
+  Boolean(principal) && (principal.role === ROLES.ADMIN || roles.includes(principal.role));
+
+// Build the auth helpers bound to a secret. With disabled: true every
+// request runs as an anonymous admin (local development only).
+const createAuth = ({ secret, disabled = false }) => {
+  const anonymous = { sub: 'anonymous', role: ROLES.ADMIN, anonymous: true };
+
+  const resolvePrincipal = (token) => (disabled ? anonymous : verifyToken(token, secret));
+
+  // Express: attach req.principal or reject with 401
+  const authenticate = (req, res, next) => {
+    const principal = resolvePrincipal(extractBearerToken(req.headers.authorization));
+    if (!principal) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    req.principal = principal;
+    next();
+  };
+
+  // Express: allow only the given roles (after authenticate)
+  const requireRole = (...roles) => (req, res, next) => {
+    if (!hasRole(req.principal, roles)) {
+      return res.status(403).json({
+        success: false,
+        error: `Forbidden - requires role: ${roles.join(' or ')}`
+      });
+    }
+    next();
+  };
+
+  // Socket.IO: reject handshakes without a valid token
+  const socketMiddleware = (socket, next) => {
+    const token = socket.handshake.auth?.token ||
+      socket.handshake.query?.token ||
+      extractBearerToken(socket.handshake.headers?.authorization);
+
+    const principal = resolvePrincipal(token);
+    if (!principal) {
+      return next(new Error('Authentication required'));
+    }
+    socket.data.principal = principal;
+    next();
+  };
+
+  return {
+    disabled,
+    signToken: (payload, options) => signToken(payload, secret, options),
+    verifyToken: (token) => verifyToken(token, secret),
+    authenticate,
+    requireRole,
+    socketMiddleware
+  };
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_TOKEN_TTL_SECONDS,
+  MAX_TOKEN_TTL_SECONDS,
+  isValidTokenTtl,
+  signToken,
+  verifyToken,
+  extractBearerToken,
+  hasRole,
+  createAuth
+};
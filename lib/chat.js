@@ -0,0 +1,76 @@
+// ================================================================
+// INCIDENT CHAT - Messages between operators, responders and the
+// person in distress
+// ================================================================
+// Every SOS alert has a chat: a list of messages plus, per participant,
+// the last message they have read. A message is free text or one of
+// the QUICK_REPLIES presets; the server adds 'system' messages when the
+// incident changes state. The chat closes with the incident.
+//
+//   { messages: [{ id, alertId, author, role, kind, text, preset, sentAt }],
+//     reads: { user: { messageId, at } }, closedAt }
+// ================================================================
+
+const crypto = require('crypto');
+const { ERROR_CODES } = require('./validation');
+
+// Canned replies offered to operators and users
+const QUICK_REPLIES = {
+  on_the_way: 'Help is on the way',
+  stay_put: 'Stay where you are if it is safe',
+  call_you: 'We are going to call you',
+  are_you_safe: 'Are you safe?',
+  i_am_safe: 'I am safe',
+  need_help: 'I still need help',
+  cannot_talk: 'I cannot talk right now'
+};
+
+const MESSAGE_KINDS = {
+  TEXT: 'text',
+  QUICK_REPLY: 'quick_reply',
+  SYSTEM: 'system'
+};
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Validate a message sent by a participant - { text } or { preset };
+// returns { valid, value | errors }
+const validateMessage = (input) => {
+  if (input?.preset !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(QUICK_REPLIES, input.preset)) {
+      return {
+        valid: false,
+        errors: [{ field: 'preset', code: ERROR_CODES.INVALID_VALUE, message: `preset must be one of: ${Object.keys(QUICK_REPLIES).join(', ')}` }]
+      };
+    }
+    return { valid: true, value: { kind: MESSAGE_KINDS.QUICK_REPLY, preset: input.preset, text: QUICK_REPLIES[input.preset] } };
+  }
+
+  const text = typeof input?.text === 'string' ? input.text.trim() : '';
+  if (text === '') {
+    return { valid: false, errors: [{ field: 'text', code: ERROR_CODES.REQUIRED, message: 'text or preset is required' }] };
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { valid: false, errors: [{ field: 'text', code: ERROR_CODES.OUT_OF_RANGE, message: `text must be at most ${MAX_MESSAGE_LENGTH} characters` }] };
+  }
+  return { valid: true, value: { kind: MESSAGE_KINDS.TEXT, text } };
+};
+
+// Build a stored message
+const createMessage = (alertId, { author, role, kind, text, preset }) => ({
+  id: crypto.randomUUID(),
+  alertId: String(alertId),
+  author,
+  role,
+  kind,
+  text,
+  ...(preset ? { preset } : {}),
+  sentAt: new Date().toISOString()
+});
+
+module.exports = {
+  QUICK_REPLIES,
+  MESSAGE_KINDS,
+  validateMessage,
+  createMessage
+};
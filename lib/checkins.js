@@ -0,0 +1,108 @@
+// ================================================================
+// CHECK-INS - Device heartbeats and lone-worker monitoring
+// ================================================================
+// Mobile clients send periodic heartbeats with battery, signal and
+// their last location. A user who opts into lone-worker mode must
+// check in every `intervalSeconds`; once a heartbeat is more than
+// `graceSeconds` late the server raises missedCheckIn, and losing the
+// last connection inside a high-priority geofence raises deviceOffline.
+// With `autoSos` either one also opens an SOS for the user.
+// ================================================================
+
+const { getLat, getLng, isValidPoint } = require('./geo');
+const { ERROR_CODES } = require('./validation');
+
+const CHECK_IN_STATUS = {
+  OK: 'ok',
+  MISSED: 'missed',
+  OFFLINE: 'offline'
+};
+
+const DEFAULT_CHECK_IN_SETTINGS = {
+  loneWorker: false,
+  intervalSeconds: 300,
+  graceSeconds: 60,
+  autoSos: false
+};
+
+const MIN_INTERVAL_SECONDS = 10;
+const MAX_INTERVAL_SECONDS = 24 * 60 * 60;
+
+const optionalNumber = (value, min, max) => {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number)) return null;
+  return Math.min(max, Math.max(min, number));
+};
+
+// Validate a settings change merged over the current settings;
+// returns { valid, value | errors }
+const validateCheckInSettings = (input, current = DEFAULT_CHECK_IN_SETTINGS) => {
+  const errors = [];
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: [{ field: 'settings', code: ERROR_CODES.INVALID_TYPE, message: 'settings must be an object' }] };
+  }
+
+  const value = { ...DEFAULT_CHECK_IN_SETTINGS, ...current };
+
+  ['loneWorker', 'autoSos'].forEach(field => {
+    if (input[field] === undefined) return;
+    if (typeof input[field] !== 'boolean') {
+      errors.push({ field, code: ERROR_CODES.INVALID_TYPE, message: `${field} must be a boolean` });
+    } else {
+      value[field] = input[field];
+    }
+  });
+
+  const checkSeconds = (field, min) => {
+    if (input[field] === undefined) return;
+    const seconds = Number(input[field]);
+    if (typeof input[field] === 'boolean' || !Number.isFinite(seconds) || seconds < min || seconds > MAX_INTERVAL_SECONDS) {
+      errors.push({ field, code: ERROR_CODES.OUT_OF_RANGE, message: `${field} must be between ${min} and ${MAX_INTERVAL_SECONDS} seconds` });
+    } else {
+      value[field] = seconds;
+    }
+  };
+  checkSeconds('intervalSeconds', MIN_INTERVAL_SECONDS);
+  checkSeconds('graceSeconds', 0);
+
+  return errors.length > 0
+    ? { valid: false, errors }
+    : {
+      valid: true,
+      value: {
+        loneWorker: value.loneWorker,
+        intervalSeconds: value.intervalSeconds,
+        graceSeconds: value.graceSeconds,
+        autoSos: value.autoSos
+      }
+    };
+};
+
+// Normalize a heartbeat; the location is optional
+const createHeartbeat = (data = {}) => ({
+  battery: optionalNumber(data.battery, 0, 100),
+  charging: typeof data.charging === 'boolean' ? data.charging : null,
+  signal: optionalNumber(data.signal, -Infinity, Infinity),
+  network: typeof data.network === 'string' ? data.network : null,
+  ...(isValidPoint(data)
+    ? { lat: getLat(data), lng: getLng(data), accuracy: optionalNumber(data.accuracy, 0, Infinity) }
+    : {}),
+  timestamp: data.timestamp || new Date().toISOString(),
+  receivedAt: new Date().toISOString()
+});
+
+// When the next check-in is due for a monitored user (epoch millis),
+// counting from their last heartbeat or from when monitoring started
+const checkInDeadline = (settings, heartbeat) => {
+  const lastCheckIn = Math.max(Date.parse(heartbeat?.receivedAt) || 0, Date.parse(settings.monitoringSince) || 0);
+  return lastCheckIn + (settings.intervalSeconds + settings.graceSeconds) * 1000;
+};
+
+module.exports = {
+  CHECK_IN_STATUS,
+  DEFAULT_CHECK_IN_SETTINGS,
+  validateCheckInSettings,
+  createHeartbeat,
+  checkInDeadline
+};
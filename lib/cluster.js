@@ -0,0 +1,169 @@
+// ================================================================
+// CLUSTER STATE - Shared state across server nodes
+// ================================================================
+// Each node keeps its working set in memory. When several nodes run
+// behind a load balancer (node cluster.js), every change to a shared
+// collection is published to the other nodes, which apply it to their
+// copy and notify subscribers so module-level state can follow.
+//
+// Transports carry { type: 'sos:state', from, collection, op, key, value }:
+// - local   in-process bus (single node, tests); nodes created on the
+//           same bus see each other's writes
+// - process node cluster IPC; the primary persists and relays
+//
+// Changes travel one record at a time (op 'upsert' / 'delete' with the
+// record's key, 'append' for one item of a trail), so nodes writing
+// different records of a collection at the same time keep each other's
+// writes. Whole-collection writes (op 'set') replace it everywhere.
+// ================================================================
+
+const { EventEmitter } = require('events');
+
+const STATE_MESSAGE = 'sos:state';
+
+// Collections every node must see; anything else stays node-local
+const SHARED_COLLECTIONS = [
+  'geofences',
+  'geofenceSync',
+  'geofenceStates',
+  'geofenceRuleStates',
+  'geofenceHistory',
+  'sosAlerts',
+  'incidentChats',
+  'advisories',
+  'violations',
+  'clients',
+  'blocklist',
+  'groups',
+  'responders',
+  'trackingSessions',
+  'breadcrumbs',
+  'checkInSettings',
+  'heartbeats',
+  'webhooks',
+  'webhookDeadLetters',
+  'webhookDeliveries'
+];
+
+const defaultBus = new EventEmitter();
+defaultBus.setMaxListeners(0);
+
+// In-process stand-in for the cluster IPC channel
+const createLocalTransport = (bus = defaultBus) => ({
+  publish: (message) => bus.emit(STATE_MESSAGE, message),
+  subscribe: (handler) => bus.on(STATE_MESSAGE, handler)
+});
+
+// Worker side of the node cluster IPC channel
+const createProcessTransport = () => ({
+  publish: (message) => {
+    if (process.connected) process.send(message);
+  },
+  subscribe: (handler) => process.on('message', message => {
+    if (message?.type === STATE_MESSAGE) handler(message);
+  })
+});
+
+// Apply a state message to a storage instance
+const applyMessage = (storage, message) => {
+  if (message.op === 'upsert') {
+    storage.setEntry(message.collection, message.key, message.value, message.options);
+  } else if (message.op === 'delete') {
+    storage.deleteEntry(message.collection, message.key, message.options);
+  } else if (message.op === 'append') {
+    storage.appendEntry(message.collection, message.key, message.value, message.options);
+  } else {
+    storage.set(message.collection, message.value);
+  }
+};
+
+// Wrap a storage instance so writes reach the other nodes; exposes the
+// storage API plus subscribe(collection, listener) for remote changes.
+// Listeners get (value, change): the collection, and { key, value } with
+// the changed record as it is now (undefined once deleted), or null when
+// the whole collection was replaced.
+const createSharedStore = ({ storage, transport, nodeId, shared = SHARED_COLLECTIONS }) => {
+  const listeners = new Map(); // collection -> [listener]
+
+  transport.subscribe(message => {
+    if (message.type !== STATE_MESSAGE || message.from === nodeId) return;
+    if (!shared.includes(message.collection)) return;
+
+    applyMessage(storage, message);
+    const value = storage.get(message.collection);
+    const record = Array.isArray(value)
+      ? value.find(entry => String(entry?.id) === message.key)
+      : value?.[message.key];
+    const change = message.op === 'set' || message.op === undefined ? null : { key: message.key, value: record };
+    (listeners.get(message.collection) || []).forEach(listener => listener(value, change));
+  });
+
+  const publish = (message) => transport.publish({
+    type: STATE_MESSAGE,
+    from: nodeId,
+    shared: shared.includes(message.collection),
+    ...message
+  });
+
+  const set = (collection, value) => {
+    storage.set(collection, value);
+    publish({ collection, op: 'set', value });
+  };
+
+  // Insert or replace one record; only the record is sent to the other nodes
+  const setEntry = (collection, key, value, options = {}) => {
+    storage.setEntry(collection, key, value, options);
+    publish({ collection, op: 'upsert', key: String(key), value, options });
+  };
+
+  const deleteEntry = (collection, key, options = {}) => {
+    storage.deleteEntry(collection, key, options);
+    publish({ collection, op: 'delete', key: String(key), options });
+  };
+
+  // Append one item to the list under a key; only the item is sent
+  const appendEntry = (collection, key, item, options = {}) => {
+    storage.appendEntry(collection, key, item, options);
+    publish({ collection, op: 'append', key: String(key), value: item, options });
+  };
+
+  const subscribe = (collection, listener) => {
+    listeners.set(collection, [...(listeners.get(collection) || []), listener]);
+  };
+
+  return {
+    ...storage,
+    nodeId,
+    set,
+    setEntry,
+    deleteEntry,
+    appendEntry,
+    subscribe
+  };
+};
+
+// Primary side: persist what workers write and relay shared collections
+// to every other worker. Only the leader's node-local collections
+// (e.g. the webhook retry queue) are persisted.
+const attachStateHub = ({ cluster, storage, isLeader }) => {
+  cluster.on('message', (worker, message) => {
+    if (message?.type !== STATE_MESSAGE) return;
+
+    if (message.shared || isLeader(worker)) {
+      applyMessage(storage, message);
+    }
+    if (!message.shared) return;
+
+    Object.values(cluster.workers).forEach(other => {
+      if (other && other !== worker && other.isConnected()) other.send(message);
+    });
+  });
+};
+
+module.exports = {
+  SHARED_COLLECTIONS,
+  createLocalTransport,
+  createProcessTransport,
+  createSharedStore,
+  attachStateHub
+};
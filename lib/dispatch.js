@@ -0,0 +1,44 @@
+// ================================================================
+// RESPONDER DISPATCH
+// ================================================================
+// Responders report their position and availability. For each SOS
+// the available responders are ranked by straight-line distance and
+// an ETA at an assumed travel speed; the incident is offered to the
+// closest one first and falls through the list on decline/timeout.
+// Responders whose devices are all disconnected (connected: false) are
+// skipped whatever their availability.
+// ================================================================
+
+const { haversineDistance, isValidPoint } = require('./geo');
+
+const AVAILABILITY = {
+  AVAILABLE: 'available',
+  BUSY: 'busy',
+  OFF_DUTY: 'off-duty'
+};
+
+const AVAILABILITY_VALUES = Object.values(AVAILABILITY);
+
+// Available responders with a known position, closest first
+const rankResponders = (responders, location, { speedMetersPerSecond, exclude = [] }) => {
+  if (!isValidPoint(location)) return [];
+
+  return responders
+    .filter(r => r.availability === AVAILABILITY.AVAILABLE && r.connected !== false && isValidPoint(r) && !exclude.includes(r.user))
+    .map(r => {
+      const distanceMeters = Math.round(haversineDistance(location, r));
+      return {
+        user: r.user,
+        name: r.name,
+        distanceMeters,
+        etaSeconds: Math.round(distanceMeters / speedMetersPerSecond)
+      };
+    })
+    .sort((a, b) => a.distanceMeters - b.distanceMeters);
+};
+
+module.exports = {
+  AVAILABILITY,
+  AVAILABILITY_VALUES,
+  rankResponders
+};
@@ -0,0 +1,93 @@
+// ================================================================
+// SOS ESCALATION POLICIES
+// ================================================================
+// An SOS alert that stays "open" (nobody acknowledged it) walks
+// through the steps of its escalation policy. Each step fires
+// `afterSeconds` after the alert was received and may:
+// - rebroadcast the alert to every dashboard
+// - raise the alert severity
+// - notify additional responder groups (Socket.IO rooms)
+//
+// Policies are chosen by geofence type first, then by priority.
+// Override the defaults with a JSON file (ESCALATION_POLICIES_FILE)
+// shaped like DEFAULT_ESCALATION_POLICIES.
+// ================================================================
+
+const fs = require('fs');
+
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const DEFAULT_ESCALATION_POLICIES = {
+  byGeofenceType: {
+    DANGER_ZONE: [
+      { afterSeconds: 15, rebroadcast: true, severity: 'critical', notify: ['supervisors'] },
+      { afterSeconds: 60, rebroadcast: true, notify: ['all-responders'] }
+    ]
+  },
+  byPriority: {
+    critical: [
+      { afterSeconds: 30, rebroadcast: true, severity: 'critical', notify: ['supervisors'] },
+      { afterSeconds: 120, rebroadcast: true, notify: ['all-responders'] }
+    ],
+    high: [
+      { afterSeconds: 60, rebroadcast: true },
+      { afterSeconds: 180, rebroadcast: true, severity: 'critical', notify: ['supervisors'] }
+    ],
+    medium: [
+      { afterSeconds: 120, rebroadcast: true },
+      { afterSeconds: 300, rebroadcast: true, severity: 'high', notify: ['supervisors'] }
+    ],
+    low: [
+      { afterSeconds: 300, rebroadcast: true }
+    ]
+  }
+};
+
+// Load policies from a JSON file, falling back to the defaults
+const loadEscalationPolicies = (filePath) => {
+  if (!filePath) return DEFAULT_ESCALATION_POLICIES;
+
+  const policies = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    byGeofenceType: policies.byGeofenceType || {},
+    byPriority: policies.byPriority || {}
+  };
+};
+
+// Pick the steps that apply to an alert (sorted by delay)
+const resolveEscalationSteps = (alert, policies) => {
+  const steps = (alert.geofenceType && policies.byGeofenceType?.[alert.geofenceType]) ||
+    policies.byPriority?.[alert.priority] ||
+    [];
+
+  return [...steps].sort((a, b) => a.afterSeconds - b.afterSeconds);
+};
+
+// Next step an alert has not reached yet, with the time it becomes due
+const getNextEscalationStep = (alert, policies) => {
+  const steps = resolveEscalationSteps(alert, policies);
+  const level = alert.escalationLevel || 0;
+  if (level >= steps.length) return null;
+
+  const startedAt = new Date(alert.receivedAt || alert.timestamp).getTime();
+  return {
+    level: level + 1,
+    step: steps[level],
+    dueAt: startedAt + steps[level].afterSeconds * 1000
+  };
+};
+
+// Return whichever severity is more severe
+const maxSeverity = (current, next) => {
+  if (!next) return current;
+  return SEVERITY_LEVELS.indexOf(next) > SEVERITY_LEVELS.indexOf(current) ? next : current;
+};
+
+module.exports = {
+  SEVERITY_LEVELS,
+  DEFAULT_ESCALATION_POLICIES,
+  loadEscalationPolicies,
+  resolveEscalationSteps,
+  getNextEscalationStep,
+  maxSeverity
+};
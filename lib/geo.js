@@ -0,0 +1,139 @@
+// ================================================================
+// GEO UTILITIES
+// ================================================================
+// Pure helpers used by the server to evaluate geofences:
+// - Coordinate normalisation ({lat, lng} / {lat, lon} / [lat, lng])
+// - Haversine distance for circular geofences
+// - Ray-casting point-in-polygon for polygon geofences
+// - Distance to a geofence's edge (loitering near a perimeter)
+// ================================================================
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// A coordinate sent as a number or numeric string; anything else
+// (null, '', true, objects) is NaN instead of whatever Number() makes of it
+const toCoordinate = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+// Read latitude from any of the point shapes clients send us
+const getLat = (point) => {
+  if (!point) return undefined;
+  if (Array.isArray(point)) return toCoordinate(point[0]);
+  return toCoordinate(point.lat ?? point.latitude);
+};
+
+// Read longitude from any of the point shapes clients send us
+const getLng = (point) => {
+  if (!point) return undefined;
+  if (Array.isArray(point)) return toCoordinate(point[1]);
+  return toCoordinate(point.lng ?? point.lon ?? point.longitude);
+};
+
+// Check that a point has finite lat/lng values
+const isValidPoint = (point) => {
+  const lat = getLat(point);
+  const lng = getLng(point);
+  return Number.isFinite(lat) && Number.isFinite(lng);
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points in meters
+const haversineDistance = (a, b) => {
+  const lat1 = toRadians(getLat(a));
+  const lat2 = toRadians(getLat(b));
+  const deltaLat = lat2 - lat1;
+  const deltaLng = toRadians(getLng(b) - getLng(a));
+
+  const h = Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Ray-casting test; polygon is an array of points (closing point optional)
+const isPointInPolygon = (point, polygon) => {
+  if (!Array.isArray(polygon) || polygon.length < 3) return false;
+
+  const x = getLng(point);
+  const y = getLat(point);
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = getLng(polygon[i]);
+    const yi = getLat(polygon[i]);
+    const xj = getLng(polygon[j]);
+    const yj = getLat(polygon[j]);
+
+    const intersects = ((yi > y) !== (yj > y)) &&
+      (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+};
+
+// Is the geofence a circle (center + radius in meters)?
+const isCircleGeofence = (geofence) =>
+  Boolean(geofence.center && isValidPoint(geofence.center) && Number(geofence.radius) > 0);
+
+// Containment test for a stored geofence, whatever its shape
+const isPointInGeofence = (point, geofence) => {
+  if (!geofence || !isValidPoint(point)) return false;
+
+  if (geofence.shapeType === 'circle' || (!geofence.points?.length && geofence.center)) {
+    if (!isCircleGeofence(geofence)) return false;
+    return haversineDistance(point, geofence.center) <= Number(geofence.radius);
+  }
+
+  return isPointInPolygon(point, geofence.points);
+};
+
+// Meters from a point to segment a-b (flat projection around the point,
+// fine at geofence scale)
+const distanceToSegment = (point, a, b) => {
+  const cosLat = Math.cos(toRadians(getLat(point)));
+  const project = (p) => ({
+    x: toRadians(getLng(p) - getLng(point)) * cosLat * EARTH_RADIUS_METERS,
+    y: toRadians(getLat(p) - getLat(point)) * EARTH_RADIUS_METERS
+  });
+
+  const start = project(a);
+  const end = project(b);
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(start.x * dx + start.y * dy) / lengthSquared));
+
+  return Math.hypot(start.x + t * dx, start.y + t * dy);
+};
+
+// Meters from a point to the nearest edge of a geofence (inside or out)
+const distanceToGeofenceEdge = (point, geofence) => {
+  if (!geofence || !isValidPoint(point)) return Infinity;
+
+  if (geofence.shapeType === 'circle' || (!geofence.points?.length && geofence.center)) {
+    if (!isCircleGeofence(geofence)) return Infinity;
+    return Math.abs(haversineDistance(point, geofence.center) - Number(geofence.radius));
+  }
+
+  const polygon = geofence.points || [];
+  if (polygon.length < 2) return Infinity;
+  return Math.min(...polygon.map((vertex, index) =>
+    distanceToSegment(point, vertex, polygon[(index + 1) % polygon.length])));
+};
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  getLat,
+  getLng,
+  isValidPoint,
+  haversineDistance,
+  isPointInPolygon,
+  isCircleGeofence,
+  isPointInGeofence,
+  distanceToGeofenceEdge
+};
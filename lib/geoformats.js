@@ -0,0 +1,312 @@
+// ================================================================
+// GEOJSON & KML CONVERSION
+// ================================================================
+// Converts between the server's geofence objects and GIS formats:
+//
+//   geofence (polygon)  <->  Polygon / MultiPolygon (split into parts)
+//   geofence (circle)   <->  Point + radius property (meters)
+//
+// name, type, priority, active, description, the alert flags,
+// schedule, rules and groups are carried as GeoJSON properties / KML
+// ExtendedData (schedule, rules and groups as JSON text in KML), so an
+// export imports back unchanged. Polygons with holes are rejected on
+// import, as are features whose coordinates are malformed.
+// ================================================================
+
+const { ERROR_CODES } = require('./validation');
+
+const FORMATS = ['geojson', 'kml'];
+
+const CARRIED_PROPERTIES = [
+  'id', 'name', 'description', 'type', 'priority', 'active', 'alertOnEntry', 'alertOnExit',
+  'schedule', 'rules', 'groups'
+];
+const BOOLEAN_PROPERTIES = ['active', 'alertOnEntry', 'alertOnExit'];
+const STRUCTURED_PROPERTIES = ['schedule', 'rules', 'groups'];
+
+// ==================== EXPORT ====================
+
+// Close a ring of {lat, lng} points as [lng, lat] positions
+const toRing = (points) => {
+  const ring = points.map(point => [point.lng, point.lat]);
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) ring.push([...first]);
+  return ring;
+};
+
+const carriedProperties = (geofence) => Object.fromEntries(
+  CARRIED_PROPERTIES
+    .filter(key => geofence[key] !== undefined && geofence[key] !== null)
+    .map(key => [key, geofence[key]])
+);
+
+// One geofence as a GeoJSON Feature
+const geofenceToFeature = (geofence) => {
+  if (geofence.shapeType === 'circle') {
+    return {
+      type: 'Feature',
+      id: geofence.id,
+      geometry: { type: 'Point', coordinates: [geofence.center.lng, geofence.center.lat] },
+      properties: { ...carriedProperties(geofence), shapeType: 'circle', radius: geofence.radius }
+    };
+  }
+
+  return {
+    type: 'Feature',
+    id: geofence.id,
+    geometry: { type: 'Polygon', coordinates: [toRing(geofence.points)] },
+    properties: { ...carriedProperties(geofence), shapeType: 'polygon' }
+  };
+};
+
+const geofencesToGeoJSON = (geofences) => ({
+  type: 'FeatureCollection',
+  features: geofences.map(geofenceToFeature)
+});
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const kmlCoordinates = (positions) => positions.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+
+// One geofence as a KML Placemark
+const geofenceToPlacemark = (geofence) => {
+  const feature = geofenceToFeature(geofence);
+  const data = Object.entries(feature.properties)
+    .filter(([key]) => key !== 'name' && key !== 'description')
+    .map(([key, value]) => {
+      const text = STRUCTURED_PROPERTIES.includes(key) ? JSON.stringify(value) : value;
+      return `        <Data name="${escapeXml(key)}"><value>${escapeXml(text)}</value></Data>`;
+    })
+    .join('\n');
+
+  const geometry = feature.geometry.type === 'Point'
+    ? `      <Point><coordinates>${kmlCoordinates([feature.geometry.coordinates])}</coordinates></Point>`
+    : [
+      '      <Polygon><outerBoundaryIs><LinearRing>',
+      `        <coordinates>${kmlCoordinates(feature.geometry.coordinates[0])}</coordinates>`,
+      '      </LinearRing></outerBoundaryIs></Polygon>'
+    ].join('\n');
+
+  return [
+    '    <Placemark>',
+    `      <name>${escapeXml(geofence.name)}</name>`,
+    ...(geofence.description ? [`      <description>${escapeXml(geofence.description)}</description>`] : []),
+    '      <ExtendedData>',
+    data,
+    '      </ExtendedData>',
+    geometry,
+    '    </Placemark>'
+  ].join('\n');
+};
+
+const geofencesToKML = (geofences, documentName = 'Vortex SOS Geofences') => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<kml xmlns="http://www.opengis.net/kml/2.2">',
+  '  <Document>',
+  `    <name>${escapeXml(documentName)}</name>`,
+  ...geofences.map(geofenceToPlacemark),
+  '  </Document>',
+  '</kml>',
+  ''
+].join('\n');
+
+// ==================== IMPORT ====================
+
+// Coerce string flags ("true"/"false") and JSON text (schedule, rules,
+// groups) coming from KML or loose GeoJSON
+const parseJsonText = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value; // left for validation to reject
+  }
+};
+
+const normalizeProperties = (input) => {
+  const properties = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const normalized = {};
+  CARRIED_PROPERTIES.concat(['radius', 'shapeType']).forEach(key => {
+    const value = properties[key] ?? properties[key.toLowerCase()] ?? properties[key[0].toUpperCase() + key.slice(1)];
+    if (value === undefined || value === null || value === '') return;
+
+    if (BOOLEAN_PROPERTIES.includes(key) && typeof value === 'string') {
+      normalized[key] = value.toLowerCase() === 'true';
+    } else if (STRUCTURED_PROPERTIES.includes(key) && typeof value === 'string') {
+      normalized[key] = parseJsonText(value);
+    } else if (key === 'radius') {
+      normalized[key] = Number(value);
+    } else {
+      normalized[key] = value;
+    }
+  });
+  return normalized;
+};
+
+// Ring of [lng, lat] positions as points without the closing duplicate
+const fromRing = (ring) => {
+  const points = ring.map(([lng, lat]) => ({ lat, lng }));
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (points.length > 1 && first.lat === last.lat && first.lng === last.lng) points.pop();
+  return points;
+};
+
+const isPosition = (position) => Array.isArray(position) && position.length >= 2;
+
+const isRing = (ring) => Array.isArray(ring) && ring.every(isPosition);
+
+// Problem with a polygon's rings ([outer, ...holes]), or null
+const polygonProblem = (rings, label = 'Polygon') => {
+  if (!Array.isArray(rings) || rings.length === 0 || !rings.every(isRing)) {
+    return { code: ERROR_CODES.INVALID_FORMAT, error: `${label} coordinates must be rings of [lng, lat] positions` };
+  }
+  if (rings.length > 1) {
+    return { code: ERROR_CODES.UNSUPPORTED_GEOMETRY, error: `${label} has holes, which geofences do not support` };
+  }
+  return null;
+};
+
+// Convert one GeoJSON Feature into geofence inputs (MultiPolygon -> several).
+// Returns { inputs: [...] } or { code, error } for malformed or unsupported geometry.
+const featureToGeofenceInputs = (feature) => {
+  if (!feature || feature.type !== 'Feature' || !feature.geometry || typeof feature.geometry !== 'object') {
+    return { code: ERROR_CODES.INVALID_FORMAT, error: 'Not a GeoJSON Feature with a geometry' };
+  }
+
+  const properties = normalizeProperties(feature.properties);
+  if (properties.id === undefined && feature.id !== undefined && feature.id !== null) properties.id = feature.id;
+  const { radius, shapeType, ...base } = properties;
+  const { type, coordinates } = feature.geometry;
+
+  if (type === 'Point') {
+    if (!isPosition(coordinates)) {
+      return { code: ERROR_CODES.INVALID_FORMAT, error: 'Point coordinates must be a [lng, lat] position' };
+    }
+    if (!radius) return { code: ERROR_CODES.INVALID_VALUE, error: 'Point features need a radius property (meters)' };
+    return {
+      inputs: [{
+        ...base,
+        shapeType: 'circle',
+        center: { lat: coordinates[1], lng: coordinates[0] },
+        radius
+      }]
+    };
+  }
+
+  if (type === 'Polygon') {
+    const problem = polygonProblem(coordinates);
+    if (problem) return problem;
+    return { inputs: [{ ...base, shapeType: 'polygon', points: fromRing(coordinates[0]) }] };
+  }
+
+  if (type === 'MultiPolygon') {
+    if (!Array.isArray(coordinates) || coordinates.length === 0) {
+      return { code: ERROR_CODES.INVALID_FORMAT, error: 'MultiPolygon coordinates must be a list of polygons' };
+    }
+    const problem = coordinates.map((polygon, index) => polygonProblem(polygon, `Polygon ${index + 1}`)).find(Boolean);
+    if (problem) return problem;
+
+    return {
+      inputs: coordinates.map((polygon, index) => ({
+        ...base,
+        ...(base.id !== undefined ? { id: `${base.id}-${index + 1}` } : {}),
+        name: coordinates.length > 1 && base.name ? `${base.name} (${index + 1})` : base.name,
+        shapeType: 'polygon',
+        points: fromRing(polygon[0])
+      }))
+    };
+  }
+
+  return { code: ERROR_CODES.UNSUPPORTED_GEOMETRY, error: `Unsupported geometry type: ${type}` };
+};
+
+const unescapeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// Tags may carry a namespace prefix (kml:Placemark)
+const tagPattern = (tag, flags = 'g') =>
+  new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, flags);
+
+const firstTag = (xml, tag) => {
+  const match = xml.match(tagPattern(tag, ''));
+  return match ? match[1] : undefined;
+};
+
+const allTags = (xml, tag) => [...xml.matchAll(tagPattern(tag))].map(match => match[1]);
+
+// "lng,lat[,alt] lng,lat[,alt] ..." -> [[lng, lat], ...]
+const parseKmlCoordinates = (text) => unescapeXml(text)
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+// Convert a KML document into GeoJSON Features (Polygon, MultiGeometry, Point)
+const kmlToFeatures = (kml) => allTags(kml, 'Placemark').map(placemark => {
+  const properties = {};
+
+  const name = firstTag(placemark, 'name');
+  if (name !== undefined) properties.name = unescapeXml(name);
+  const description = firstTag(placemark, 'description');
+  if (description !== undefined) properties.description = unescapeXml(description);
+
+  [...placemark.matchAll(/<(?:\w+:)?Data\s+name="([^"]+)"[^>]*>([\s\S]*?)<\/(?:\w+:)?Data>/g)]
+    .forEach(([, key, body]) => {
+      const value = firstTag(body, 'value');
+      if (value !== undefined) properties[key] = unescapeXml(value);
+    });
+  [...placemark.matchAll(/<(?:\w+:)?SimpleData\s+name="([^"]+)"[^>]*>([\s\S]*?)<\/(?:\w+:)?SimpleData>/g)]
+    .forEach(([, key, value]) => {
+      properties[key] = unescapeXml(value);
+    });
+
+  // Inner boundaries are kept as holes so the import can reject them
+  const polygons = allTags(placemark, 'Polygon').map(polygon => {
+    const outer = firstTag(polygon, 'outerBoundaryIs') || polygon;
+    const holes = allTags(polygon, 'innerBoundaryIs').map(inner => parseKmlCoordinates(firstTag(inner, 'coordinates') || ''));
+    return [parseKmlCoordinates(firstTag(outer, 'coordinates') || ''), ...holes];
+  });
+
+  let geometry = null;
+  if (polygons.length === 1) {
+    geometry = { type: 'Polygon', coordinates: polygons[0] };
+  } else if (polygons.length > 1) {
+    geometry = { type: 'MultiPolygon', coordinates: polygons };
+  } else {
+    const point = firstTag(placemark, 'Point');
+    if (point !== undefined) {
+      const [position] = parseKmlCoordinates(firstTag(point, 'coordinates') || '');
+      if (position) geometry = { type: 'Point', coordinates: position };
+    }
+  }
+
+  return { type: 'Feature', geometry, properties };
+});
+
+// Accept a FeatureCollection, a single Feature or a bare geometry
+const geojsonToFeatures = (geojson) => {
+  if (geojson?.type === 'FeatureCollection') return Array.isArray(geojson.features) ? geojson.features : null;
+  if (geojson?.type === 'Feature') return [geojson];
+  if (geojson?.type && geojson.coordinates) return [{ type: 'Feature', geometry: geojson, properties: {} }];
+  return null;
+};
+
+module.exports = {
+  FORMATS,
+  geofenceToFeature,
+  geofencesToGeoJSON,
+  geofencesToKML,
+  featureToGeofenceInputs,
+  geojsonToFeatures,
+  kmlToFeatures
+};
@@ -0,0 +1,76 @@
+// ================================================================
+// CONTACT GROUPS - Family circles, teams and organisational units
+// ================================================================
+// Users belong to any number of groups, managed via /api/groups. Each
+// group has a Socket.IO room that its members' sockets join when they
+// identify. A member's SOS alerts and violations go to their groups and
+// the dashboards; a geofence with `groups` is only sent to those groups
+// (and the dashboards).
+//
+//   { id, name, kind: 'family' | 'team' | 'organisation', description, members: [user] }
+// ================================================================
+
+const { ERROR_CODES } = require('./validation');
+
+const GROUP_KINDS = ['family', 'team', 'organisation'];
+
+const MAX_GROUP_NAME_LENGTH = 200;
+
+const isMemberId = (member) =>
+  (typeof member === 'string' && member.trim() !== '') || typeof member === 'number';
+
+// Validate a group; with `existing` the input is merged over it (PATCH).
+// Returns { valid, value | errors }.
+const validateGroup = (input, existing = null) => {
+  const errors = [];
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: [{ field: 'group', code: ERROR_CODES.INVALID_TYPE, message: 'group must be an object' }] };
+  }
+
+  const merged = { kind: 'team', members: [], ...existing, ...input };
+  const value = {};
+
+  if (!existing && input.id !== undefined && input.id !== null) {
+    if (!isMemberId(input.id)) {
+      errors.push({ field: 'id', code: ERROR_CODES.INVALID_TYPE, message: 'id must be a non-empty string' });
+    } else {
+      value.id = String(input.id);
+    }
+  }
+
+  if (typeof merged.name !== 'string' || merged.name.trim() === '') {
+    errors.push({ field: 'name', code: ERROR_CODES.REQUIRED, message: 'name is required' });
+  } else if (merged.name.length > MAX_GROUP_NAME_LENGTH) {
+    errors.push({ field: 'name', code: ERROR_CODES.OUT_OF_RANGE, message: `name must be at most ${MAX_GROUP_NAME_LENGTH} characters` });
+  } else {
+    value.name = merged.name.trim();
+  }
+
+  if (!GROUP_KINDS.includes(merged.kind)) {
+    errors.push({ field: 'kind', code: ERROR_CODES.INVALID_VALUE, message: `kind must be one of: ${GROUP_KINDS.join(', ')}` });
+  } else {
+    value.kind = merged.kind;
+  }
+
+  if (merged.description !== undefined && merged.description !== null) {
+    if (typeof merged.description !== 'string') {
+      errors.push({ field: 'description', code: ERROR_CODES.INVALID_TYPE, message: 'description must be a string' });
+    } else {
+      value.description = merged.description;
+    }
+  }
+
+  if (!Array.isArray(merged.members) || !merged.members.every(isMemberId)) {
+    errors.push({ field: 'members', code: ERROR_CODES.INVALID_TYPE, message: 'members must be a list of user ids' });
+  } else {
+    value.members = [...new Set(merged.members.map(String))];
+  }
+
+  return errors.length > 0 ? { valid: false, errors } : { valid: true, value };
+};
+
+module.exports = {
+  GROUP_KINDS,
+  validateGroup
+};
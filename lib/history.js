@@ -0,0 +1,48 @@
+// ================================================================
+// GEOFENCE HISTORY - Version log of geofence changes
+// ================================================================
+// Every create / update / delete is kept as a numbered version with
+// who made it, where it came from (socket, rest, import, ...) and a
+// field-level diff. Each version also holds the full geofence as it
+// was afterwards (null once deleted) so it can be restored later.
+// ================================================================
+
+const HISTORY_ACTIONS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  ROLLED_BACK: 'rolled_back'
+};
+
+// Bookkeeping that changes on every write and says nothing about the zone
+const IGNORED_FIELDS = ['revision', 'createdRevision', 'createdAt', 'updatedAt', 'scheduleActive', 'scheduleChangedAt'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Changed fields between two versions of a geofence (either may be null)
+const diffGeofences = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => !isEqual(before?.[field], after?.[field]))
+    .sort()
+    .map(field => ({ field, from: before?.[field] ?? null, to: after?.[field] ?? null }));
+};
+
+// Fields of a stored version to feed back through validation on restore
+const restorableFields = (snapshot) =>
+  Object.fromEntries(Object.entries(snapshot).filter(([field]) => !IGNORED_FIELDS.includes(field)));
+
+// Add the next numbered version, keeping at most `limit` of them
+const appendVersion = (versions = [], entry, limit) => {
+  const version = (versions.length > 0 ? versions[versions.length - 1].version : 0) + 1;
+  return [...versions, { version, ...entry }].slice(-limit);
+};
+
+module.exports = {
+  HISTORY_ACTIONS,
+  diffGeofences,
+  restorableFields,
+  appendVersion
+};
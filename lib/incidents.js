@@ -0,0 +1,137 @@
+// ================================================================
+// SOS INCIDENT LIFECYCLE
+// ================================================================
+// Every SOS alert is an incident with a status machine:
+//
+//   open -> acknowledged -> assigned -> resolved
+//     \          \             \----> cancelled (by the user in distress)
+//      \          \-----------------> false_alarm
+//       \---------------------------> (any of the above)
+//
+// resolved, cancelled and false_alarm are terminal.
+// Each change is appended to alert.statusHistory with actor and time.
+// ================================================================
+
+const INCIDENT_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  ASSIGNED: 'assigned',
+  RESOLVED: 'resolved',
+  CANCELLED: 'cancelled',
+  FALSE_ALARM: 'false_alarm'
+};
+
+const TERMINAL_STATUSES = [
+  INCIDENT_STATUS.RESOLVED,
+  INCIDENT_STATUS.CANCELLED,
+  INCIDENT_STATUS.FALSE_ALARM
+];
+
+// Allowed next statuses for each status (assigned -> assigned is a reassignment)
+const TRANSITIONS = {
+  [INCIDENT_STATUS.OPEN]: [
+    INCIDENT_STATUS.ACKNOWLEDGED,
+    INCIDENT_STATUS.ASSIGNED,
+    ...TERMINAL_STATUSES
+  ],
+  [INCIDENT_STATUS.ACKNOWLEDGED]: [
+    INCIDENT_STATUS.ASSIGNED,
+    ...TERMINAL_STATUSES
+  ],
+  [INCIDENT_STATUS.ASSIGNED]: [
+    INCIDENT_STATUS.ASSIGNED,
+    ...TERMINAL_STATUSES
+  ],
+  [INCIDENT_STATUS.RESOLVED]: [],
+  [INCIDENT_STATUS.CANCELLED]: [],
+  [INCIDENT_STATUS.FALSE_ALARM]: []
+};
+
+const isValidStatus = (status) => Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+
+const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+// Fields every new incident starts with
+const createIncidentFields = (timestamp = new Date().toISOString()) => ({
+  status: INCIDENT_STATUS.OPEN,
+  statusUpdatedAt: timestamp,
+  assignedTo: null,
+  statusHistory: [{ from: null, to: INCIDENT_STATUS.OPEN, by: 'system', at: timestamp }]
+});
+
+// Give alerts stored before the lifecycle existed an initial status
+const normalizeIncident = (alert) => {
+  if (alert.status && Array.isArray(alert.statusHistory)) return alert;
+  return {
+    ...createIncidentFields(alert.receivedAt || alert.timestamp),
+    ...alert
+  };
+};
+
+// Move an incident to a new status. Returns { success, alert } with a
+// new alert object, or { success: false, code, error } when not allowed.
+const transitionIncident = (alert, { status, by, note, assignedTo } = {}) => {
+  if (!isValidStatus(status)) {
+    return { success: false, code: 'INVALID_STATUS', error: `Unknown incident status: ${status}` };
+  }
+
+  const current = alert.status || INCIDENT_STATUS.OPEN;
+  if (!TRANSITIONS[current].includes(status)) {
+    return {
+      success: false,
+      code: 'INVALID_TRANSITION',
+      error: `Cannot change incident from "${current}" to "${status}"`
+    };
+  }
+
+  if (status === INCIDENT_STATUS.ASSIGNED && !assignedTo) {
+    return { success: false, code: 'MISSING_ASSIGNEE', error: 'assignedTo is required to assign an incident' };
+  }
+
+  const now = new Date().toISOString();
+  const change = {
+    from: current,
+    to: status,
+    by: by || 'unknown',
+    at: now,
+    ...(note ? { note } : {}),
+    ...(assignedTo ? { assignedTo } : {})
+  };
+
+  const updated = {
+    ...alert,
+    status,
+    statusUpdatedAt: now,
+    statusUpdatedBy: change.by,
+    statusHistory: [...(alert.statusHistory || []), change]
+  };
+
+  if (status === INCIDENT_STATUS.ACKNOWLEDGED) {
+    updated.acknowledgedBy = change.by;
+    updated.acknowledgedAt = now;
+  }
+  if (status === INCIDENT_STATUS.ASSIGNED) {
+    updated.assignedTo = assignedTo;
+    updated.assignedAt = now;
+    if (!updated.acknowledgedAt) {
+      updated.acknowledgedBy = change.by;
+      updated.acknowledgedAt = now;
+    }
+  }
+  if (isTerminalStatus(status)) {
+    updated.closedBy = change.by;
+    updated.closedAt = now;
+  }
+
+  return { success: true, alert: updated, change };
+};
+
+module.exports = {
+  INCIDENT_STATUS,
+  TERMINAL_STATUSES,
+  isValidStatus,
+  isTerminalStatus,
+  createIncidentFields,
+  normalizeIncident,
+  transitionIncident
+};
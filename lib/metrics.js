@@ -0,0 +1,180 @@
+// ================================================================
+// METRICS - Prometheus text exposition
+// ================================================================
+// A small registry of counters, gauges and histograms:
+//
+//   const metrics = createMetricsRegistry();
+//   const sosTotal = metrics.counter({ name, help, labelNames: ['source'] });
+//   sosTotal.inc({ source: 'socket' });
+//   renderPrometheus(metrics.snapshot());
+//
+// Gauges may pass `collect` to refresh themselves when scraped. A
+// snapshot is plain data, so snapshots from several cluster nodes can
+// be combined with mergeSnapshots() before rendering: counters and
+// histograms add up, gauges add up unless declared `aggregate: 'first'`
+// (values read from state every node shares).
+// ================================================================
+
+// Seconds - from sub-millisecond event handlers up to slow acknowledgements
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 300, 900];
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const formatNumber = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+const createMetricsRegistry = () => {
+  const metrics = new Map(); // name -> { type, help, labelNames, series, ... }
+
+  // Only declared labels, in declaration order, so series keys are stable
+  const pickLabels = (metric, labels = {}) =>
+    Object.fromEntries(metric.labelNames.map(name => [name, labels[name] ?? '']));
+
+  const seriesFor = (metric, labels, create) => {
+    const picked = pickLabels(metric, labels);
+    const key = JSON.stringify(picked);
+    if (!metric.series.has(key)) metric.series.set(key, { labels: picked, ...create() });
+    return metric.series.get(key);
+  };
+
+  const register = (type, { name, help, labelNames = [], ...options }) => {
+    if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+    const metric = { type, name, help, labelNames, series: new Map(), ...options };
+    metrics.set(name, metric);
+    return metric;
+  };
+
+  const counter = (definition) => {
+    const metric = register('counter', definition);
+    return {
+      inc: (labels, value = 1) => {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+      }
+    };
+  };
+
+  const gauge = ({ collect, aggregate = 'sum', ...definition }) => {
+    const metric = register('gauge', { ...definition, collect, aggregate });
+    return {
+      set: (labels, value) => {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      // Drop every series before setting a fresh set (e.g. counts per client type)
+      reset: () => metric.series.clear()
+    };
+  };
+
+  const histogram = ({ buckets = DEFAULT_BUCKETS, ...definition }) => {
+    const metric = register('histogram', { ...definition, buckets: [...buckets].sort((a, b) => a - b) });
+
+    const observe = (labels, value) => {
+      const series = seriesFor(metric, labels, () => ({
+        counts: metric.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      }));
+      metric.buckets.forEach((bound, index) => {
+        if (value <= bound) series.counts[index] += 1;
+      });
+      series.sum += value;
+      series.count += 1;
+    };
+
+    return {
+      observe,
+      // Returns a function that records the seconds elapsed since the call
+      startTimer: (labels) => {
+        const startedAt = process.hrtime.bigint();
+        return () => observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      }
+    };
+  };
+
+  // Plain data copy of every metric (gauges are collected first)
+  const snapshot = () => [...metrics.values()].map(metric => {
+    if (metric.collect) metric.collect();
+    const { series, collect, ...rest } = metric;
+    return { ...rest, series: [...series.values()].map(s => JSON.parse(JSON.stringify(s))) };
+  });
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    snapshot
+  };
+};
+
+// Combine snapshots taken on several nodes (the first one is the local node)
+const mergeSnapshots = (snapshots) => {
+  const [first, ...others] = snapshots;
+  const merged = JSON.parse(JSON.stringify(first || []));
+
+  others.forEach(snapshot => snapshot.forEach(metric => {
+    const target = merged.find(m => m.name === metric.name);
+    if (!target) {
+      merged.push(JSON.parse(JSON.stringify(metric)));
+      return;
+    }
+    if (target.type === 'gauge' && target.aggregate === 'first') return;
+
+    metric.series.forEach(series => {
+      const key = JSON.stringify(series.labels);
+      const existing = target.series.find(s => JSON.stringify(s.labels) === key);
+      if (!existing) {
+        target.series.push(JSON.parse(JSON.stringify(series)));
+      } else if (target.type === 'histogram') {
+        existing.counts = existing.counts.map((count, index) => count + (series.counts[index] || 0));
+        existing.sum += series.sum;
+        existing.count += series.count;
+      } else {
+        existing.value += series.value;
+      }
+    });
+  }));
+
+  return merged;
+};
+
+// Prometheus text format (version 0.0.4)
+const renderPrometheus = (snapshot) => {
+  const lines = [];
+
+  snapshot.forEach(metric => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    metric.series.forEach(series => {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatNumber(series.value)}`);
+        return;
+      }
+
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatNumber(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createMetricsRegistry,
+  mergeSnapshots,
+  renderPrometheus
+};
@@ -0,0 +1,268 @@
+// ================================================================
+// RECORD QUERIES - Filtering, sorting, pagination and export
+// ================================================================
+// Shared by GET /api/alerts and GET /api/violations:
+//
+//   from, to                      ISO time or epoch millis (inclusive),
+//                                 matched against the server's receivedAt
+//   user, status, priority, ...   comma separated lists
+//   bbox=minLng,minLat,maxLng,maxLat   or   near=lat,lng&radius=<m>
+//   sort=<field>&order=asc|desc, limit, cursor
+//   format=json|csv|geojson
+//
+// Cursors are opaque keyset positions (sort key, then receivedAt and id
+// to break ties) rather than offsets, so paging stays stable while new
+// records arrive. A limit that
+// is not a positive whole number falls back to the default page size
+// and one above MAX_PAGE_SIZE is capped.
+// ================================================================
+
+const { getLat, getLng, isValidPoint, haversineDistance } = require('./geo');
+const { parseTime } = require('./tracking');
+const { ERROR_CODES, GEOFENCE_PRIORITIES } = require('./validation');
+
+const QUERY_FORMATS = ['json', 'csv', 'geojson'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+const priorityRank = (priority) => GEOFENCE_PRIORITIES.indexOf(priority);
+
+// Queryable fields of each stored record type
+const RECORD_TYPES = {
+  alerts: {
+    time: alert => alert.receivedAt,
+    filters: {
+      user: alert => alert.user,
+      status: alert => alert.status,
+      priority: alert => alert.priority,
+      geofenceId: alert => alert.geofenceId,
+      assignedTo: alert => alert.assignedTo
+    },
+    sortFields: {
+      time: alert => Date.parse(alert.receivedAt),
+      priority: alert => priorityRank(alert.priority),
+      severity: alert => priorityRank(alert.severity),
+      status: alert => alert.status,
+      user: alert => alert.user
+    },
+    columns: {
+      id: alert => alert.id,
+      receivedAt: alert => alert.receivedAt,
+      user: alert => alert.user,
+      status: alert => alert.status,
+      priority: alert => alert.priority,
+      severity: alert => alert.severity,
+      lat: alert => getLat(alert),
+      lng: alert => getLng(alert),
+      geofenceId: alert => alert.geofenceId,
+      assignedTo: alert => alert.assignedTo,
+      pressCount: alert => alert.pressCount,
+      message: alert => alert.message
+    }
+  },
+  violations: {
+    time: violation => violation.receivedAt,
+    filters: {
+      user: violation => violation.user,
+      action: violation => violation.action,
+      priority: violation => violation.priority,
+      geofenceId: violation => violation.geofenceId
+    },
+    sortFields: {
+      time: violation => Date.parse(violation.receivedAt),
+      priority: violation => priorityRank(violation.priority),
+      user: violation => violation.user
+    },
+    columns: {
+      id: violation => violation.id,
+      receivedAt: violation => violation.receivedAt,
+      timestamp: violation => violation.timestamp,
+      user: violation => violation.user,
+      action: violation => violation.action,
+      geofenceId: violation => violation.geofenceId,
+      geofenceName: violation => violation.geofenceName,
+      priority: violation => violation.priority,
+      lat: violation => getLat(violation),
+      lng: violation => getLng(violation)
+    }
+  }
+};
+
+const parseList = (value) =>
+  (value === undefined ? null : String(value).split(',').map(item => item.trim()).filter(Boolean));
+
+const parseNumbers = (value, count) => {
+  const numbers = String(value).split(',').map(Number);
+  return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(decoded) && decoded.length === 3 ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validate query-string parameters; returns { valid, value | errors }
+const parseRecordQuery = (query, recordType) => {
+  const type = RECORD_TYPES[recordType];
+  const errors = [];
+  const invalid = (field, message) => errors.push({ field, code: ERROR_CODES.INVALID_VALUE, message });
+
+  const value = {
+    filters: {},
+    from: parseTime(query.from),
+    to: parseTime(query.to),
+    bbox: null,
+    near: null,
+    sort: query.sort || 'time',
+    order: query.order || (query.sort && query.sort !== 'time' ? 'asc' : 'desc'),
+    format: query.format || 'json',
+    cursor: null,
+    limit: null
+  };
+
+  if (Number.isNaN(value.from)) invalid('from', 'from must be an ISO date or epoch milliseconds');
+  if (Number.isNaN(value.to)) invalid('to', 'to must be an ISO date or epoch milliseconds');
+
+  Object.keys(type.filters).forEach(field => {
+    const list = parseList(query[field]);
+    if (list && list.length > 0) value.filters[field] = list;
+  });
+
+  if (query.bbox !== undefined) {
+    const bbox = parseNumbers(query.bbox, 4);
+    if (!bbox || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+      invalid('bbox', 'bbox must be minLng,minLat,maxLng,maxLat');
+    } else {
+      value.bbox = bbox;
+    }
+  }
+
+  if (query.near !== undefined) {
+    const near = parseNumbers(query.near, 2);
+    const radius = Number(query.radius);
+    if (!near || !isValidPoint(near)) {
+      invalid('near', 'near must be lat,lng');
+    } else if (!(radius > 0)) {
+      invalid('radius', 'radius (meters) is required with near and must be positive');
+    } else {
+      value.near = { lat: near[0], lng: near[1], radius };
+    }
+  }
+
+  if (!type.sortFields[value.sort]) {
+    invalid('sort', `sort must be one of: ${Object.keys(type.sortFields).join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(value.order)) invalid('order', 'order must be asc or desc');
+  if (!QUERY_FORMATS.includes(value.format)) {
+    errors.push({ field: 'format', code: ERROR_CODES.INVALID_FORMAT, message: `format must be one of: ${QUERY_FORMATS.join(', ')}` });
+  }
+
+  const limit = Number(query.limit);
+  if (query.limit !== undefined && Number.isInteger(limit) && limit >= 1) {
+    value.limit = Math.min(limit, MAX_PAGE_SIZE);
+  } else if (value.format === 'json') {
+    value.limit = DEFAULT_PAGE_SIZE;
+  }
+
+  if (query.cursor !== undefined) {
+    value.cursor = decodeCursor(query.cursor);
+    if (!value.cursor) invalid('cursor', 'cursor is not valid');
+  }
+
+  return errors.length > 0 ? { valid: false, errors } : { valid: true, value };
+};
+
+// Filter, sort and page records; exports without a limit get every match
+const runRecordQuery = (records, query, recordType) => {
+  const type = RECORD_TYPES[recordType];
+  const sortKey = type.sortFields[query.sort];
+  const direction = query.order === 'asc' ? 1 : -1;
+
+  // Keys are [sort value, receive time, id]
+  const compareKeys = (a, b) => {
+    const index = a.findIndex((part, i) => part !== b[i]);
+    if (index === -1) return 0;
+    return (a[index] < b[index] ? -1 : 1) * direction;
+  };
+  const keyOf = (record) => [sortKey(record) ?? '', Date.parse(type.time(record)), String(record.id)];
+
+  // Records without a valid time can't be ordered or paged, so they are left out
+  const matches = records.filter(record => {
+    const time = Date.parse(type.time(record));
+    if (!Number.isFinite(time)) return false;
+    if (query.from !== undefined && !(time >= query.from)) return false;
+    if (query.to !== undefined && !(time <= query.to)) return false;
+
+    const filtered = Object.entries(query.filters).every(([field, allowed]) =>
+      allowed.includes(String(type.filters[field](record))));
+    if (!filtered) return false;
+
+    if (query.bbox || query.near) {
+      if (!isValidPoint(record)) return false;
+      const lat = getLat(record);
+      const lng = getLng(record);
+      if (query.bbox) {
+        const [minLng, minLat, maxLng, maxLat] = query.bbox;
+        if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+      }
+      if (query.near && haversineDistance(query.near, { lat, lng }) > query.near.radius) return false;
+    }
+
+    return true;
+  }).sort((a, b) => compareKeys(keyOf(a), keyOf(b)));
+
+  const remaining = query.cursor
+    ? matches.filter(record => compareKeys(keyOf(record), query.cursor) > 0)
+    : matches;
+  const items = query.limit ? remaining.slice(0, query.limit) : remaining;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    matched: matches.length,
+    nextCursor: last && remaining.length > items.length ? encodeCursor(keyOf(last)) : null
+  };
+};
+
+// Quote CSV cells; cells starting with = + - @ tab or carriage return
+// are prefixed so spreadsheets don't evaluate them as formulas (plain
+// numbers such as -12.5 are left alone)
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const recordsToCSV = (records, recordType) => {
+  const columns = Object.entries(RECORD_TYPES[recordType].columns);
+  const header = columns.map(([name]) => name).join(',');
+  const rows = records.map(record => columns.map(([, read]) => csvCell(read(record))).join(','));
+  return `${[header, ...rows].join('\r\n')}\r\n`;
+};
+
+// Point features ([lng, lat]); records without a location get null geometry
+const recordsToGeoJSON = (records) => ({
+  type: 'FeatureCollection',
+  features: records.map(record => ({
+    type: 'Feature',
+    id: record.id,
+    geometry: isValidPoint(record) ? { type: 'Point', coordinates: [getLng(record), getLat(record)] } : null,
+    properties: record
+  }))
+});
+
+module.exports = {
+  QUERY_FORMATS,
+  RECORD_TYPES,
+  parseRecordQuery,
+  runRecordQuery,
+  recordsToCSV,
+  recordsToGeoJSON
+};
@@ -0,0 +1,97 @@
+// ================================================================
+// RATE LIMITING - Token buckets per event
+// ================================================================
+// Each (event, subject) pair gets a bucket holding up to `capacity`
+// tokens that refills at `refillPerSecond`. Subjects are things like
+// "socket:<id>", "user:<sub>" or "ip:<address>"; a request is allowed
+// only when every subject it is checked against has a token left.
+//
+// Limits can be overridden per event with a JSON file
+// (RATE_LIMITS_FILE) shaped like DEFAULT_RATE_LIMITS; '*' applies to
+// events without their own entry.
+// ================================================================
+
+const fs = require('fs');
+
+const DEFAULT_RATE_LIMITS = {
+  sos: { capacity: 10, refillPerSecond: 1 / 30 },
+  geofenceViolation: { capacity: 30, refillPerSecond: 1 },
+  locationUpdate: { capacity: 60, refillPerSecond: 2 },
+  heartbeat: { capacity: 20, refillPerSecond: 0.5 },
+  incidentMessage: { capacity: 30, refillPerSecond: 1 },
+  createGeofence: { capacity: 20, refillPerSecond: 0.5 },
+  updateGeofence: { capacity: 40, refillPerSecond: 1 },
+  deleteGeofence: { capacity: 20, refillPerSecond: 0.5 },
+  setGeofence: { capacity: 20, refillPerSecond: 0.5 },
+  '*': { capacity: 120, refillPerSecond: 20 }
+};
+
+// Load limits from a JSON file merged over the defaults
+const loadRateLimits = (filePath) => {
+  if (!filePath) return DEFAULT_RATE_LIMITS;
+  return { ...DEFAULT_RATE_LIMITS, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+};
+
+const createRateLimiter = (limits = DEFAULT_RATE_LIMITS) => {
+  const buckets = new Map(); // "event|subject" -> { tokens, updatedAt }
+
+  const limitFor = (event) => limits[event] || limits['*'];
+
+  // Refill a bucket up to now and return it
+  const refill = (key, limit, now) => {
+    const bucket = buckets.get(key) || { tokens: limit.capacity, updatedAt: now };
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsedSeconds * limit.refillPerSecond);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+    return bucket;
+  };
+
+  // Take one token from every subject's bucket, or none if any is empty.
+  // Returns { allowed, retryAfterMs, limitedBy }.
+  const consume = (event, subjects) => {
+    const limit = limitFor(event);
+    if (!limit) return { allowed: true };
+
+    const now = Date.now();
+    const keyed = subjects.filter(Boolean).map(subject => [subject, refill(`${event}|${subject}`, limit, now)]);
+    const empty = keyed.find(([, bucket]) => bucket.tokens < 1);
+
+    if (empty) {
+      const [subject, bucket] = empty;
+      return {
+        allowed: false,
+        limitedBy: subject,
+        retryAfterMs: Math.ceil(((1 - bucket.tokens) / limit.refillPerSecond) * 1000)
+      };
+    }
+
+    keyed.forEach(([, bucket]) => {
+      bucket.tokens -= 1;
+    });
+    return { allowed: true };
+  };
+
+  // Drop buckets that have refilled completely (they hold no state)
+  const prune = () => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      const limit = limitFor(key.split('|')[0]);
+      const tokens = bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.refillPerSecond;
+      if (tokens >= limit.capacity) buckets.delete(key);
+    });
+    return buckets.size;
+  };
+
+  return {
+    limits,
+    consume,
+    prune
+  };
+};
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  loadRateLimits,
+  createRateLimiter
+};
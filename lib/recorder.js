@@ -0,0 +1,53 @@
+// ================================================================
+// EVENT RECORDER - Inbound socket events to a JSONL log
+// ================================================================
+// With EVENT_LOG_FILE set, every inbound socket event (or only the ones
+// in EVENT_LOG_EVENTS) is appended as one JSON line:
+//
+//   { "at": "...", "node": "node-123", "socket": "...", "user": "bob",
+//     "role": "mobile", "event": "locationUpdate", "data": { ... } }
+//
+// scripts/replay.js plays these logs back against a server.
+// ================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+// events: list of event names, or null for all of them
+const createEventRecorder = ({ filePath, events = null, nodeId = null } = {}) => {
+  if (!filePath) {
+    return { enabled: false, record: () => {}, close: () => {} };
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+  stream.on('error', error => console.error('🎙️ Event log write failed:', error.message));
+
+  const record = (event, { socket, user, role } = {}, data) => {
+    if (events && !events.includes(event)) return;
+    stream.write(`${JSON.stringify({
+      at: new Date().toISOString(),
+      node: nodeId,
+      socket,
+      user,
+      role,
+      event,
+      data: data === undefined || typeof data === 'function' ? null : data
+    })}\n`);
+  };
+
+  const close = () => new Promise(resolve => stream.end(resolve));
+
+  return { enabled: true, filePath, record, close };
+};
+
+// Each cluster worker writes its own log next to the configured one
+const nodeLogFile = (filePath, nodeId) => {
+  const { dir, name, ext } = path.parse(filePath);
+  return path.join(dir, `${name}.${nodeId}${ext}`);
+};
+
+module.exports = {
+  createEventRecorder,
+  nodeLogFile
+};
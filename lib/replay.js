@@ -0,0 +1,111 @@
+// ================================================================
+// REPLAY TRACES - Recorded event logs and synthetic GPS traces
+// ================================================================
+// Turns a trace into the timed steps scripts/replay.js sends:
+//
+//   [{ offsetMs, user, role, event, data }]
+//
+// Accepted traces:
+// - EVENT_LOG_FILE logs (JSONL with `event` and `at`, see lib/recorder.js)
+// - JSONL points: { lat, lng, timestamp?, user?, speed? } per line, or
+//   { event, data, at? } lines mixed in (e.g. an "sos" halfway through)
+// - GeoJSON: a LineString (one point every `intervalSeconds`) or Point
+//   features with properties.timestamp / properties.time
+// Steps without a time are spaced `intervalSeconds` apart.
+// ================================================================
+
+const { getLat, getLng, isValidPoint } = require('./geo');
+
+const DEFAULT_INTERVAL_SECONDS = 10;
+
+const timeOf = (value) => {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+// One parsed record -> { time, user, role, event, data }; points are
+// sent by a mobile user
+const stepFromRecord = (record, fallbackUser) => {
+  if (record.event) {
+    const data = record.data ?? {};
+    return {
+      time: timeOf(record.at) ?? timeOf(data.timestamp),
+      user: record.user || data.user || fallbackUser,
+      role: record.role || 'mobile',
+      event: record.event,
+      data
+    };
+  }
+  if (!isValidPoint(record)) return null;
+  return {
+    time: timeOf(record.timestamp) ?? timeOf(record.time),
+    user: record.user || fallbackUser,
+    role: 'mobile',
+    event: 'locationUpdate',
+    data: { ...record, lat: getLat(record), lng: getLng(record) }
+  };
+};
+
+const recordsFromGeoJSON = (geojson) => {
+  const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+
+  return features.flatMap(feature => {
+    const geometry = feature.type === 'Feature' ? feature.geometry : feature;
+    const properties = feature.properties || {};
+
+    if (geometry?.type === 'LineString') {
+      return geometry.coordinates.map(([lng, lat]) => ({ lat, lng, user: properties.user }));
+    }
+    if (geometry?.type === 'Point') {
+      const [lng, lat] = geometry.coordinates;
+      return [{ ...properties, lat, lng }];
+    }
+    return [];
+  });
+};
+
+// Parse trace text; returns { steps, invalid } with steps in time order
+const parseTrace = (text, { intervalSeconds = DEFAULT_INTERVAL_SECONDS, user = 'replay' } = {}) => {
+  const trimmed = text.trim();
+  let records;
+  let invalid = 0;
+
+  if (trimmed.startsWith('{') && /"type"\s*:\s*"(FeatureCollection|Feature|LineString|Point)"/.test(trimmed.slice(0, 200))) {
+    records = recordsFromGeoJSON(JSON.parse(trimmed));
+  } else if (trimmed.startsWith('[')) {
+    records = JSON.parse(trimmed);
+  } else {
+    records = trimmed.split('\n').filter(line => line.trim() !== '').flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        invalid += 1;
+        return [];
+      }
+    });
+  }
+
+  const parsed = records.map(record => stepFromRecord(record, user));
+  invalid += parsed.filter(step => !step).length;
+
+  // Untimed steps follow the previous one by the interval
+  let previous = null;
+  const steps = parsed.filter(Boolean).map((step, index) => {
+    const time = step.time ?? (previous === null ? 0 : previous + intervalSeconds * 1000);
+    previous = time;
+    return { ...step, time, index };
+  });
+
+  steps.sort((a, b) => a.time - b.time || a.index - b.index);
+  const start = steps.length > 0 ? steps[0].time : 0;
+
+  return {
+    steps: steps.map(({ time, index, ...step }) => ({ offsetMs: time - start, ...step })),
+    invalid
+  };
+};
+
+module.exports = {
+  DEFAULT_INTERVAL_SECONDS,
+  parseTrace
+};
@@ -0,0 +1,171 @@
+// ================================================================
+// GEOFENCE RULES - Dwell, loitering, speed and no-movement checks
+// ================================================================
+// Besides alertOnEntry / alertOnExit a geofence may carry rules that
+// are evaluated server-side against every location report:
+//
+// rules: {
+//   dwell:      { minutes: 30 },                      // inside for more than 30 min
+//   loitering:  { distanceMeters: 50, minutes: 10 },  // outside, within 50 m of the edge, for 10 min
+//   speed:      { maxKmh: 20 },                       // moving faster than 20 km/h inside
+//   noMovement: { minutes: 5, radiusMeters: 25 }      // inside, stayed within 25 m for 5 min
+// }
+//
+// Each rule fires once per episode and re-arms once the condition
+// clears (the user leaves, moves on, slows down...). Durations use the
+// report timestamps, so late reports are judged by when they were taken
+// (the server takes timestamps from the future as the time it got them).
+// ================================================================
+
+const { haversineDistance } = require('./geo');
+
+// Violation action emitted for each rule
+const RULE_ACTIONS = {
+  dwell: 'dwell_exceeded',
+  loitering: 'loitering',
+  speed: 'speeding',
+  noMovement: 'no_movement'
+};
+
+// Numeric settings of each rule (all must be positive)
+const RULE_FIELDS = {
+  dwell: ['minutes'],
+  loitering: ['distanceMeters', 'minutes'],
+  speed: ['maxKmh'],
+  noMovement: ['minutes', 'radiusMeters']
+};
+
+const RULE_DEFAULTS = {
+  noMovement: { radiusMeters: 25 }
+};
+
+// Derived speeds over shorter gaps are mostly GPS jitter
+const MIN_SPEED_SAMPLE_MS = 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+// Validate geofence rules; pushes { field, code, message } errors and
+// returns the normalized rules (or null when there are none)
+const validateRules = (rules, errors, codes) => {
+  if (rules === null) return null;
+
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    errors.push({ field: 'rules', code: codes.INVALID_TYPE, message: 'rules must be an object' });
+    return null;
+  }
+
+  const value = {};
+
+  Object.entries(rules).forEach(([name, rule]) => {
+    const field = `rules.${name}`;
+    if (!RULE_FIELDS[name]) {
+      errors.push({ field, code: codes.INVALID_VALUE, message: `Unknown rule; expected one of: ${Object.keys(RULE_FIELDS).join(', ')}` });
+      return;
+    }
+    if (rule === null || rule === false) return;
+    if (typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push({ field, code: codes.INVALID_TYPE, message: `${field} must be an object` });
+      return;
+    }
+
+    const settings = {};
+    const valid = RULE_FIELDS[name].every(setting => {
+      const raw = rule[setting] ?? RULE_DEFAULTS[name]?.[setting];
+      const number = Number(raw);
+      if (raw === undefined || typeof raw === 'boolean' || !Number.isFinite(number) || number <= 0) {
+        errors.push({ field: `${field}.${setting}`, code: codes.OUT_OF_RANGE, message: `${setting} must be a positive number` });
+        return false;
+      }
+      settings[setting] = number;
+      return true;
+    });
+
+    if (valid) value[name] = settings;
+  });
+
+  return Object.keys(value).length > 0 ? value : null;
+};
+
+// Speed in m/s: the device's own reading when it sent one, otherwise
+// derived from the previous report
+const measureSpeed = (previous, point, at, reportedSpeed) => {
+  if (Number.isFinite(reportedSpeed) && reportedSpeed >= 0) return reportedSpeed;
+  if (!previous || at - previous.at < MIN_SPEED_SAMPLE_MS) return null;
+  return haversineDistance(previous, point) / ((at - previous.at) / 1000);
+};
+
+// Evaluate one geofence's rules for one report. `state` is what the
+// previous call returned for this user and geofence; `edgeDistance` is
+// meters to the geofence edge. Returns the next state and the rules
+// that fired as [{ rule, action, details }].
+const evaluateRules = ({ rules, state = {}, inside, edgeDistance, point, at, speed }) => {
+  const next = { ...state, fired: { ...state.fired } };
+  const triggered = [];
+
+  const fire = (rule, details) => {
+    if (next.fired[rule]) return;
+    next.fired[rule] = true;
+    triggered.push({ rule, action: RULE_ACTIONS[rule], details });
+  };
+  const rearm = (rule) => delete next.fired[rule];
+
+  if (rules.dwell) {
+    if (inside) {
+      next.enteredAt = next.enteredAt ?? at;
+      const minutes = (at - next.enteredAt) / MINUTE_MS;
+      if (minutes >= rules.dwell.minutes) {
+        fire('dwell', { ...rules.dwell, since: new Date(next.enteredAt).toISOString(), elapsedMinutes: Math.round(minutes) });
+      }
+    } else {
+      delete next.enteredAt;
+      rearm('dwell');
+    }
+  }
+
+  if (rules.loitering) {
+    if (!inside && edgeDistance <= rules.loitering.distanceMeters) {
+      next.nearSince = next.nearSince ?? at;
+      const minutes = (at - next.nearSince) / MINUTE_MS;
+      if (minutes >= rules.loitering.minutes) {
+        fire('loitering', { ...rules.loitering, since: new Date(next.nearSince).toISOString(), elapsedMinutes: Math.round(minutes), edgeDistanceMeters: Math.round(edgeDistance) });
+      }
+    } else {
+      delete next.nearSince;
+      rearm('loitering');
+    }
+  }
+
+  if (rules.speed) {
+    const kmh = speed === null || speed === undefined ? null : speed * 3.6;
+    if (inside && kmh !== null && kmh > rules.speed.maxKmh) {
+      fire('speed', { ...rules.speed, speedKmh: Math.round(kmh * 10) / 10 });
+    } else if (!inside || kmh !== null) {
+      rearm('speed');
+    }
+  }
+
+  if (rules.noMovement) {
+    if (!inside) {
+      delete next.anchor;
+      rearm('noMovement');
+    } else if (!next.anchor || haversineDistance(next.anchor, point) > rules.noMovement.radiusMeters) {
+      next.anchor = { lat: point.lat, lng: point.lng, at };
+      rearm('noMovement');
+    } else {
+      const minutes = (at - next.anchor.at) / MINUTE_MS;
+      if (minutes >= rules.noMovement.minutes) {
+        fire('noMovement', { ...rules.noMovement, since: new Date(next.anchor.at).toISOString(), elapsedMinutes: Math.round(minutes) });
+      }
+    }
+  }
+
+  return { state: next, triggered };
+};
+
+module.exports = {
+  RULE_ACTIONS,
+  RULE_FIELDS,
+  validateRules,
+  measureSpeed,
+  evaluateRules
+};
@@ -0,0 +1,202 @@
+// ================================================================
+// GEOFENCE SCHEDULES
+// ================================================================
+// A geofence may carry a schedule that limits when it is in force:
+//
+// schedule: {
+//   timezone: 'Europe/London',                      // IANA zone, default UTC
+//   weekly: [{ days: ['mon', 'fri'], start: '08:00', end: '15:30' }],
+//   dateRanges: [{ start: '2026-09-01', end: '2027-07-15' }],
+//   exceptions: [{ date: '2026-12-25', active: false },
+//                { date: '2026-12-31', active: true, start: '20:00', end: '02:00' }]
+// }
+//
+// - windows with end <= start run overnight into the next day
+// - dateRanges (inclusive) restrict the weekly windows to those dates
+// - an exception overrides everything else on its date
+// A window belongs to the date it starts on, so an overnight window runs
+// to its end even when the next date is outside the ranges or has an
+// exception of its own.
+// A geofence is in force when `active` is true and its schedule matches.
+// ================================================================
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// Local calendar date, weekday and minute of day in a timezone
+const getLocalTime = (date, timezone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timezone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase().slice(0, 3),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+const previousWeekday = (weekday) => WEEKDAYS[(WEEKDAYS.indexOf(weekday) + 6) % 7];
+
+const previousDate = (date) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const ALL_DAY = { from: 0, to: 24 * 60 };
+
+const toWindow = ({ start, end }) => ({ from: toMinutes(start), to: toMinutes(end) });
+
+// Windows (in minutes) starting on a local date; overnight when to <= from
+const windowsOn = (schedule, date, weekday) => {
+  const exception = (schedule.exceptions || []).find(e => e.date === date);
+  if (exception) {
+    if (!exception.active) return [];
+    return [exception.start && exception.end ? toWindow(exception) : ALL_DAY];
+  }
+
+  const ranges = schedule.dateRanges || [];
+  if (ranges.length > 0 && !ranges.some(r => date >= r.start && date <= r.end)) {
+    return [];
+  }
+
+  const weekly = schedule.weekly || [];
+  if (weekly.length === 0) return [ALL_DAY];
+
+  return weekly.filter(w => !w.days || w.days.includes(weekday)).map(toWindow);
+};
+
+// Evaluate a schedule at a point in time
+const isScheduleActive = (schedule, date = new Date()) => {
+  if (!schedule) return true;
+
+  const local = getLocalTime(date, schedule.timezone || 'UTC');
+
+  const startedToday = windowsOn(schedule, local.date, local.weekday)
+    .some(({ from, to }) => local.minutes >= from && (to <= from || local.minutes < to));
+  if (startedToday) return true;
+
+  // The part after midnight of yesterday's overnight windows
+  return windowsOn(schedule, previousDate(local.date), previousWeekday(local.weekday))
+    .some(({ from, to }) => to <= from && local.minutes < to);
+};
+
+// Validate a schedule; pushes { field, code, message } errors and
+// returns the normalized schedule (or null)
+const validateSchedule = (schedule, errors, codes) => {
+  if (schedule === null) return null;
+
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    errors.push({ field: 'schedule', code: codes.INVALID_TYPE, message: 'schedule must be an object' });
+    return null;
+  }
+
+  const value = { timezone: schedule.timezone || 'UTC', weekly: [], dateRanges: [], exceptions: [] };
+
+  if (!isValidTimezone(value.timezone)) {
+    errors.push({ field: 'schedule.timezone', code: codes.INVALID_VALUE, message: `Unknown timezone: ${value.timezone}` });
+  }
+
+  const checkTime = (time, field) => {
+    if (typeof time !== 'string' || !TIME_PATTERN.test(time)) {
+      errors.push({ field, code: codes.INVALID_VALUE, message: `${field} must be HH:MM (24h)` });
+      return false;
+    }
+    return true;
+  };
+
+  const checkDate = (date, field) => {
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      errors.push({ field, code: codes.INVALID_VALUE, message: `${field} must be YYYY-MM-DD` });
+      return false;
+    }
+    return true;
+  };
+
+  const asArray = (key) => {
+    if (schedule[key] === undefined) return [];
+    if (!Array.isArray(schedule[key])) {
+      errors.push({ field: `schedule.${key}`, code: codes.INVALID_TYPE, message: `schedule.${key} must be an array` });
+      return [];
+    }
+    return schedule[key];
+  };
+
+  asArray('weekly').forEach((window, index) => {
+    const field = `schedule.weekly[${index}]`;
+    const days = window?.days === undefined ? [...WEEKDAYS] : window.days;
+    if (!Array.isArray(days) || days.length === 0 || !days.every(d => WEEKDAYS.includes(d))) {
+      errors.push({ field: `${field}.days`, code: codes.INVALID_VALUE, message: `days must be a list of: ${WEEKDAYS.join(', ')}` });
+      return;
+    }
+    if (checkTime(window.start, `${field}.start`) && checkTime(window.end, `${field}.end`)) {
+      value.weekly.push({ days, start: window.start, end: window.end });
+    }
+  });
+
+  asArray('dateRanges').forEach((range, index) => {
+    const field = `schedule.dateRanges[${index}]`;
+    if (!checkDate(range?.start, `${field}.start`) || !checkDate(range?.end, `${field}.end`)) return;
+    if (range.start > range.end) {
+      errors.push({ field, code: codes.INVALID_VALUE, message: 'start must not be after end' });
+      return;
+    }
+    value.dateRanges.push({ start: range.start, end: range.end });
+  });
+
+  asArray('exceptions').forEach((exception, index) => {
+    const field = `schedule.exceptions[${index}]`;
+    if (!checkDate(exception?.date, `${field}.date`)) return;
+    if (typeof exception.active !== 'boolean') {
+      errors.push({ field: `${field}.active`, code: codes.INVALID_TYPE, message: 'active must be a boolean' });
+      return;
+    }
+    const hasWindow = exception.start !== undefined || exception.end !== undefined;
+    if (hasWindow && !(checkTime(exception.start, `${field}.start`) && checkTime(exception.end, `${field}.end`))) return;
+
+    value.exceptions.push({
+      date: exception.date,
+      active: exception.active,
+      ...(hasWindow ? { start: exception.start, end: exception.end } : {})
+    });
+  });
+
+  return value;
+};
+
+module.exports = {
+  WEEKDAYS,
+  isScheduleActive,
+  validateSchedule
+};
@@ -0,0 +1,187 @@
+// ================================================================
+// SPATIAL INDEX - Grid of geofence bounding boxes
+// ================================================================
+// Geofences are bucketed by the lat/lng grid cells their bounding box
+// covers, so a location report only looks at the zones in its own cell
+// instead of every geofence:
+//
+//   const index = createGeofenceIndex({ padding: g => meters });
+//   index.rebuild(geofences);
+//   index.set(geofence); index.remove(id); index.get(id);
+//   index.candidatesAt(point);   // bounding box contains the point
+//   index.candidatesIn(bbox);    // bounding box overlaps [minLng, minLat, maxLng, maxLat]
+//                                // (minLng > maxLng crosses the antimeridian)
+//
+// Candidates still need an exact test (isPointInGeofence). `padding`
+// grows the box candidatesAt() checks by some meters, e.g. for loitering
+// near a geofence's edge. Zones covering too many cells are kept in a
+// list that every query checks instead.
+//
+// Padded boxes may run past ±180 longitude; grid columns and box tests
+// wrap around the antimeridian so zones next to it still match on the
+// other side. A polygon's own points are taken as given, so a polygon
+// drawn across the antimeridian gets a box spanning the rest of the globe.
+// ================================================================
+
+const { getLat, getLng, isValidPoint, isCircleGeofence } = require('./geo');
+
+const DEFAULT_CELL_DEGREES = 0.05; // ~5.5 km north-south
+const MAX_CELLS_PER_GEOFENCE = 1024;
+const METERS_PER_DEGREE = 111320;
+
+// [minLng, minLat, maxLng, maxLat] of a geofence, grown by `padding` meters;
+// longitudes are not clamped, so a grown box can reach past ±180
+const geofenceBounds = (geofence, padding = 0) => {
+  let bounds;
+
+  if (geofence.shapeType === 'circle' || (!geofence.points?.length && geofence.center)) {
+    if (!isCircleGeofence(geofence)) return null;
+    const lat = getLat(geofence.center);
+    const lng = getLng(geofence.center);
+    bounds = [lng, lat, lng, lat];
+    padding += Number(geofence.radius);
+  } else {
+    const points = (geofence.points || []).filter(isValidPoint);
+    if (points.length === 0) return null;
+    const lats = points.map(getLat);
+    const lngs = points.map(getLng);
+    bounds = [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+  }
+
+  if (padding <= 0) return bounds;
+
+  // Widen longitude by the cosine at the latitude furthest from the equator
+  const latDelta = padding / METERS_PER_DEGREE;
+  const widestLat = Math.min(89, Math.max(Math.abs(bounds[1]), Math.abs(bounds[3])) + latDelta);
+  const lngDelta = padding / (METERS_PER_DEGREE * Math.cos(widestLat * Math.PI / 180));
+
+  return [
+    bounds[0] - lngDelta,
+    Math.max(-90, bounds[1] - latDelta),
+    bounds[2] + lngDelta,
+    Math.min(90, bounds[3] + latDelta)
+  ];
+};
+
+// Longitude shifts that line a point or box up with one reaching past ±180
+const WRAPS = [0, -360, 360];
+
+const boundsContain = (bounds, lat, lng) =>
+  lat >= bounds[1] && lat <= bounds[3] &&
+  WRAPS.some(shift => lng + shift >= bounds[0] && lng + shift <= bounds[2]);
+
+const boundsOverlap = (a, b) =>
+  a[1] <= b[3] && b[1] <= a[3] &&
+  WRAPS.some(shift => a[0] <= b[2] + shift && b[0] + shift <= a[2]);
+
+const createGeofenceIndex = ({ cellDegrees = DEFAULT_CELL_DEGREES, padding = () => 0 } = {}) => {
+  const entries = new Map(); // id -> { geofence, bounds, padded, cells }
+  const cells = new Map(); // "x:y" -> Set(id)
+  const wide = new Set(); // ids of zones spanning more than MAX_CELLS_PER_GEOFENCE cells
+
+  const columns = Math.round(360 / cellDegrees);
+  const cellOf = (degrees) => Math.floor(degrees / cellDegrees);
+  // Grid columns wrap, so 180.01 and -179.99 share one
+  const columnOf = (x) => ((x % columns) + columns) % columns;
+
+  // Cell keys covered by bounds, or null when there are too many
+  const cellKeys = (bounds) => {
+    const [minX, minY, maxX, maxY] = [cellOf(bounds[0]), cellOf(bounds[1]), cellOf(bounds[2]), cellOf(bounds[3])];
+    if ((maxX - minX + 1) * (maxY - minY + 1) > MAX_CELLS_PER_GEOFENCE) return null;
+
+    const keys = new Set();
+    for (let x = minX; x <= maxX; x += 1) {
+      for (let y = minY; y <= maxY; y += 1) keys.add(`${columnOf(x)}:${y}`);
+    }
+    return [...keys];
+  };
+
+  const remove = (id) => {
+    const entry = entries.get(String(id));
+    if (!entry) return false;
+
+    (entry.cells || []).forEach(key => {
+      const bucket = cells.get(key);
+      bucket.delete(entry.geofence.id);
+      if (bucket.size === 0) cells.delete(key);
+    });
+    wide.delete(entry.geofence.id);
+    entries.delete(entry.geofence.id);
+    return true;
+  };
+
+  // Insert or replace a geofence
+  const set = (geofence) => {
+    remove(geofence.id);
+
+    const bounds = geofenceBounds(geofence);
+    const padded = bounds && geofenceBounds(geofence, Number(padding(geofence)) || 0);
+    const keys = padded ? cellKeys(padded) : [];
+    entries.set(geofence.id, { geofence, bounds, padded, cells: keys });
+
+    if (!keys) {
+      wide.add(geofence.id);
+      return;
+    }
+    keys.forEach(key => {
+      if (!cells.has(key)) cells.set(key, new Set());
+      cells.get(key).add(geofence.id);
+    });
+  };
+
+  const rebuild = (geofences) => {
+    entries.clear();
+    cells.clear();
+    wide.clear();
+    geofences.forEach(set);
+  };
+
+  const get = (id) => entries.get(String(id))?.geofence;
+
+  const collect = (ids, test) => {
+    const matches = [];
+    ids.forEach(id => {
+      const entry = entries.get(id);
+      if (entry?.bounds && test(entry)) matches.push(entry.geofence);
+    });
+    return matches;
+  };
+
+  const candidatesAt = (point) => {
+    if (!isValidPoint(point)) return [];
+    const lat = getLat(point);
+    const lng = getLng(point);
+    const ids = new Set([...(cells.get(`${columnOf(cellOf(lng))}:${cellOf(lat)}`) || []), ...wide]);
+    return collect(ids, entry => boundsContain(entry.padded, lat, lng));
+  };
+
+  const candidatesIn = (bbox) => {
+    // A box crossing the antimeridian continues past 180 instead; cells
+    // and box tests wrap, so that covers both sides of the line
+    if (bbox[0] > bbox[2]) return candidatesIn([bbox[0], bbox[1], bbox[2] + 360, bbox[3]]);
+
+    const keys = cellKeys(bbox);
+    if (!keys) return collect(new Set(entries.keys()), entry => boundsOverlap(entry.bounds, bbox));
+
+    const ids = new Set(wide);
+    keys.forEach(key => (cells.get(key) || []).forEach(id => ids.add(id)));
+    return collect(ids, entry => boundsOverlap(entry.bounds, bbox));
+  };
+
+  return {
+    set,
+    remove,
+    rebuild,
+    get,
+    candidatesAt,
+    candidatesIn,
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+module.exports = {
+  geofenceBounds,
+  createGeofenceIndex
+};
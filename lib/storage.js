@@ -0,0 +1,214 @@
+// ================================================================
+// STORAGE LAYER - Pluggable persistence for server state
+// ================================================================
+// The server keeps its working set in memory and hands each changed
+// collection (geofences, sosAlerts, violations, ...) to this layer.
+// Writes are debounced and can be flushed synchronously on shutdown.
+// A failed write is retried with a doubling delay (up to maxFlushDelay)
+// until one succeeds.
+//
+// Backends:
+// - file   (default) JSON document on disk, written atomically
+// - memory (tests / ephemeral deployments) nothing leaves the process
+//
+// Custom backends can be added with registerBackend(name, factory),
+// where factory(options) returns { readAll(), writeAll(state) }.
+//
+// readOnly instances (cluster workers) load the backend at startup but
+// never write it back; the cluster primary persists on their behalf.
+//
+// Collections are either objects keyed by user / id or lists (arrays of
+// records with an `id`). setEntry() / deleteEntry() change one record of
+// either; pass { list: true } for lists that may not exist yet.
+// appendEntry() adds an item to the list kept under a key (e.g. a trail).
+// ================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const backends = new Map();
+
+// Register a storage backend factory under a name
+const registerBackend = (name, factory) => {
+  backends.set(name, factory);
+};
+
+// In-process backend - state survives only as long as the process
+registerBackend('memory', () => {
+  let snapshot = {};
+  return {
+    readAll: () => JSON.parse(JSON.stringify(snapshot)),
+    writeAll: (state) => {
+      snapshot = JSON.parse(JSON.stringify(state));
+    }
+  };
+});
+
+// Embedded JSON file backend - write to a temp file then rename so a
+// crash mid-write never leaves a truncated document behind
+registerBackend('file', ({ filePath }) => {
+  const resolvedPath = path.resolve(filePath || './data/sos-server.json');
+
+  return {
+    filePath: resolvedPath,
+    readAll: () => {
+      if (!fs.existsSync(resolvedPath)) return {};
+      const raw = fs.readFileSync(resolvedPath, 'utf8');
+      return raw.trim() ? JSON.parse(raw) : {};
+    },
+    writeAll: (state) => {
+      fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+      const tempPath = `${resolvedPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+      fs.renameSync(tempPath, resolvedPath);
+    }
+  };
+});
+
+// Insert, replace or (value undefined) remove one record of a collection
+// in place: a key of an object, or the list element with that id. New
+// list records are appended, or put first with `prepend`.
+const applyEntry = (current, key, value, { list = false, prepend = false } = {}) => {
+  const collection = current === undefined && list ? [] : current;
+
+  if (!Array.isArray(collection)) {
+    const target = collection && typeof collection === 'object' ? collection : {};
+    if (value === undefined) {
+      delete target[key];
+    } else {
+      target[key] = value;
+    }
+    return target;
+  }
+
+  const index = collection.findIndex(record => String(record?.id) === String(key));
+  if (value === undefined) {
+    if (index !== -1) collection.splice(index, 1);
+  } else if (index !== -1) {
+    collection[index] = value;
+  } else if (prepend) {
+    collection.unshift(value);
+  } else {
+    collection.push(value);
+  }
+  return collection;
+};
+
+// Append an item to the list kept under a key, keeping the newest `max`
+const appendItem = (current, key, item, { max = 0 } = {}) => {
+  const target = current && typeof current === 'object' && !Array.isArray(current) ? current : {};
+  const items = Array.isArray(target[key]) ? target[key] : [];
+  items.push(item);
+  if (max > 0 && items.length > max) items.splice(0, items.length - max);
+  target[key] = items;
+  return target;
+};
+
+// Create a storage instance on top of the chosen backend
+const createStorage = ({ backend = 'file', flushDelay = 1000, maxFlushDelay = 60000, readOnly = false, ...options } = {}) => {
+  const factory = backends.get(backend);
+  if (!factory) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  const driver = factory(options);
+  let state = {};
+  let dirty = false;
+  let flushTimer = null;
+  let failedFlushes = 0; // consecutive failed writes, for the retry backoff
+
+  // Read everything the backend has; call once at startup
+  const load = () => {
+    state = driver.readAll() || {};
+    return state;
+  };
+
+  // Read a single collection, falling back to a default value
+  const get = (collection, fallback) =>
+    state[collection] !== undefined ? state[collection] : fallback;
+
+  const scheduleFlush = (delay) => {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      try {
+        flush();
+      } catch (error) {
+        console.error(`💾 Storage flush failed ${failedFlushes} time(s) in a row, will retry:`, error.message);
+      }
+    }, delay);
+    flushTimer.unref?.();
+  };
+
+  // Write everything pending to the backend right now; a failed write
+  // throws and is retried later with backoff
+  const flush = () => {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!dirty) return false;
+
+    try {
+      driver.writeAll(state);
+    } catch (error) {
+      failedFlushes += 1;
+      scheduleFlush(Math.min(flushDelay * 2 ** failedFlushes, maxFlushDelay));
+      throw error;
+    }
+    dirty = false;
+    failedFlushes = 0;
+    return true;
+  };
+
+  // Mark the state changed and schedule a debounced write
+  const touch = () => {
+    if (readOnly) return;
+    dirty = true;
+
+    if (!flushTimer) scheduleFlush(flushDelay);
+  };
+
+  // Replace a collection
+  const set = (collection, value) => {
+    state[collection] = value;
+    touch();
+  };
+
+  // Insert or replace one record (see applyEntry)
+  const setEntry = (collection, key, value, options) => {
+    state[collection] = applyEntry(state[collection], key, value, options);
+    touch();
+  };
+
+  // Remove one record
+  const deleteEntry = (collection, key, options) => {
+    state[collection] = applyEntry(state[collection], key, undefined, options);
+    touch();
+  };
+
+  // Append to the list under a key (see appendItem)
+  const appendEntry = (collection, key, item, options) => {
+    state[collection] = appendItem(state[collection], key, item, options);
+    touch();
+  };
+
+  return {
+    backend,
+    readOnly,
+    location: driver.filePath || backend,
+    load,
+    get,
+    set,
+    setEntry,
+    deleteEntry,
+    appendEntry,
+    flush
+  };
+};
+
+module.exports = {
+  registerBackend,
+  applyEntry,
+  appendItem,
+  createStorage
+};
@@ -0,0 +1,47 @@
+// ================================================================
+// GEOFENCE DELTA SYNC
+// ================================================================
+// Every geofence change bumps a global revision. Geofences carry the
+// revision of their last change (and of their creation); deletions
+// leave a tombstone. A client that remembers the last revision it saw
+// can catch up with only what changed since then.
+//
+// When the client's revision is older than the oldest tombstone we
+// still hold (or newer than the server's, e.g. after a data reset)
+// a full snapshot is returned instead.
+// ================================================================
+
+// Work out what changed since a revision; returns a delta or full snapshot
+const computeGeofenceDelta = ({ geofences, tombstones, revision, tombstoneFloor }, sinceRevision) => {
+  const since = Number(sinceRevision);
+
+  const needsSnapshot = !Number.isInteger(since) ||
+    since <= 0 ||
+    since < tombstoneFloor ||
+    since > revision;
+
+  if (needsSnapshot) {
+    return {
+      full: true,
+      revision,
+      created: geofences,
+      updated: [],
+      deleted: []
+    };
+  }
+
+  const changed = geofences.filter(g => (g.revision || 0) > since);
+
+  return {
+    full: false,
+    revision,
+    sinceRevision: since,
+    created: changed.filter(g => (g.createdRevision || 0) > since),
+    updated: changed.filter(g => (g.createdRevision || 0) <= since),
+    deleted: tombstones.filter(t => t.revision > since).map(t => t.id)
+  };
+};
+
+module.exports = {
+  computeGeofenceDelta
+};
@@ -0,0 +1,64 @@
+// ================================================================
+// LIVE TRACKING - Breadcrumb trails
+// ================================================================
+// While a tracking session is active for a user (started by their SOS
+// or by an admin) every location report becomes a breadcrumb. These
+// helpers normalize breadcrumbs and turn a trail into GeoJSON.
+// ================================================================
+
+const { getLat, getLng } = require('./geo');
+
+const optionalNumber = (value) => {
+  const number = Number(value);
+  return value === undefined || value === null || !Number.isFinite(number) ? null : number;
+};
+
+// Normalize a location report into a stored breadcrumb
+const createBreadcrumb = (locationData) => ({
+  lat: getLat(locationData),
+  lng: getLng(locationData),
+  accuracy: optionalNumber(locationData.accuracy),
+  speed: optionalNumber(locationData.speed),
+  heading: optionalNumber(locationData.heading),
+  altitude: optionalNumber(locationData.altitude),
+  timestamp: locationData.timestamp || new Date().toISOString(),
+  receivedAt: new Date().toISOString()
+});
+
+// Parse ?from / ?to (ISO string or epoch millis); returns NaN when invalid
+const parseTime = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+};
+
+// Breadcrumbs between from and to (inclusive), oldest first
+const filterTrail = (trail, from, to) => trail.filter(point => {
+  const time = new Date(point.timestamp).getTime();
+  return (from === undefined || time >= from) && (to === undefined || time <= to);
+});
+
+// GeoJSON Feature with a LineString of the trail ([lng, lat] order)
+const trailToGeoJSON = (user, points, session) => ({
+  type: 'Feature',
+  geometry: {
+    type: 'LineString',
+    coordinates: points.map(point => [point.lng, point.lat])
+  },
+  properties: {
+    user,
+    pointCount: points.length,
+    startedAt: points[0]?.timestamp || null,
+    endedAt: points[points.length - 1]?.timestamp || null,
+    tracking: session || null,
+    timestamps: points.map(point => point.timestamp),
+    accuracy: points.map(point => point.accuracy),
+    speed: points.map(point => point.speed)
+  }
+});
+
+module.exports = {
+  createBreadcrumb,
+  parseTime,
+  filterTrail,
+  trailToGeoJSON
+};
@@ -0,0 +1,207 @@
+// ================================================================
+// GEOFENCE SCHEMA VALIDATION
+// ================================================================
+// Shared by the REST API and the createGeofence / updateGeofence /
+// setGeofence socket handlers. validateGeofence() whitelists known
+// fields, applies defaults and returns structured errors:
+//
+//   { valid: false, errors: [{ field, code, message }] }
+//   { valid: true, value: { ...normalized geofence fields } }
+// ================================================================
+
+const { getLat, getLng } = require('./geo');
+const { validateSchedule } = require('./schedule');
+const { validateRules } = require('./rules');
+
+// Error codes returned to REST and socket clients
+const ERROR_CODES = {
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  DUPLICATE_ID: 'DUPLICATE_ID',
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  UNSUPPORTED_GEOMETRY: 'UNSUPPORTED_GEOMETRY',
+  REQUIRED: 'REQUIRED',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_VALUE: 'INVALID_VALUE',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  TOO_FEW_POINTS: 'TOO_FEW_POINTS'
+};
+
+const GEOFENCE_TYPES = ['MONITORING', 'SAFE_ZONE', 'DANGER_ZONE', 'RESTRICTED', 'EMERGENCY'];
+const GEOFENCE_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const SHAPE_TYPES = ['polygon', 'circle'];
+
+const MAX_NAME_LENGTH = 200;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Validate a single coordinate; returns a normalized {lat, lng} or null
+const validatePoint = (point, field, errors) => {
+  if (!isPlainObject(point) && !Array.isArray(point)) {
+    errors.push({ field, code: ERROR_CODES.INVALID_TYPE, message: `${field} must be a {lat, lng} object` });
+    return null;
+  }
+
+  const lat = getLat(point);
+  const lng = getLng(point);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    errors.push({ field, code: ERROR_CODES.INVALID_TYPE, message: `${field} needs numeric lat and lng` });
+    return null;
+  }
+  if (lat < -90 || lat > 90) {
+    errors.push({ field: `${field}.lat`, code: ERROR_CODES.OUT_OF_RANGE, message: 'lat must be between -90 and 90' });
+    return null;
+  }
+  if (lng < -180 || lng > 180) {
+    errors.push({ field: `${field}.lng`, code: ERROR_CODES.OUT_OF_RANGE, message: 'lng must be between -180 and 180' });
+    return null;
+  }
+
+  return { lat, lng };
+};
+
+const validateBoolean = (input, field, fallback, errors) => {
+  if (input[field] === undefined) return fallback;
+  if (typeof input[field] !== 'boolean') {
+    errors.push({ field, code: ERROR_CODES.INVALID_TYPE, message: `${field} must be a boolean` });
+    return fallback;
+  }
+  return input[field];
+};
+
+const validateEnum = (input, field, allowed, fallback, errors) => {
+  if (input[field] === undefined || input[field] === null) return fallback;
+  if (!allowed.includes(input[field])) {
+    errors.push({
+      field,
+      code: ERROR_CODES.INVALID_VALUE,
+      message: `${field} must be one of: ${allowed.join(', ')}`
+    });
+    return fallback;
+  }
+  return input[field];
+};
+
+// Validate and normalize a complete geofence definition
+const validateGeofence = (input) => {
+  const errors = [];
+
+  if (!isPlainObject(input)) {
+    return {
+      valid: false,
+      errors: [{ field: '', code: ERROR_CODES.INVALID_TYPE, message: 'Geofence must be an object' }]
+    };
+  }
+
+  // Older clients sent the shape in `type`
+  const legacyShape = SHAPE_TYPES.includes(input.type) ? input.type : null;
+  const normalizedInput = legacyShape
+    ? { ...input, type: undefined, shapeType: input.shapeType || legacyShape }
+    : input;
+
+  const value = {};
+
+  if (input.id !== undefined && input.id !== null) {
+    if ((typeof input.id !== 'string' && typeof input.id !== 'number') || String(input.id).trim() === '') {
+      errors.push({ field: 'id', code: ERROR_CODES.INVALID_TYPE, message: 'id must be a non-empty string' });
+    } else {
+      value.id = String(input.id);
+    }
+  }
+
+  if (typeof input.name !== 'string' || input.name.trim() === '') {
+    errors.push({ field: 'name', code: ERROR_CODES.REQUIRED, message: 'name is required' });
+  } else if (input.name.length > MAX_NAME_LENGTH) {
+    errors.push({ field: 'name', code: ERROR_CODES.OUT_OF_RANGE, message: `name must be at most ${MAX_NAME_LENGTH} characters` });
+  } else {
+    value.name = input.name.trim();
+  }
+
+  if (input.description !== undefined && input.description !== null) {
+    if (typeof input.description !== 'string') {
+      errors.push({ field: 'description', code: ERROR_CODES.INVALID_TYPE, message: 'description must be a string' });
+    } else {
+      value.description = input.description;
+    }
+  }
+
+  value.type = validateEnum(normalizedInput, 'type', GEOFENCE_TYPES, 'MONITORING', errors);
+  value.priority = validateEnum(input, 'priority', GEOFENCE_PRIORITIES, 'medium', errors);
+  value.active = validateBoolean(input, 'active', true, errors);
+  value.alertOnEntry = validateBoolean(input, 'alertOnEntry', true, errors);
+  value.alertOnExit = validateBoolean(input, 'alertOnExit', false, errors);
+
+  // Optional time schedule (null removes it)
+  if (input.schedule !== undefined) {
+    const schedule = validateSchedule(input.schedule, errors, ERROR_CODES);
+    if (schedule) value.schedule = schedule;
+  }
+
+  // Optional contact groups the geofence is limited to (empty / null: everyone)
+  if (input.groups !== undefined && input.groups !== null) {
+    const isGroupId = (id) => (typeof id === 'string' && id.trim() !== '') || typeof id === 'number';
+    if (!Array.isArray(input.groups) || !input.groups.every(isGroupId)) {
+      errors.push({ field: 'groups', code: ERROR_CODES.INVALID_TYPE, message: 'groups must be a list of group ids' });
+    } else if (input.groups.length > 0) {
+      value.groups = [...new Set(input.groups.map(String))];
+    }
+  }
+
+  // Optional dwell / loitering / speed / no-movement rules (null removes them)
+  if (input.rules !== undefined) {
+    const rules = validateRules(input.rules, errors, ERROR_CODES);
+    if (rules) value.rules = rules;
+  }
+
+  const inferredShape = input.center && !input.points?.length ? 'circle' : 'polygon';
+  value.shapeType = validateEnum(normalizedInput, 'shapeType', SHAPE_TYPES, inferredShape, errors);
+
+  if (value.shapeType === 'circle') {
+    value.points = [];
+    if (input.center === undefined || input.center === null) {
+      errors.push({ field: 'center', code: ERROR_CODES.REQUIRED, message: 'center is required for circle geofences' });
+      value.center = null;
+    } else {
+      value.center = validatePoint(input.center, 'center', errors);
+    }
+
+    const radius = Number(input.radius);
+    if (input.radius === undefined || input.radius === null) {
+      errors.push({ field: 'radius', code: ERROR_CODES.REQUIRED, message: 'radius is required for circle geofences' });
+      value.radius = null;
+    } else if (typeof input.radius === 'boolean' || !Number.isFinite(radius) || radius <= 0) {
+      errors.push({ field: 'radius', code: ERROR_CODES.OUT_OF_RANGE, message: 'radius must be a positive number of meters' });
+      value.radius = null;
+    } else {
+      value.radius = radius;
+    }
+  } else {
+    value.center = null;
+    value.radius = null;
+
+    if (!Array.isArray(input.points)) {
+      errors.push({ field: 'points', code: ERROR_CODES.REQUIRED, message: 'points are required for polygon geofences' });
+      value.points = [];
+    } else if (input.points.length < 3) {
+      errors.push({ field: 'points', code: ERROR_CODES.TOO_FEW_POINTS, message: 'polygon needs at least 3 points' });
+      value.points = [];
+    } else {
+      value.points = input.points.map((point, index) => validatePoint(point, `points[${index}]`, errors));
+    }
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+  return { valid: true, value };
+};
+
+module.exports = {
+  ERROR_CODES,
+  GEOFENCE_TYPES,
+  GEOFENCE_PRIORITIES,
+  SHAPE_TYPES,
+  validateGeofence
+};
@@ -0,0 +1,362 @@
+// ================================================================
+// OUTBOUND WEBHOOKS
+// ================================================================
+// Pushes server events to subscribed HTTP endpoints:
+// - Subscriptions filter by event type ('*' for everything)
+// - JSON payloads signed with HMAC-SHA256 over "<timestamp>.<body>"
+//   (headers X-SOS-Timestamp and X-SOS-Signature: sha256=<hex>)
+// - Failed deliveries retry with exponential backoff, then move to
+//   a dead-letter list that admins can inspect and retry
+// - Every attempt is written to a bounded delivery log
+//
+// Subscriptions, the retry queue, dead letters and the log are kept
+// in the storage layer so pending retries survive restarts.
+//
+// In a cluster only one node delivers: the others pass a `relay`
+// function, relay(action, ...args), that hands events ('dispatch') and
+// dead-letter retries ('retryDeadLetter') to it instead of queueing
+// locally; the delivering node runs them with receiveRelayed().
+// ================================================================
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = [
+  'sos.created',
+  'sos.repeated',
+  'sos.status_changed',
+  'sos.escalated',
+  'geofence.violation',
+  'geofence.created',
+  'geofence.updated',
+  'geofence.deleted',
+  'checkin.missed',
+  'device.offline'
+];
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 6,
+  baseDelayMs: 5000,
+  maxDelayMs: 15 * 60 * 1000,
+  timeoutMs: 10000,
+  maxLogEntries: 500,
+  maxDeadLetters: 500
+};
+
+// Signature receivers recompute to verify a payload
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Delay before the given retry attempt (attempt 2 waits baseDelay, then doubles)
+const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }) =>
+  Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempt - 2));
+
+// Validate a subscription body; returns a list of error messages
+const validateSubscription = (input, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || input.url !== undefined) {
+    let url = null;
+    try {
+      url = new URL(input.url);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('url must be an absolute http(s) URL');
+    }
+  }
+
+  if (input.events !== undefined) {
+    if (!Array.isArray(input.events) || input.events.length === 0) {
+      errors.push('events must be a non-empty array');
+    } else {
+      const unknown = input.events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+      if (unknown.length > 0) {
+        errors.push(`Unknown event types: ${unknown.join(', ')} (known: ${WEBHOOK_EVENTS.join(', ')}, *)`);
+      }
+    }
+  }
+
+  if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+    errors.push('secret must be a string of at least 16 characters');
+  }
+  if (input.active !== undefined && typeof input.active !== 'boolean') {
+    errors.push('active must be a boolean');
+  }
+
+  return errors;
+};
+
+// Subscription as shown over the API (never expose the secret)
+const publicSubscription = ({ secret, ...subscription }) => ({
+  ...subscription,
+  secretPreview: secret ? `${secret.slice(0, 4)}…` : null
+});
+
+// Create a dispatcher bound to a storage instance
+const createWebhookDispatcher = ({ storage, fetchImpl = globalThis.fetch, relay = null, ...overrides } = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+
+  let subscriptions = storage.get('webhooks', []);
+  let queue = storage.get('webhookQueue', []);
+  let deadLetters = storage.get('webhookDeadLetters', []);
+  let deliveryLog = storage.get('webhookDeliveries', []);
+  const timers = new Map(); // deliveryId -> retry timer
+
+  // Hand one changed record to the storage layer; removed when it is
+  // no longer in its list
+  const persistRecord = (collection, list, id, options) => {
+    const record = list.find(r => r.id === id);
+    if (record) {
+      storage.setEntry(collection, id, record, options);
+    } else {
+      storage.deleteEntry(collection, id, options);
+    }
+  };
+  const persistSubscription = (id) => persistRecord('webhooks', subscriptions, id, { list: true });
+  const persistQueued = (id) => persistRecord('webhookQueue', queue, id, { list: true });
+  const persistDeadLetter = (id) => persistRecord('webhookDeadLetters', deadLetters, id, { list: true, prepend: true });
+  const persistLogEntry = (id) => persistRecord('webhookDeliveries', deliveryLog, id, { list: true, prepend: true });
+
+  const findSubscription = (id) => subscriptions.find(s => s.id === id);
+
+  const logAttempt = (attempt) => {
+    const entry = { id: crypto.randomUUID(), ...attempt };
+    deliveryLog.unshift(entry);
+    persistLogEntry(entry.id);
+    deliveryLog.splice(options.maxLogEntries).forEach(dropped => persistLogEntry(dropped.id));
+  };
+
+  const schedule = (delivery) => {
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    const timer = setTimeout(() => attempt(delivery.id), delay);
+    timer.unref?.();
+    timers.set(delivery.id, timer);
+  };
+
+  // Try to deliver a queued event once; reschedule or dead-letter on failure
+  const attempt = async (deliveryId) => {
+    timers.delete(deliveryId);
+    const delivery = queue.find(d => d.id === deliveryId);
+    if (!delivery) return;
+
+    const subscription = findSubscription(delivery.webhookId);
+    if (!subscription) {
+      queue = queue.filter(d => d.id !== deliveryId);
+      persistQueued(deliveryId);
+      return;
+    }
+
+    delivery.attempts += 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetchImpl(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Vortex-SOS-Webhooks/1.0',
+          'X-SOS-Event': delivery.eventType,
+          'X-SOS-Delivery': delivery.id,
+          'X-SOS-Timestamp': timestamp,
+          'X-SOS-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(options.timeoutMs)
+      });
+      statusCode = response.status;
+      if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    logAttempt({
+      deliveryId: delivery.id,
+      webhookId: subscription.id,
+      eventType: delivery.eventType,
+      attempt: delivery.attempts,
+      success: !error,
+      statusCode,
+      error,
+      durationMs: Date.now() - startedAt,
+      at: new Date().toISOString()
+    });
+
+    if (!error) {
+      queue = queue.filter(d => d.id !== deliveryId);
+      persistQueued(deliveryId);
+      return;
+    }
+
+    delivery.lastError = error;
+
+    if (delivery.attempts >= options.maxAttempts) {
+      console.warn(`🪝 Webhook delivery ${delivery.id} to ${subscription.url} dead-lettered after ${delivery.attempts} attempts: ${error}`);
+      queue = queue.filter(d => d.id !== deliveryId);
+      deadLetters.unshift({ ...delivery, deadLetteredAt: new Date().toISOString() });
+      persistQueued(deliveryId);
+      persistDeadLetter(deliveryId);
+      deadLetters.splice(options.maxDeadLetters).forEach(dropped => persistDeadLetter(dropped.id));
+      return;
+    }
+
+    delivery.nextAttemptAt = new Date(Date.now() + backoffDelay(delivery.attempts + 1, options)).toISOString();
+    persistQueued(deliveryId);
+    schedule(delivery);
+  };
+
+  const enqueue = (subscription, eventType, payload) => {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: subscription.id,
+      eventType,
+      payload,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString()
+    };
+    queue.push(delivery);
+    persistQueued(delivery.id);
+    schedule(delivery);
+    return delivery;
+  };
+
+  // Fan an event out to every active subscription interested in it
+  const dispatch = (eventType, data) => {
+    if (relay) {
+      relay('dispatch', eventType, data);
+      return 0;
+    }
+
+    const targets = subscriptions.filter(s =>
+      s.active && (s.events.includes('*') || s.events.includes(eventType)));
+    if (targets.length === 0) return 0;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data
+    };
+    targets.forEach(subscription => enqueue(subscription, eventType, payload));
+    return targets.length;
+  };
+
+  const createSubscription = (input) => {
+    const subscription = {
+      id: crypto.randomUUID(),
+      url: input.url,
+      events: input.events || ['*'],
+      description: input.description || '',
+      active: input.active !== false,
+      secret: input.secret || crypto.randomBytes(24).toString('hex'),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    subscriptions.push(subscription);
+    persistSubscription(subscription.id);
+    return subscription;
+  };
+
+  const updateSubscription = (id, changes) => {
+    const index = subscriptions.findIndex(s => s.id === id);
+    if (index === -1) return null;
+
+    const allowed = ['url', 'events', 'description', 'active', 'secret'];
+    const updates = Object.fromEntries(Object.entries(changes).filter(([key]) => allowed.includes(key)));
+    subscriptions[index] = { ...subscriptions[index], ...updates, updatedAt: new Date().toISOString() };
+    persistSubscription(id);
+    return subscriptions[index];
+  };
+
+  const deleteSubscription = (id) => {
+    const subscription = findSubscription(id);
+    if (!subscription) return null;
+
+    subscriptions = subscriptions.filter(s => s.id !== id);
+    const dropped = queue.filter(d => d.webhookId === id);
+    dropped.forEach(d => {
+      clearTimeout(timers.get(d.id));
+      timers.delete(d.id);
+    });
+    queue = queue.filter(d => d.webhookId !== id);
+    persistSubscription(id);
+    dropped.forEach(d => persistQueued(d.id));
+    return subscription;
+  };
+
+  // Put a dead-lettered delivery back on the queue with fresh attempts
+  const retryDeadLetter = (deliveryId) => {
+    const deadLetter = deadLetters.find(d => d.id === deliveryId);
+    if (!deadLetter || !findSubscription(deadLetter.webhookId)) return null;
+
+    const { deadLetteredAt, ...delivery } = deadLetter;
+    const requeued = { ...delivery, attempts: 0, nextAttemptAt: new Date().toISOString() };
+    if (relay) {
+      relay('retryDeadLetter', deliveryId);
+      return requeued;
+    }
+
+    deadLetters = deadLetters.filter(d => d.id !== deliveryId);
+    queue.push(requeued);
+    persistDeadLetter(deliveryId);
+    persistQueued(deliveryId);
+    schedule(requeued);
+    return requeued;
+  };
+
+  // Run what a non-delivering node relayed here
+  const receiveRelayed = (action, args) => {
+    if (action === 'dispatch') return dispatch(...args);
+    if (action === 'retryDeadLetter') return retryDeadLetter(...args);
+    return null;
+  };
+
+  // Resume retries that were pending when the server stopped
+  const resume = () => {
+    queue.forEach(delivery => schedule(delivery));
+    return queue.length;
+  };
+
+  // Pick up subscriptions, dead letters and the log changed by another node
+  const reload = () => {
+    subscriptions = storage.get('webhooks', []);
+    deadLetters = storage.get('webhookDeadLetters', []);
+    deliveryLog = storage.get('webhookDeliveries', []);
+  };
+
+  const stop = () => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return {
+    dispatch,
+    resume,
+    reload,
+    stop,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    retryDeadLetter,
+    receiveRelayed,
+    getSubscription: findSubscription,
+    listSubscriptions: () => subscriptions,
+    getPending: () => queue,
+    getDeadLetters: () => deadLetters,
+    getDeliveryLog: (webhookId) =>
+      (webhookId ? deliveryLog.filter(entry => entry.webhookId === webhookId) : deliveryLog)
+  };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  validateSubscription,
+  publicSubscription,
+  createWebhookDispatcher
+};
@@ -0,0 +1,26 @@
+// ================================================================
+// ISSUE TOKEN - Mint an auth token from the command line
+// ================================================================
+// Usage: AUTH_SECRET=... node scripts/issue-token.js <sub> <role> [expiresInSeconds]
+// Roles: admin, responder, mobile. Tokens expire after a day by default.
+// ================================================================
+
+const { ROLES, DEFAULT_TOKEN_TTL_SECONDS, MAX_TOKEN_TTL_SECONDS, isValidTokenTtl, signToken } = require('../lib/auth');
+
+const [sub, role, expiresIn] = process.argv.slice(2);
+
+if (!process.env.AUTH_SECRET) {
+  console.error('❌ AUTH_SECRET must be set to the same value the server uses');
+  process.exit(1);
+}
+
+const ttl = expiresIn === undefined ? DEFAULT_TOKEN_TTL_SECONDS : Number(expiresIn);
+
+if (!sub || !Object.values(ROLES).includes(role) || !isValidTokenTtl(ttl)) {
+  console.error('Usage: node scripts/issue-token.js <sub> <role> [expiresInSeconds]');
+  console.error('Roles:', Object.values(ROLES).join(', '));
+  console.error(`expiresInSeconds: 1 to ${MAX_TOKEN_TTL_SECONDS} (default ${DEFAULT_TOKEN_TTL_SECONDS})`);
+  process.exit(1);
+}
+
+console.log(signToken({ sub, role }, process.env.AUTH_SECRET, { expiresIn: ttl }));
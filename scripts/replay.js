@@ -0,0 +1,251 @@
+// ================================================================
+// REPLAY - Play a recorded event log or GPS trace against a server
+// ================================================================
+// Usage: AUTH_SECRET=... node scripts/replay.js <trace> [options]
+//
+//   --url <url>          server to replay against (http://localhost:$PORT)
+//   --speed <n>          time acceleration, 0 sends as fast as possible (1)
+//   --interval <s>       seconds between trace points without a time (10)
+//   --user <name>        user for trace points without one (replay)
+//   --prefix <text>      prepended to every user, to keep runs apart
+//   --events <a,b>       only replay these events
+//   --settle <ms>        wait for late alerts and violations (1000)
+//   --json               print the report as JSON
+//
+// Each user in the trace connects with a token of their recorded role
+// (mobile for trace points). Report timestamps are rewritten to the
+// trace's own clock, so a 30 minute dwell rule fires after 3 minutes at
+// --speed 10. That clock is started in the past, far enough back that
+// no report is sent before its timestamp (the server does not accept
+// reports from the future). The report lists the SOS alerts and geofence
+// violations the server sent back to the replayed users.
+//
+// Tests can require this file and call replay(traceText, options) with
+// the same options plus `secret`; it resolves with the report.
+// ================================================================
+
+const fs = require('fs');
+const { io } = require('socket.io-client');
+const { ROLES, signToken } = require('../lib/auth');
+const { DEFAULT_INTERVAL_SECONDS, parseTrace } = require('../lib/replay');
+
+// Events whose reports carry a timestamp the server evaluates
+const TIMESTAMPED_EVENTS = ['locationUpdate', 'sos', 'heartbeat', 'geofenceViolation'];
+
+const ACK_TIMEOUT_MS = 5000;
+const CONNECT_TIMEOUT_MS = 10000;
+const TOKEN_TTL_SECONDS = 60 * 60; // only checked when the sockets connect
+
+const usage = () => {
+  console.error('Usage: node scripts/replay.js <trace> [--url <url>] [--speed <n>] [--interval <s>] [--user <name>]');
+  console.error('                              [--prefix <text>] [--events <a,b>] [--settle <ms>] [--json]');
+  process.exit(1);
+};
+
+const parseArgs = (argv) => {
+  const options = {
+    url: `http://localhost:${process.env.PORT || 3000}`,
+    speed: 1,
+    interval: DEFAULT_INTERVAL_SECONDS,
+    user: 'replay',
+    prefix: '',
+    events: null,
+    settle: 1000,
+    json: false
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (name === 'json') {
+      options.json = true;
+      continue;
+    }
+    if (!(name in options) || argv[i + 1] === undefined) usage();
+    const value = argv[i += 1];
+    if (['speed', 'interval', 'settle'].includes(name)) {
+      options[name] = Number(value);
+      if (!Number.isFinite(options[name]) || options[name] < 0) usage();
+    } else if (name === 'events') {
+      options.events = value.split(',').map(e => e.trim());
+    } else {
+      options[name] = value;
+    }
+  }
+
+  if (positional.length !== 1) usage();
+  return { ...options, trace: positional[0] };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Connect one socket per replayed user and collect what the server sends back
+const connectUsers = async (steps, options, results) => {
+  const sockets = new Map(); // "user|role" -> socket
+
+  const connect = (user, role) => new Promise((resolve, reject) => {
+    const token = signToken({ sub: user, role }, options.secret, { expiresIn: TOKEN_TTL_SECONDS });
+    const socket = io(options.url, { auth: { token }, reconnection: false, timeout: CONNECT_TIMEOUT_MS });
+
+    socket.on('sosAlert', alert => {
+      if (alert.user === user) results.alerts.set(alert.id, alert);
+    });
+    socket.on('geofenceViolation', violation => {
+      if (violation.user === user) results.violations.set(violation.id, violation);
+    });
+    socket.on('rateLimited', () => {
+      results.rateLimited += 1;
+    });
+    socket.on('error', error => results.errors.push({ user, error: error?.message || String(error) }));
+
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', error => reject(new Error(`${user} (${role}) could not connect: ${error.message}`)));
+  });
+
+  try {
+    for (const { user, role } of steps) {
+      const key = `${user}|${role}`;
+      if (!sockets.has(key)) sockets.set(key, await connect(user, role));
+    }
+  } catch (error) {
+    sockets.forEach(socket => socket.close());
+    throw error;
+  }
+  return sockets;
+};
+
+// Send a step with the user prefix and trace-clock timestamp applied
+const sendStep = (socket, step, clockStart, results) => new Promise(resolve => {
+  const data = step.data && typeof step.data === 'object' && !Array.isArray(step.data) ? { ...step.data } : step.data;
+
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    if (data.user !== undefined) data.user = step.user;
+    if (step.event === 'identify' && data.name === step.originalUser) data.name = step.user;
+    if (TIMESTAMPED_EVENTS.includes(step.event)) data.timestamp = new Date(clockStart + step.offsetMs).toISOString();
+  }
+
+  results.sent += 1;
+  socket.timeout(ACK_TIMEOUT_MS).emit(step.event, data, (error, response) => {
+    // Events without an ack time out; only explicit failures count
+    if (!error && response && response.success === false) {
+      results.failed.push({ offsetMs: step.offsetMs, user: step.user, event: step.event, code: response.code, error: response.error });
+    }
+    resolve();
+  });
+});
+
+const printReport = (report) => {
+  console.log(`🎬 Replayed ${report.sent} of ${report.steps} events in ${(report.durationMs / 1000).toFixed(1)}s (${report.invalid} invalid lines skipped)`);
+  if (report.failed.length > 0) {
+    console.log(`❌ ${report.failed.length} events failed:`);
+    report.failed.forEach(f => console.log(`   +${f.offsetMs}ms ${f.event} (${f.user}): ${f.error}`));
+  }
+  if (report.errors.length > 0) {
+    console.log(`❌ The server reported ${report.errors.length} errors:`);
+    report.errors.forEach(e => console.log(`   ${e.user}: ${e.error}`));
+  }
+  if (report.rateLimited > 0) {
+    console.log(`🚦 ${report.rateLimited} events were rate limited - raise the limits with RATE_LIMITS_FILE or lower --speed`);
+  }
+
+  console.log(`🚨 SOS alerts: ${report.alerts.length}`);
+  report.alerts.forEach(a => console.log(`   ${a.receivedAt} ${a.user} ${a.status} (${a.id})`));
+
+  console.log(`⚠️ Geofence violations: ${report.violations.length}`, JSON.stringify(report.violationsByAction));
+  report.violations.forEach(v => console.log(`   ${v.timestamp} ${v.user} ${v.action} "${v.geofenceName}"`));
+};
+
+// Replay a trace and resolve with the report
+const replay = async (text, {
+  url,
+  secret,
+  speed = 1,
+  interval = DEFAULT_INTERVAL_SECONDS,
+  user = 'replay',
+  prefix = '',
+  events = null,
+  settle = 1000
+}) => {
+  const options = { url, secret, speed, prefix, events, settle };
+  const { steps: parsed, invalid } = parseTrace(text, { intervalSeconds: interval, user });
+  const steps = parsed
+    .filter(step => !options.events || options.events.includes(step.event))
+    .map(step => ({
+      ...step,
+      originalUser: step.user,
+      user: `${options.prefix}${step.user}`,
+      role: Object.values(ROLES).includes(step.role) ? step.role : ROLES.MOBILE
+    }));
+
+  const results = { sent: 0, failed: [], errors: [], rateLimited: 0, alerts: new Map(), violations: new Map() };
+  const sockets = await connectUsers(steps, options, results);
+
+  // Start the trace clock early enough that no timestamp is later than its send time
+  const startedAt = Date.now();
+  const lastOffsetMs = steps.reduce((max, step) => Math.max(max, step.offsetMs), 0);
+  const clockStart = startedAt - (options.speed > 0 ? Math.max(0, lastOffsetMs * (1 - 1 / options.speed)) : lastOffsetMs);
+  const pending = [];
+  for (const step of steps) {
+    if (options.speed > 0) {
+      const wait = startedAt + step.offsetMs / options.speed - Date.now();
+      if (wait > 0) await sleep(wait);
+    }
+    pending.push(sendStep(sockets.get(`${step.user}|${step.role}`), step, clockStart, results));
+  }
+  await Promise.all(pending);
+  await sleep(options.settle);
+
+  sockets.forEach(socket => socket.close());
+
+  const violations = [...results.violations.values()];
+  return {
+    url: options.url,
+    speed: options.speed,
+    steps: steps.length,
+    invalid,
+    sent: results.sent,
+    durationMs: Date.now() - startedAt,
+    failed: results.failed,
+    errors: results.errors,
+    rateLimited: results.rateLimited,
+    alerts: [...results.alerts.values()],
+    violations,
+    violationsByAction: violations.reduce((counts, v) => ({ ...counts, [v.action]: (counts[v.action] || 0) + 1 }), {})
+  };
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!process.env.AUTH_SECRET) {
+    console.error('❌ AUTH_SECRET must be set to the same value the server uses');
+    process.exit(1);
+  }
+
+  const report = {
+    trace: options.trace,
+    ...await replay(fs.readFileSync(options.trace, 'utf8'), { ...options, secret: process.env.AUTH_SECRET })
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+};
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  replay
+};
@@ -12,553 +12,3781 @@
 // 1. Import necessary libraries
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
+const cluster = require('cluster');
 const { Server } = require("socket.io");
+const { createAdapter } = require('@socket.io/cluster-adapter');
+const { setupWorker } = require('@socket.io/sticky');
 const cors = require('cors');
+const { getLat, getLng, isValidPoint, isPointInGeofence, distanceToGeofenceEdge } = require('./lib/geo');
+const { applyEntry, createStorage } = require('./lib/storage');
+const { createLocalTransport, createProcessTransport, createSharedStore } = require('./lib/cluster');
+const {
+  INCIDENT_STATUS,
+  isTerminalStatus,
+  createIncidentFields,
+  normalizeIncident,
+  transitionIncident
+} = require('./lib/incidents');
+const { ROLES, MAX_TOKEN_TTL_SECONDS, hasRole, isValidTokenTtl, createAuth, extractBearerToken } = require('./lib/auth');
+const { ERROR_CODES, GEOFENCE_PRIORITIES, validateGeofence } = require('./lib/validation');
+const { computeGeofenceDelta } = require('./lib/sync');
+const {
+  loadEscalationPolicies,
+  getNextEscalationStep,
+  maxSeverity
+} = require('./lib/escalation');
+const {
+  validateSubscription,
+  publicSubscription,
+  createWebhookDispatcher
+} = require('./lib/webhooks');
+const {
+  createBreadcrumb,
+  parseTime,
+  filterTrail,
+  trailToGeoJSON
+} = require('./lib/tracking');
+const {
+  FORMATS: GEOFENCE_FORMATS,
+  geofencesToGeoJSON,
+  geofencesToKML,
+  featureToGeofenceInputs,
+  geojsonToFeatures,
+  kmlToFeatures
+} = require('./lib/geoformats');
+const { AVAILABILITY, AVAILABILITY_VALUES, rankResponders } = require('./lib/dispatch');
+const { isScheduleActive } = require('./lib/schedule');
+const { HISTORY_ACTIONS, diffGeofences, restorableFields, appendVersion } = require('./lib/history');
+const { RULE_ACTIONS, measureSpeed, evaluateRules } = require('./lib/rules');
+const { createGeofenceIndex } = require('./lib/spatial');
+const { validateGroup } = require('./lib/groups');
+const { QUICK_REPLIES, MESSAGE_KINDS, validateMessage, createMessage } = require('./lib/chat');
+const { validateAdvisory, isAdvisoryActive, advisorySummary, advisoryNotice } = require('./lib/advisories');
+const {
+  CHECK_IN_STATUS,
+  DEFAULT_CHECK_IN_SETTINGS,
+  validateCheckInSettings,
+  createHeartbeat,
+  checkInDeadline
+} = require('./lib/checkins');
+const { parseRecordQuery, runRecordQuery, recordsToCSV, recordsToGeoJSON } = require('./lib/query');
+const { loadRateLimits, createRateLimiter } = require('./lib/ratelimit');
+const { createEventRecorder, nodeLogFile } = require('./lib/recorder');
+const { createMetricsRegistry, mergeSnapshots, renderPrometheus } = require('./lib/metrics');
 
 // 2. Setup the Express App and HTTP Server
 const app = express();
 const server = http.createServer(app);
 
+// Allowed origins (comma separated CORS_ORIGIN, default: any origin)
+const CORS_ORIGIN = process.env.CORS_ORIGIN
+  ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim())
+  : '*';
+
+// Request body limit (geofence imports can be large)
+const BODY_LIMIT = process.env.BODY_LIMIT || '5mb';
+
 // Enable CORS and JSON parsing
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: CORS_ORIGIN }));
+app.use(express.json({ limit: BODY_LIMIT, type: ['application/json', 'application/geo+json'] }));
 
 // 3. Initialize Socket.IO
 const io = new Server(server, {
   cors: {
-    origin: "*", // Allow connections from any origin
+    origin: CORS_ORIGIN,
     methods: ["GET", "POST"]
   }
 });
 
+// Cluster mode (node cluster.js): the primary owns the listening socket and
+// hands connections to workers; the adapter carries broadcasts, rooms and
+// serverSideEmit between them. Without it this process is the only node.
+const CLUSTERED = cluster.isWorker;
+const NODE_ID = process.env.NODE_ID || (CLUSTERED ? `worker-${cluster.worker.id}` : `node-${process.pid}`);
+
+// Work that must happen once per deployment (schedule checks, resumed
+// escalations, webhook delivery) runs on the leader node only
+const IS_LEADER = !CLUSTERED || process.env.CLUSTER_LEADER === 'true';
+
+// How long to wait for other nodes to answer a request (stats, dispatch)
+const PEER_REQUEST_TIMEOUT_MS = 2000;
+
+if (CLUSTERED) {
+  io.adapter(createAdapter({ requestsTimeout: PEER_REQUEST_TIMEOUT_MS }));
+  setupWorker(io);
+}
+
+// Token authentication - AUTH_SECRET signs and verifies tokens (mint the
+// first admin token with scripts/issue-token.js). AUTH_DISABLED=true runs
+// everything as an anonymous admin for local development.
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+if (!process.env.AUTH_SECRET && !AUTH_DISABLED) {
+  console.error('❌ AUTH_SECRET must be set (or AUTH_DISABLED=true for local development)');
+  process.exit(1);
+}
+const auth = createAuth({
+  secret: process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex'),
+  disabled: AUTH_DISABLED
+});
+const { authenticate, requireRole } = auth;
+
+io.use(auth.socketMiddleware);
+
 // 4. Define the Port
 const PORT = process.env.PORT || 3000;
 
 // ================================================================
-// DATA STORAGE (In-memory - Use database in production)
+// DATA STORAGE (In-memory working set backed by persistent storage)
 // ================================================================
-let geofences = []; // Array to store multiple geofences
+// Workers only read the backend; the cluster primary persists their writes
+const storage = createSharedStore({
+  storage: createStorage({
+    backend: process.env.STORAGE_BACKEND || 'file',
+    filePath: process.env.STORAGE_FILE || './data/sos-server.json',
+    readOnly: CLUSTERED
+  }),
+  transport: CLUSTERED ? createProcessTransport() : createLocalTransport(),
+  nodeId: NODE_ID
+});
+storage.load();
+
+let geofences = [...storage.get('geofences', [])]; // Array to store multiple geofences
 let connectedClients = new Map(); // Track connected clients
-let sosAlerts = []; // Store recent SOS alerts
+let sosAlerts = storage.get('sosAlerts', []).map(normalizeIncident); // Store recent SOS alerts (incidents)
+let violations = storage.get('violations', []); // Store recent geofence violations
+let geofenceHistory = storage.get('geofenceHistory', {}); // geofenceId -> versions (kept after deletion)
+const knownClients = new Map(Object.entries(storage.get('clients', {}))); // Last seen info per client
+const trackingSessions = new Map(Object.entries(storage.get('trackingSessions', {}))); // user -> active tracking session
+const responders = new Map(Object.entries(storage.get('responders', {}))); // user -> position & availability
+let blocklist = storage.get('blocklist', []); // Blocked users / IP addresses
+const groups = new Map(Object.entries(storage.get('groups', {}))); // groupId -> contact group
+const incidentChats = new Map(Object.entries(storage.get('incidentChats', {}))); // alertId -> { messages, reads, closedAt }
+const advisories = new Map(Object.entries(storage.get('advisories', {}))); // advisoryId -> advisory with deliveries
+const breadcrumbs = new Map(Object.entries(storage.get('breadcrumbs', {}))); // user -> trail of positions
+const userGeofenceStates = new Map(
+  Object.entries(storage.get('geofenceStates', {}))
+    .map(([user, states]) => [user, new Map(Object.entries(states))])
+); // user -> Map(geofenceId -> true while inside)
+const userRuleStates = new Map(Object.entries(storage.get('geofenceRuleStates', {}))); // user -> { last, zones }
+const checkInSettings = new Map(Object.entries(storage.get('checkInSettings', {}))); // user -> lone-worker settings
+const heartbeats = new Map(Object.entries(storage.get('heartbeats', {}))); // user -> last heartbeat & check-in status
+
+// Spatial index over the geofences; boxes grow by the loitering distance
+// so zones a user is loitering next to still come up as candidates
+const geofenceIndex = createGeofenceIndex({ padding: g => g.rules?.loitering?.distanceMeters || 0 });
+geofenceIndex.rebuild(geofences);
+
+// Position of each geofence in the array, so writes don't scan it
+const geofencePositions = new Map(); // geofenceId -> index in geofences
+const rebuildGeofencePositions = () => {
+  geofencePositions.clear();
+  geofences.forEach((geofence, index) => geofencePositions.set(geofence.id, index));
+};
+rebuildGeofencePositions();
+
+// Store a geofence in its slot (new ones go last) and index it
+const putGeofence = (geofence) => {
+  const position = geofencePositions.get(geofence.id);
+  if (position === undefined) {
+    geofencePositions.set(geofence.id, geofences.length);
+    geofences.push(geofence);
+  } else {
+    geofences[position] = geofence;
+  }
+  geofenceIndex.set(geofence);
+};
+
+// Drop a geofence; the last one moves into its slot, so list order isn't kept
+const removeGeofence = (id) => {
+  const position = geofencePositions.get(id);
+  if (position === undefined) return;
+
+  const last = geofences.pop();
+  if (last.id !== id) {
+    geofences[position] = last;
+    geofencePositions.set(last.id, position);
+  }
+  geofencePositions.delete(id);
+  geofenceIndex.remove(id);
+};
+
+// Geofence revision tracking for delta sync
+const geofenceSync = {
+  revision: 0,
+  tombstoneFloor: 0,
+  tombstones: [],
+  ...storage.get('geofenceSync', {})
+};
+
+// Outbound webhook subscriptions and their retry queue (other nodes hand
+// their events and dead-letter retries to the leader, which does all deliveries)
+const webhooks = createWebhookDispatcher({
+  storage,
+  relay: IS_LEADER ? null : (action, ...args) => io.serverSideEmit('webhookRelay', action, ...args)
+});
+
+// Per-socket / per-user token buckets for inbound events
+const rateLimiter = createRateLimiter(loadRateLimits(process.env.RATE_LIMITS_FILE));
+
+// Optional JSONL log of inbound socket events for scripts/replay.js
+const eventRecorder = createEventRecorder({
+  filePath: process.env.EVENT_LOG_FILE && (CLUSTERED ? nodeLogFile(process.env.EVENT_LOG_FILE, NODE_ID) : process.env.EVENT_LOG_FILE),
+  events: process.env.EVENT_LOG_EVENTS ? process.env.EVENT_LOG_EVENTS.split(',').map(e => e.trim()) : null,
+  nodeId: NODE_ID
+});
+if (eventRecorder.enabled) {
+  console.log('🎙️ Recording inbound socket events to', eventRecorder.filePath);
+}
+
+// Prometheus metrics (GET /metrics)
+const metrics = createMetricsRegistry();
+const sosAlertsTotal = metrics.counter({
+  name: 'vortex_sos_alerts_total',
+  help: 'SOS presses received, by source and outcome (created, merged, duplicate, rejected)',
+  labelNames: ['source', 'outcome']
+});
+const violationsTotal = metrics.counter({
+  name: 'vortex_geofence_violations_total',
+  help: 'Geofence violations broadcast, by action',
+  labelNames: ['action']
+});
+const geofenceMutationsTotal = metrics.counter({
+  name: 'vortex_geofence_mutations_total',
+  help: 'Geofence changes, by operation',
+  labelNames: ['operation']
+});
+const socketEventsTotal = metrics.counter({
+  name: 'vortex_socket_events_total',
+  help: 'Inbound Socket.IO events, by event name',
+  labelNames: ['event']
+});
+const connectedClientsGauge = metrics.gauge({
+  name: 'vortex_connected_clients',
+  help: 'Connected Socket.IO clients, by client type',
+  labelNames: ['type'],
+  collect: () => {
+    const counts = {};
+    connectedClients.forEach(client => {
+      counts[client.type] = (counts[client.type] || 0) + 1;
+    });
+    connectedClientsGauge.reset();
+    Object.entries(counts).forEach(([type, count]) => connectedClientsGauge.set({ type }, count));
+  }
+});
+const activeGeofencesGauge = metrics.gauge({
+  name: 'vortex_geofences_active',
+  help: 'Geofences currently in force',
+  aggregate: 'first',
+  collect: () => activeGeofencesGauge.set({}, geofences.filter(g => isGeofenceActive(g)).length)
+});
+const sosAcknowledgementSeconds = metrics.histogram({
+  name: 'vortex_sos_acknowledgement_seconds',
+  help: 'Time from an SOS being received to the first responder action on it'
+});
+const eventHandlingSeconds = metrics.histogram({
+  name: 'vortex_event_handling_seconds',
+  help: 'Time spent handling inbound Socket.IO events, by event name',
+  labelNames: ['event']
+});
+
+// Escalation policies for unacknowledged SOS alerts
+const escalationPolicies = loadEscalationPolicies(process.env.ESCALATION_POLICIES_FILE);
+const escalationTimers = new Map(); // alertId -> pending escalation timer
+
+// How many alerts / violations are kept for querying and export
+const MAX_STORED_ALERTS = Number(process.env.MAX_STORED_ALERTS) || 100;
+const MAX_STORED_VIOLATIONS = Number(process.env.MAX_STORED_VIOLATIONS) || 500;
+const MAX_GEOFENCE_TOMBSTONES = 1000;
+const MAX_HISTORY_PER_GEOFENCE = 100;
+const MAX_MESSAGES_PER_INCIDENT = 500;
+const ADVISORY_RETENTION_MS = 24 * 60 * 60 * 1000; // keep expired advisories a day for reporting
+const MAX_BREADCRUMBS_PER_USER = 5000;
+const SCHEDULE_CHECK_INTERVAL_MS = 30000;
+const CHECK_IN_SWEEP_INTERVAL_MS = 5000;
+const MAX_REPORT_CLOCK_SKEW_MS = 10000; // report timestamps further ahead are taken as now
+
+// Geofence priorities where losing a lone worker's connection raises deviceOffline
+const OFFLINE_ALERT_PRIORITIES = ['high', 'critical'];
+
+// Dispatch offers time out and fall through to the next closest responder
+const DISPATCH_OFFER_TIMEOUT_SECONDS = Number(process.env.DISPATCH_OFFER_TIMEOUT) || 30;
+const RESPONDER_SPEED_KMH = Number(process.env.RESPONDER_SPEED_KMH) || 40;
+const dispatchOffers = new Map(); // offerId -> { alertId, responder, timer }
+
+// Hand changed records to the storage layer (writes are debounced); only
+// the record travels to the other cluster nodes. A key that is no longer
+// in its collection is deleted.
+const LIST = { list: true };
+const NEWEST_FIRST = { list: true, prepend: true };
+const persistRecord = (collection, key, value, options) => {
+  if (value === undefined) {
+    storage.deleteEntry(collection, key, options);
+  } else {
+    storage.setEntry(collection, key, value, options);
+  }
+};
+const persistGeofence = (id) => persistRecord('geofences', id, findGeofence(id), LIST);
+const persistGeofenceHistory = (id) => persistRecord('geofenceHistory', id, geofenceHistory[id]);
+const persistAlert = (id) => persistRecord('sosAlerts', id, findAlert(id), NEWEST_FIRST);
+const persistViolation = (id) => persistRecord('violations', id, violations.find(v => String(v.id) === String(id)), NEWEST_FIRST);
+const persistGeofenceSync = () => storage.set('geofenceSync', geofenceSync);
+const persistTracking = (user) => persistRecord('trackingSessions', user, trackingSessions.get(user));
+const persistBreadcrumb = (user, breadcrumb) =>
+  storage.appendEntry('breadcrumbs', user, breadcrumb, { max: MAX_BREADCRUMBS_PER_USER });
+const persistResponder = (user) => persistRecord('responders', user, responders.get(user));
+const persistBlocklistEntry = (id) => persistRecord('blocklist', id, blocklist.find(e => e.id === id), LIST);
+const persistGroup = (id) => persistRecord('groups', id, groups.get(id));
+const persistIncidentChat = (alertId) => persistRecord('incidentChats', String(alertId), incidentChats.get(String(alertId)));
+const persistAdvisory = (id) => persistRecord('advisories', id, advisories.get(id));
+const persistClient = (key) => persistRecord('clients', key, knownClients.get(key));
+const persistGeofenceStates = (user) => {
+  const states = userGeofenceStates.get(user);
+  persistRecord('geofenceStates', user, states && Object.fromEntries(states));
+};
+const persistRuleStates = (user) => persistRecord('geofenceRuleStates', user, userRuleStates.get(user));
+const persistCheckInSettings = (user) => persistRecord('checkInSettings', user, checkInSettings.get(user));
+const persistHeartbeat = (user) => persistRecord('heartbeats', user, heartbeats.get(user));
+
+// Follow collections changed by other cluster nodes: one changed record,
+// or (change null) the whole collection
+const replaceEntries = (map, entries) => {
+  map.clear();
+  Object.entries(entries).forEach(([key, value]) => map.set(key, value));
+};
+const mirrorEntries = (map) => (value, change) => {
+  if (!change) {
+    replaceEntries(map, value);
+  } else if (change.value === undefined) {
+    map.delete(change.key);
+  } else {
+    map.set(change.key, change.value);
+  }
+};
+
+storage.subscribe('geofences', (value, change) => {
+  if (!change) {
+    geofences = [...(value || [])];
+    geofenceIndex.rebuild(geofences);
+    rebuildGeofencePositions();
+    return;
+  }
+  if (change.value === undefined) {
+    removeGeofence(change.key);
+  } else {
+    putGeofence(change.value);
+  }
+});
+storage.subscribe('geofenceHistory', (value, change) => {
+  if (change) {
+    applyEntry(geofenceHistory, change.key, change.value);
+  } else {
+    geofenceHistory = value;
+  }
+});
+storage.subscribe('sosAlerts', (value, change) => {
+  if (change) {
+    applyEntry(sosAlerts, change.key, change.value, NEWEST_FIRST);
+  } else {
+    sosAlerts = value;
+  }
+
+  // The leader escalates alerts raised or picked up on other nodes
+  if (!IS_LEADER) return;
+  if (!change) {
+    sosAlerts.forEach(alert => scheduleEscalation(alert));
+  } else if (change.value === undefined) {
+    cancelEscalation(change.key);
+  } else {
+    scheduleEscalation(change.value);
+  }
+});
+storage.subscribe('violations', (value, change) => {
+  if (change) {
+    applyEntry(violations, change.key, change.value, NEWEST_FIRST);
+  } else {
+    violations = value;
+  }
+});
+storage.subscribe('blocklist', (value, change) => {
+  if (change) {
+    applyEntry(blocklist, change.key, change.value, LIST);
+  } else {
+    blocklist = value;
+  }
+});
+storage.subscribe('geofenceSync', value => Object.assign(geofenceSync, value));
+storage.subscribe('clients', mirrorEntries(knownClients));
+storage.subscribe('groups', mirrorEntries(groups));
+storage.subscribe('incidentChats', mirrorEntries(incidentChats));
+storage.subscribe('advisories', mirrorEntries(advisories));
+storage.subscribe('trackingSessions', mirrorEntries(trackingSessions));
+storage.subscribe('responders', mirrorEntries(responders));
+storage.subscribe('breadcrumbs', mirrorEntries(breadcrumbs));
+storage.subscribe('geofenceRuleStates', mirrorEntries(userRuleStates));
+storage.subscribe('checkInSettings', mirrorEntries(checkInSettings));
+storage.subscribe('heartbeats', mirrorEntries(heartbeats));
+storage.subscribe('geofenceStates', (value, change) => {
+  const states = Object.entries(change ? { [change.key]: change.value } : value);
+  if (!change) userGeofenceStates.clear();
+  states.forEach(([user, userStates]) => {
+    if (userStates === undefined) {
+      userGeofenceStates.delete(user);
+    } else {
+      userGeofenceStates.set(user, new Map(Object.entries(userStates)));
+    }
+  });
+});
+['webhooks', 'webhookDeadLetters', 'webhookDeliveries'].forEach(collection =>
+  storage.subscribe(collection, () => webhooks.reload()));
+
+// Remember a client so its details survive disconnects and restarts
+const rememberClient = (client) => {
+  const key = client.user || (client.name && client.name !== 'Unknown Client' ? client.name : client.id);
+  knownClients.set(key, {
+    ...knownClients.get(key),
+    ...client,
+    lastSeenAt: new Date().toISOString()
+  });
+  persistClient(key);
+};
 
 // ================================================================
-// SOCKET.IO CONNECTION HANDLER
+// AUTHORIZATION RULES
 // ================================================================
-io.on('connection', (socket) => {
-  console.log('✅ A user connected. Socket ID:', socket.id);
 
-  // Store client information
-  connectedClients.set(socket.id, {
-    id: socket.id,
-    type: 'unknown', // 'web', 'mobile', etc.
-    connectedAt: new Date().toISOString()
+// Roles allowed to send each socket event (admins may send everything;
+// events not listed are open to any authenticated client)
+const SOCKET_EVENT_ROLES = {
+  setGeofence: [ROLES.ADMIN],
+  startTracking: [ROLES.ADMIN],
+  stopTracking: [ROLES.ADMIN],
+  responderStatus: [ROLES.RESPONDER],
+  dispatchResponse: [ROLES.RESPONDER],
+  createGeofence: [ROLES.ADMIN],
+  updateGeofence: [ROLES.ADMIN],
+  deleteGeofence: [ROLES.ADMIN],
+  createAdvisory: [ROLES.ADMIN],
+  cancelAdvisory: [ROLES.ADMIN],
+  acknowledgeAlert: [ROLES.RESPONDER],
+  assignAlert: [ROLES.RESPONDER],
+  resolveAlert: [ROLES.RESPONDER],
+  markFalseAlarm: [ROLES.RESPONDER],
+  cancelAlert: [ROLES.RESPONDER, ROLES.MOBILE],
+  sos: [ROLES.MOBILE, ROLES.RESPONDER],
+  locationUpdate: [ROLES.MOBILE, ROLES.RESPONDER],
+  geofenceViolation: [ROLES.MOBILE, ROLES.RESPONDER],
+  getRecentAlerts: [ROLES.RESPONDER],
+  getServerStatus: [ROLES.RESPONDER]
+};
+
+// Events a mobile user may only send about themselves
+const SELF_SERVICE_EVENTS = ['sos', 'locationUpdate', 'geofenceViolation', 'heartbeat', 'updateCheckInSettings'];
+
+const KNOWN_CLIENT_TYPES = ['web', 'mobile', 'dashboard'];
+
+// Every responder and admin socket joins this responder group
+const ALL_RESPONDERS_GROUP = 'all-responders';
+
+// Socket.IO room for a responder group
+const responderGroupRoom = (group) => `responders:${group}`;
+
+// Socket.IO room with every socket of one user
+const userRoom = (user) => `user:${user}`;
+
+// Room reaching every dashboard / responder (never plain mobile users)
+const DASHBOARDS_ROOM = responderGroupRoom(ALL_RESPONDERS_GROUP);
+
+// Socket.IO room with every identified socket of a contact group's members
+const groupRoom = (groupId) => `group:${groupId}`;
+
+// Socket.IO room of an incident's chat
+const incidentRoom = (alertId) => `incident:${alertId}`;
+
+// Name recorded as the actor of a change (token subject when authenticated)
+const actorOf = (principal, fallback) =>
+  (principal && !principal.anonymous ? principal.sub : fallback || 'unknown');
+
+// Mobile users may only act on data about themselves
+const isSelfServiceAllowed = (principal, user) =>
+  principal.role !== ROLES.MOBILE || !user || user === principal.sub;
+
+// Active blocklist entry matching a user or IP address, if any
+const findBlock = ({ user, ip }) => {
+  const now = Date.now();
+  return blocklist.find(entry =>
+    (!entry.expiresAt || new Date(entry.expiresAt).getTime() > now) &&
+    ((entry.type === 'user' && entry.value === user) || (entry.type === 'ip' && entry.value === ip))) || null;
+};
+
+// Reject handshakes from blocked users and addresses
+io.use((socket, next) => {
+  const block = findBlock({ user: socket.data.principal?.sub, ip: socket.handshake.address });
+  if (block) {
+    console.warn(`⛔ Blocked connection from ${block.type} ${block.value}`);
+    return next(new Error('Blocked'));
+  }
+  next();
+});
+
+// Responders change any incident; mobile users may only cancel their own
+const canChangeIncident = (principal, alert, status) => {
+  if (hasRole(principal, [ROLES.RESPONDER])) return true;
+  return principal.role === ROLES.MOBILE &&
+    status === INCIDENT_STATUS.CANCELLED &&
+    alert?.user === principal.sub;
+};
+
+// ================================================================
+// CONTACT GROUPS & TARGETED BROADCASTS
+// ================================================================
+
+// Contact groups a user belongs to
+const groupsOf = (user) => [...groups.values()].filter(group => group.members.includes(user));
+
+// Rooms that hear about a user's SOS alerts and violations: dashboards,
+// the user's own devices and the groups they belong to
+const userAudience = (user) => [DASHBOARDS_ROOM, userRoom(user), ...groupsOf(user).map(group => groupRoom(group.id))];
+
+// Rooms that see a geofence: dashboards plus its groups, or null for everyone
+const geofenceAudience = (geofence) =>
+  (geofence.groups?.length ? [DASHBOARDS_ROOM, ...geofence.groups.map(groupRoom)] : null);
+
+// Geofences without groups are public; supervisors see every geofence
+const canSeeGeofence = (principal, geofence) => {
+  if (!geofence.groups?.length || hasRole(principal, [ROLES.RESPONDER])) return true;
+  return groupsOf(principal.sub).some(group => geofence.groups.includes(group.id));
+};
+
+// The geofences a principal may see
+const visibleGeofences = (principal) =>
+  (hasRole(principal, [ROLES.RESPONDER]) ? geofences : geofences.filter(g => canSeeGeofence(principal, g)));
+
+// Send a geofence event to the sockets allowed to see it
+const emitToGeofenceAudience = (geofence, event, payload) => {
+  const rooms = geofenceAudience(geofence);
+  (rooms ? io.to(rooms) : io).emit(event, payload);
+};
+
+// Broadcast a changed geofence; sockets that saw the previous version but
+// may not see this one are told to drop it
+const broadcastGeofenceChange = (geofence, previous) => {
+  emitToGeofenceAudience(geofence, 'updateGeofence', geofence);
+
+  const rooms = geofenceAudience(geofence);
+  if (!previous || !rooms) return;
+  const previousRooms = geofenceAudience(previous);
+  (previousRooms ? io.to(previousRooms) : io).except(rooms)
+    .emit('deleteGeofence', { id: geofence.id, revision: geofence.revision });
+};
+
+const groupFailure = (statusCode, code, error, details) => ({ success: false, statusCode, code, error, details });
+
+// Members joined or left a group: bump the revision of the geofences
+// shown to it so syncGeofences deltas add them for new members and drop
+// them for former ones, and tell those members' devices to sync
+const refreshGroupGeofences = (groupId, changedMembers) => {
+  if (changedMembers.length === 0) return;
+
+  let refreshed = 0;
+  geofences.forEach(geofence => {
+    if (!geofence.groups?.includes(groupId)) return;
+    const updated = { ...geofence, revision: nextGeofenceRevision() };
+    putGeofence(updated);
+    persistGeofence(updated.id);
+    refreshed += 1;
   });
+  if (refreshed === 0) return;
 
-  // Send all existing geofences to newly connected client
-  if (geofences.length > 0) {
-    geofences.forEach(geofence => {
-      socket.emit('updateGeofence', geofence);
+  io.to(changedMembers.map(userRoom)).emit('geofenceRevision', { revision: geofenceSync.revision });
+  console.log(`👪 ${refreshed} geofence(s) of group ${groupId} refreshed for ${changedMembers.length} member change(s)`);
+};
+
+// Create a contact group; its members' live sockets join its room
+const createGroup = (input, { actor } = {}) => {
+  const result = validateGroup(input);
+  if (!result.valid) return groupFailure(400, ERROR_CODES.VALIDATION_FAILED, 'Invalid group data', result.errors);
+
+  const id = result.value.id || crypto.randomUUID();
+  if (groups.has(id)) return groupFailure(409, ERROR_CODES.DUPLICATE_ID, `Group with id ${id} already exists`);
+
+  const now = new Date().toISOString();
+  const group = { ...result.value, id, createdBy: actor || 'system', createdAt: now, updatedAt: now };
+  groups.set(id, group);
+  persistGroup(id);
+
+  group.members.forEach(member => io.in(userRoom(member)).socketsJoin(groupRoom(id)));
+  refreshGroupGeofences(id, group.members);
+  console.log(`👪 Group "${group.name}" (${group.kind}) created with ${group.members.length} member(s)`);
+  return { success: true, group };
+};
+
+// Change a group (merged over the stored one); sockets of added / removed
+// members join / leave its room
+const updateGroup = (groupId, changes, { actor } = {}) => {
+  const existing = groups.get(String(groupId));
+  if (!existing) return groupFailure(404, ERROR_CODES.NOT_FOUND, `Group with id ${groupId} not found`);
+
+  const result = validateGroup(changes, existing);
+  if (!result.valid) return groupFailure(400, ERROR_CODES.VALIDATION_FAILED, 'Invalid group data', result.errors);
+
+  const group = { ...existing, ...result.value, id: existing.id, updatedBy: actor || 'system', updatedAt: new Date().toISOString() };
+  groups.set(group.id, group);
+  persistGroup(group.id);
+
+  const added = group.members.filter(member => !existing.members.includes(member));
+  const removed = existing.members.filter(member => !group.members.includes(member));
+  added.forEach(member => io.in(userRoom(member)).socketsJoin(groupRoom(group.id)));
+  removed.forEach(member => io.in(userRoom(member)).socketsLeave(groupRoom(group.id)));
+  refreshGroupGeofences(group.id, [...added, ...removed]);
+
+  return { success: true, group };
+};
+
+// Delete a group and empty its room
+const deleteGroup = (groupId) => {
+  const group = groups.get(String(groupId));
+  if (!group) return groupFailure(404, ERROR_CODES.NOT_FOUND, `Group with id ${groupId} not found`);
+
+  groups.delete(group.id);
+  persistGroup(group.id);
+  io.socketsLeave(groupRoom(group.id));
+  refreshGroupGeofences(group.id, group.members);
+
+  console.log(`👪 Group "${group.name}" deleted`);
+  return { success: true, group };
+};
+
+// ================================================================
+// SOS INCIDENT LIFECYCLE
+// ================================================================
+
+// Incident actions exposed over sockets and REST, mapped to target status
+const INCIDENT_ACTIONS = {
+  acknowledge: INCIDENT_STATUS.ACKNOWLEDGED,
+  assign: INCIDENT_STATUS.ASSIGNED,
+  resolve: INCIDENT_STATUS.RESOLVED,
+  cancel: INCIDENT_STATUS.CANCELLED,
+  'false-alarm': INCIDENT_STATUS.FALSE_ALARM
+};
+
+// Look up an alert by id (ids may arrive as strings from REST paths)
+const findAlert = (alertId) => sosAlerts.find(a => String(a.id) === String(alertId));
+
+// Replace a stored alert with updater(alert); returns the new alert or null
+const updateAlert = (alertId, updater) => {
+  const index = sosAlerts.findIndex(a => String(a.id) === String(alertId));
+  if (index === -1) return null;
+
+  sosAlerts[index] = updater(sosAlerts[index]);
+  persistAlert(sosAlerts[index].id);
+  return sosAlerts[index];
+};
+
+// Apply a status transition to an alert, store it and broadcast the change
+const changeIncidentStatus = (alertId, transition) => {
+  const index = sosAlerts.findIndex(a => String(a.id) === String(alertId));
+  if (index === -1) {
+    return { success: false, statusCode: 404, error: `Alert with id ${alertId} not found` };
+  }
+
+  const result = transitionIncident(sosAlerts[index], transition);
+  if (!result.success) {
+    return { ...result, statusCode: result.code === 'INVALID_TRANSITION' ? 409 : 400 };
+  }
+
+  sosAlerts[index] = result.alert;
+  persistAlert(result.alert.id);
+
+  // Someone picked the incident up - stop escalating it
+  if (result.alert.status !== INCIDENT_STATUS.OPEN) {
+    cancelEscalation(alertId);
+  }
+
+  // Assigned or closed by someone else - withdraw any pending dispatch offer
+  const pendingOfferId = result.alert.dispatch?.currentOfferId;
+  if (pendingOfferId && result.alert.status !== INCIDENT_STATUS.ACKNOWLEDGED) {
+    withdrawDispatchOffer(pendingOfferId);
+  }
+
+  // Closed incidents free up the responder working on them
+  if (isTerminalStatus(result.alert.status)) {
+    responders.forEach(responder => {
+      if (String(responder.currentAlertId) === String(alertId)) {
+        updateResponder(responder.user, { availability: AVAILABILITY.AVAILABLE, currentAlertId: null });
+      }
     });
-    console.log(`📍 Sent ${geofences.length} existing geofences to new user:`, socket.id);
   }
 
-  // ==================== SOS EMERGENCY SYSTEM ====================
+  // The incident is over - stop the tracking it started
+  const session = trackingSessions.get(result.alert.user);
+  if (isTerminalStatus(result.alert.status) && session && String(session.alertId) === String(alertId)) {
+    stopTracking(result.alert.user, { stoppedBy: result.change.by, reason: `incident ${result.alert.status}` });
+  }
 
-  // Listen for the "sos" event from a connected client
-  socket.on('sos', (data) => {
-    console.log('-------------------------');
-    console.log('🆘 SOS EMERGENCY RECEIVED!');
-    console.log('User:', data.user || 'Unknown User');
-    console.log('Location:', data.lat, data.lon);
-    console.log('Message:', data.message || 'Emergency assistance needed');
-    console.log('Time:', new Date().toLocaleString());
-    console.log('-------------------------');
+  console.log(`🚨 Incident ${alertId}: ${result.change.from} → ${result.change.to} by ${result.change.by}`);
 
-    // Add timestamp and ID for better tracking
-    const alertData = {
-      ...data,
-      id: Date.now() + Math.random(),
-      timestamp: data.timestamp || new Date().toISOString(),
-      receivedAt: new Date().toISOString(),
-      user: data.user || 'Unknown User',
-      message: data.message || 'Emergency assistance needed'
-    };
+  // First responder action on the incident (the user cancelling it doesn't count)
+  if (result.change.from === INCIDENT_STATUS.OPEN && result.change.to !== INCIDENT_STATUS.CANCELLED) {
+    sosAcknowledgementSeconds.observe({}, (Date.parse(result.change.at) - Date.parse(result.alert.receivedAt)) / 1000);
+  }
 
-    // Store alert (keep last 100 alerts)
-    sosAlerts.unshift(alertData);
-    if (sosAlerts.length > 100) {
-      sosAlerts = sosAlerts.slice(0, 100);
-    }
+  // Keep every dashboard (and the user's groups) on the same incident state
+  io.to(userAudience(result.alert.user)).emit('alertStatusChanged', { alert: result.alert, change: result.change });
+  webhooks.dispatch('sos.status_changed', { alert: result.alert, change: result.change });
+  postIncidentStatusUpdate(result.alert, result.change);
+
+  return result;
+};
+
+// ================================================================
+// INCIDENT CHAT
+// ================================================================
+
+// Responders and the user in distress take part in an incident's chat
+const canJoinIncidentChat = (principal, alert) =>
+  Boolean(alert) && (hasRole(principal, [ROLES.RESPONDER]) || alert.user === principal.sub);
+
+const getIncidentChat = (alertId) =>
+  incidentChats.get(String(alertId)) || { messages: [], reads: {}, closedAt: null };
+
+const chatFailure = (statusCode, code, error, details) => ({ success: false, statusCode, code, error, details });
+
+// Store a message and send it to everyone in the incident room
+const appendIncidentMessage = (alertId, fields) => {
+  const key = String(alertId);
+  const chat = getIncidentChat(key);
+  const message = createMessage(key, fields);
+
+  incidentChats.set(key, { ...chat, messages: [...chat.messages, message].slice(-MAX_MESSAGES_PER_INCIDENT) });
+  persistIncidentChat(key);
+
+  io.to(incidentRoom(key)).emit('incidentMessage', message);
+  return message;
+};
+
+// A participant sends { text } or { preset } (a QUICK_REPLIES key)
+const sendIncidentMessage = (alertId, input, principal) => {
+  const alert = findAlert(alertId);
+  if (!canJoinIncidentChat(principal, alert)) {
+    return chatFailure(404, ERROR_CODES.NOT_FOUND, `Alert with id ${alertId} not found`);
+  }
+  if (getIncidentChat(alert.id).closedAt) {
+    return chatFailure(409, ERROR_CODES.INVALID_VALUE, `The chat of incident ${alert.id} is closed`);
+  }
 
-    // Broadcast SOS to all connected clients (including dashboards)
-    io.emit('sosAlert', alertData);
-    io.emit('emergency', alertData);
-    io.emit('alert', alertData);
-    io.emit('sos', alertData); // Also emit with original event name
+  const result = validateMessage(input);
+  if (!result.valid) return chatFailure(400, ERROR_CODES.VALIDATION_FAILED, 'Invalid message', result.errors);
 
-    console.log('📢 SOS Alert broadcasted to', connectedClients.size, 'connected clients');
+  const message = appendIncidentMessage(alert.id, { author: principal.sub, role: principal.role, ...result.value });
+  return { success: true, message };
+};
+
+// Read receipt: a participant has read everything up to messageId
+const markIncidentRead = (alertId, messageId, principal) => {
+  const alert = findAlert(alertId);
+  if (!canJoinIncidentChat(principal, alert)) {
+    return chatFailure(404, ERROR_CODES.NOT_FOUND, `Alert with id ${alertId} not found`);
+  }
+
+  const key = String(alert.id);
+  const chat = getIncidentChat(key);
+  if (!chat.messages.some(message => message.id === messageId)) {
+    return chatFailure(404, ERROR_CODES.NOT_FOUND, `Message ${messageId} not found in incident ${key}`);
+  }
+
+  const receipt = { alertId: key, user: principal.sub, messageId, at: new Date().toISOString() };
+  incidentChats.set(key, { ...chat, reads: { ...chat.reads, [principal.sub]: { messageId, at: receipt.at } } });
+  persistIncidentChat(key);
+
+  io.to(incidentRoom(key)).emit('incidentRead', receipt);
+  return { success: true, receipt };
+};
+
+// Post status changes into the chat; once the incident is over the chat
+// closes and everyone leaves the room
+const postIncidentStatusUpdate = (alert, change) => {
+  const key = String(alert.id);
+  if (getIncidentChat(key).closedAt) return;
+
+  const status = change.to.replace('_', ' ');
+  appendIncidentMessage(key, {
+    author: 'system',
+    role: 'system',
+    kind: MESSAGE_KINDS.SYSTEM,
+    text: `Incident ${status} by ${change.by}${change.assignedTo ? ` (assigned to ${change.assignedTo})` : ''}${change.note ? `: ${change.note}` : ''}`
   });
+  if (!isTerminalStatus(alert.status)) return;
 
-  // ==================== LEGACY GEOFENCE SUPPORT ====================
+  incidentChats.set(key, { ...getIncidentChat(key), closedAt: change.at });
+  persistIncidentChat(key);
 
-  // Keep original setGeofence for backward compatibility
-  socket.on('setGeofence', (geofenceData) => {
-    console.log('-------------------------');
-    console.log('🗺️ LEGACY GEOFENCE UPDATED/SET');
-    console.log('Name:', geofenceData.name || 'Unnamed Geofence');
-    console.log('Points:', geofenceData.points?.length || 0);
-    console.log('-------------------------');
+  io.to(incidentRoom(key)).emit('incidentClosed', { alertId: key, status: alert.status, closedAt: change.at });
+  io.socketsLeave(incidentRoom(key));
+  console.log(`💬 Chat of incident ${key} closed (${alert.status})`);
+};
 
-    // Convert to new format and store
-    const newGeofence = {
-      id: geofenceData.id || 'legacy-' + Date.now().toString(),
-      name: geofenceData.name || 'Legacy Geofence',
-      type: geofenceData.type || 'MONITORING',
-      priority: geofenceData.priority || 'medium',
-      active: geofenceData.active !== false,
-      points: geofenceData.points || [],
-      center: geofenceData.center || null,
-      radius: geofenceData.radius || null,
-      shapeType: geofenceData.shapeType || (geofenceData.center ? 'circle' : 'polygon'),
-      alertOnEntry: geofenceData.alertOnEntry !== false,
-      alertOnExit: geofenceData.alertOnExit || false,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+// ================================================================
+// SOS ESCALATION
+// ================================================================
 
-    // Replace or add geofence
-    const existingIndex = geofences.findIndex(g => g.id === newGeofence.id);
-    if (existingIndex !== -1) {
-      geofences[existingIndex] = newGeofence;
-      console.log('🔄 Updated existing legacy geofence');
-    } else {
-      geofences.push(newGeofence);
-      console.log('➕ Added new legacy geofence');
+// Stop the pending escalation timer of an alert
+const cancelEscalation = (alertId) => {
+  const key = String(alertId);
+  if (escalationTimers.has(key)) {
+    clearTimeout(escalationTimers.get(key));
+    escalationTimers.delete(key);
+  }
+};
+
+// Schedule the next escalation step of an alert that is still open.
+// Steps are timed from receivedAt, so overdue steps fire right away
+// after a restart. Only the leader keeps timers; it follows alerts
+// changed on other nodes through the shared store.
+const scheduleEscalation = (alert) => {
+  cancelEscalation(alert.id);
+  if (!IS_LEADER || alert.status !== INCIDENT_STATUS.OPEN) return;
+
+  const next = getNextEscalationStep(alert, escalationPolicies);
+  if (!next) return;
+
+  const delay = Math.max(0, next.dueAt - Date.now());
+  escalationTimers.set(String(alert.id), setTimeout(() => escalateAlert(alert.id), delay));
+};
+
+// Apply the next escalation step, record it on the alert and notify
+const escalateAlert = (alertId) => {
+  escalationTimers.delete(String(alertId));
+
+  const index = sosAlerts.findIndex(a => String(a.id) === String(alertId));
+  if (index === -1 || sosAlerts[index].status !== INCIDENT_STATUS.OPEN) return;
+
+  const alert = sosAlerts[index];
+  const next = getNextEscalationStep(alert, escalationPolicies);
+  if (!next) return;
+
+  const { step, level } = next;
+  const escalation = {
+    level,
+    at: new Date().toISOString(),
+    afterSeconds: step.afterSeconds,
+    severity: maxSeverity(alert.severity, step.severity),
+    rebroadcast: Boolean(step.rebroadcast),
+    notified: step.notify || []
+  };
+
+  const escalated = {
+    ...alert,
+    severity: escalation.severity,
+    escalationLevel: level,
+    escalations: [...(alert.escalations || []), escalation]
+  };
+  sosAlerts[index] = escalated;
+  persistAlert(escalated.id);
+
+  console.log(`⏫ SOS ${alertId} escalated to level ${level} (severity ${escalation.severity}) - unacknowledged for ${step.afterSeconds}s`);
+
+  // Re-broadcast the alert so every dashboard sees it again
+  if (escalation.rebroadcast) {
+    io.to(userAudience(escalated.user)).emit('sosAlert', escalated);
+  }
+  io.to(userAudience(escalated.user)).emit('alertEscalated', { alert: escalated, escalation });
+  webhooks.dispatch('sos.escalated', { alert: escalated, escalation });
+
+  // Page additional responder groups directly
+  escalation.notified.forEach(group => {
+    io.to(responderGroupRoom(group)).emit('escalationNotification', { alert: escalated, escalation, group });
+    console.log(`📟 Escalation sent to responder group "${group}"`);
+  });
+
+  scheduleEscalation(escalated);
+};
+
+// ================================================================
+// RESPONDER DISPATCH
+// ================================================================
+
+// Store a responder's position / availability and show it on dashboards
+const updateResponder = (user, changes) => {
+  const responder = {
+    user,
+    availability: AVAILABILITY.OFF_DUTY,
+    ...responders.get(user),
+    ...changes,
+    updatedAt: new Date().toISOString()
+  };
+  responders.set(user, responder);
+  persistResponder(user);
+
+  io.to(DASHBOARDS_ROOM).emit('responderStatus', responder);
+  return responder;
+};
+
+// Offer an incident to the closest available responder not yet asked
+// in this dispatch round; returns the offer or null when nobody is left
+const offerToNextResponder = (alertId) => {
+  const alert = findAlert(alertId);
+  if (!alert || ![INCIDENT_STATUS.OPEN, INCIDENT_STATUS.ACKNOWLEDGED].includes(alert.status)) return null;
+
+  const round = alert.dispatch?.round || 1;
+  const asked = (alert.dispatch?.offers || []).filter(o => o.round === round).map(o => o.responder);
+  const [candidate] = rankResponders([...responders.values()], alert, {
+    speedMetersPerSecond: RESPONDER_SPEED_KMH / 3.6,
+    exclude: asked
+  });
+
+  if (!candidate) {
+    updateAlert(alertId, a => ({ ...a, dispatch: { ...a.dispatch, round, status: 'exhausted', currentOfferId: null } }));
+    io.to(DASHBOARDS_ROOM).emit('dispatchExhausted', { alertId, asked });
+    console.warn(`🚑 No available responder left for SOS ${alertId} (asked: ${asked.join(', ') || 'none'})`);
+    return null;
+  }
+
+  const now = Date.now();
+  const offer = {
+    id: crypto.randomUUID(),
+    round,
+    responder: candidate.user,
+    distanceMeters: candidate.distanceMeters,
+    etaSeconds: candidate.etaSeconds,
+    offeredAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + DISPATCH_OFFER_TIMEOUT_SECONDS * 1000).toISOString(),
+    outcome: 'pending'
+  };
+
+  const updated = updateAlert(alertId, a => ({
+    ...a,
+    dispatch: {
+      round,
+      status: 'offering',
+      currentOfferId: offer.id,
+      offers: [...(a.dispatch?.offers || []), offer]
     }
+  }));
 
-    // Broadcast to all clients
-    io.emit('updateGeofence', newGeofence);
-    console.log('📢 Legacy geofence broadcasted to all clients');
+  const timer = setTimeout(() => resolveDispatchOffer(offer.id, 'timeout'), DISPATCH_OFFER_TIMEOUT_SECONDS * 1000);
+  dispatchOffers.set(offer.id, { alertId, responder: candidate.user, timer });
+
+  io.to(userRoom(candidate.user)).emit('dispatchOffer', {
+    offerId: offer.id,
+    alert: updated,
+    distanceMeters: offer.distanceMeters,
+    etaSeconds: offer.etaSeconds,
+    expiresAt: offer.expiresAt
   });
+  console.log(`🚑 SOS ${alertId} offered to ${candidate.user} (${candidate.distanceMeters}m, ETA ${candidate.etaSeconds}s)`);
 
-  // ==================== ENHANCED GEOFENCE SYSTEM ====================
+  return offer;
+};
 
-  // Handle geofence creation from web admin
-  socket.on('createGeofence', (geofenceData) => {
-    console.log('-------------------------');
-    console.log('📍 CREATE GEOFENCE - Web Admin');
-    console.log('Name:', geofenceData.name);
-    console.log('Type:', geofenceData.type);
-    console.log('Priority:', geofenceData.priority);
-    console.log('Shape:', geofenceData.shapeType || geofenceData.type);
-    console.log('Active:', geofenceData.active);
-    console.log('-------------------------');
+// Close a pending offer: accepted assigns the incident, declined, timeout
+// and offline move on to the next responder, cancelled just withdraws it
+const resolveDispatchOffer = (offerId, outcome) => {
+  const pending = dispatchOffers.get(offerId);
+  if (!pending) {
+    return { success: false, statusCode: 404, error: `Dispatch offer ${offerId} not found or expired` };
+  }
 
-    // Validate geofence data
-    if (!geofenceData || !geofenceData.name || !geofenceData.id) {
-      console.error('❌ Invalid geofence data received');
-      socket.emit('error', { message: 'Invalid geofence data - missing name or id' });
-      return;
+  clearTimeout(pending.timer);
+  dispatchOffers.delete(offerId);
+
+  const respondedAt = new Date().toISOString();
+  const alert = updateAlert(pending.alertId, a => ({
+    ...a,
+    dispatch: {
+      ...a.dispatch,
+      status: outcome === 'accepted' ? 'accepted' : a.dispatch.status,
+      currentOfferId: null,
+      offers: a.dispatch.offers.map(o => (o.id === offerId ? { ...o, outcome, respondedAt } : o))
     }
+  }));
+
+  console.log(`🚑 Dispatch offer for SOS ${pending.alertId} to ${pending.responder}: ${outcome}`);
+
+  if (outcome === 'cancelled') {
+    io.to(userRoom(pending.responder)).emit('dispatchOfferCancelled', { offerId, alertId: pending.alertId });
+  } else if (outcome === 'accepted') {
+    updateResponder(pending.responder, { availability: AVAILABILITY.BUSY, currentAlertId: pending.alertId });
+    const assigned = changeIncidentStatus(pending.alertId, {
+      status: INCIDENT_STATUS.ASSIGNED,
+      by: pending.responder,
+      assignedTo: pending.responder,
+      note: 'Accepted dispatch offer'
+    });
+    return assigned.success ? { success: true, alert: assigned.alert } : assigned;
+  } else {
+    offerToNextResponder(pending.alertId);
+  }
 
-    // Create properly structured geofence
-    const newGeofence = {
-      id: geofenceData.id,
-      name: geofenceData.name,
-      type: geofenceData.type || 'MONITORING',
-      priority: geofenceData.priority || 'medium',
-      active: geofenceData.active !== false,
-      alertOnEntry: geofenceData.alertOnEntry !== false,
-      alertOnExit: geofenceData.alertOnExit || false,
-      shapeType: geofenceData.shapeType || geofenceData.type || 'polygon',
-      points: geofenceData.points || [],
-      center: geofenceData.center || null,
-      radius: geofenceData.radius || null,
-      createdAt: geofenceData.createdAt || new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+  return { success: true, alert };
+};
+
+// A responder's answer to an offer held by this node
+const answerDispatchOffer = ({ offerId, accept, principal }) => {
+  const pending = dispatchOffers.get(offerId);
+  if (pending && !principal.anonymous && pending.responder !== principal.sub) {
+    return { success: false, statusCode: 403, error: 'Forbidden - this dispatch offer was made to another responder' };
+  }
+  return resolveDispatchOffer(offerId, accept ? 'accepted' : 'declined');
+};
+
+// Offers and their timeout timers live on the node that made them;
+// answers for offers held elsewhere are handed to the other nodes
+const respondToDispatchOffer = async (request) => {
+  if (!CLUSTERED || dispatchOffers.has(request.offerId)) {
+    return answerDispatchOffer(request);
+  }
+  const [answer] = (await collectFromPeers('dispatchResponse', request)).filter(Boolean);
+  return answer || answerDispatchOffer(request);
+};
+
+// A responder's last device went away: stop offering them incidents and
+// move their pending offers on instead of waiting for the timeout
+const markResponderOffline = (user) => {
+  if (!responders.has(user)) return;
+  updateResponder(user, { connected: false });
+  releaseOffersTo(user);
+  if (CLUSTERED) io.serverSideEmit('responderOffline', user);
+};
+
+// Pass this node's pending offers to a responder to the next one
+const releaseOffersTo = (user) => {
+  [...dispatchOffers.entries()]
+    .filter(([, pending]) => pending.responder === user)
+    .forEach(([offerId]) => resolveDispatchOffer(offerId, 'offline'));
+};
+
+// Withdraw an offer wherever it is held
+const withdrawDispatchOffer = (offerId) => {
+  if (dispatchOffers.has(offerId) || !CLUSTERED) {
+    resolveDispatchOffer(offerId, 'cancelled');
+  } else {
+    io.serverSideEmit('withdrawDispatchOffer', offerId);
+  }
+};
+
+// Start a new dispatch round (everyone may be asked again)
+const redispatchAlert = (alertId) => {
+  const alert = findAlert(alertId);
+  if (alert?.dispatch?.currentOfferId) {
+    withdrawDispatchOffer(alert.dispatch.currentOfferId);
+  }
+  updateAlert(alertId, a => ({
+    ...a,
+    dispatch: { ...a.dispatch, round: (a.dispatch?.round || 0) + 1, status: 'offering', offers: a.dispatch?.offers || [] }
+  }));
+  return offerToNextResponder(alertId);
+};
+
+// ================================================================
+// LIVE TRACKING
+// ================================================================
+
+// Start (or refresh) a tracking session and ask the user's devices to stream positions
+const startTracking = (user, { reason = 'admin', startedBy, alertId = null, intervalSeconds = 5 } = {}) => {
+  const session = {
+    user,
+    reason,
+    alertId,
+    startedBy: startedBy || 'system',
+    startedAt: trackingSessions.get(user)?.startedAt || new Date().toISOString(),
+    intervalSeconds
+  };
+  trackingSessions.set(user, session);
+  persistTracking(user);
+
+  io.to(userRoom(user)).emit('trackingStarted', session);
+  io.to(DASHBOARDS_ROOM).emit('trackingStarted', session);
+  console.log(`🛰️ Tracking started for ${user} (${reason}) by ${session.startedBy}`);
+
+  return session;
+};
+
+// Stop a tracking session; the trail itself is kept
+const stopTracking = (user, { stoppedBy, reason = 'stopped' } = {}) => {
+  const session = trackingSessions.get(user);
+  if (!session) return null;
+
+  trackingSessions.delete(user);
+  persistTracking(user);
+
+  const stopped = { ...session, stoppedBy: stoppedBy || 'system', stoppedAt: new Date().toISOString(), stopReason: reason };
+  io.to(userRoom(user)).emit('trackingStopped', stopped);
+  io.to(DASHBOARDS_ROOM).emit('trackingStopped', stopped);
+  console.log(`🛰️ Tracking stopped for ${user} (${reason})`);
+
+  return stopped;
+};
+
+// Store a breadcrumb and stream it to dashboards while tracking is active
+const recordTrackingPosition = (user, locationData) => {
+  const session = trackingSessions.get(user);
+  if (!session) return null;
+
+  const breadcrumb = createBreadcrumb(locationData);
+  breadcrumbs.set(user, [...(breadcrumbs.get(user) || []), breadcrumb].slice(-MAX_BREADCRUMBS_PER_USER));
+  persistBreadcrumb(user, breadcrumb);
+
+  io.to(DASHBOARDS_ROOM).emit('trackingUpdate', { user, alertId: session.alertId, position: breadcrumb });
+  return breadcrumb;
+};
+
+// ================================================================
+// DEVICE CHECK-INS (lone-worker monitoring)
+// ================================================================
+
+// Check-in settings of a user (defaults when they never set any)
+const getCheckInSettings = (user) => ({ ...DEFAULT_CHECK_IN_SETTINGS, ...checkInSettings.get(user) });
+
+// Change a user's check-in settings; opting into lone-worker mode starts the clock
+const updateCheckInSettings = (user, input, { updatedBy } = {}) => {
+  const current = getCheckInSettings(user);
+  const result = validateCheckInSettings(input, current);
+  if (!result.valid) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: ERROR_CODES.VALIDATION_FAILED,
+      error: 'Invalid check-in settings',
+      details: result.errors
+    };
+  }
+
+  const now = new Date().toISOString();
+  const settings = {
+    user,
+    ...result.value,
+    monitoringSince: result.value.loneWorker ? (current.loneWorker ? current.monitoringSince : now) : null,
+    updatedBy: updatedBy || 'system',
+    updatedAt: now
+  };
+  checkInSettings.set(user, settings);
+  persistCheckInSettings(user);
+
+  // Leaving lone-worker mode closes any open missed / offline episode
+  const heartbeat = heartbeats.get(user);
+  if (!settings.loneWorker && heartbeat && heartbeat.status !== CHECK_IN_STATUS.OK) {
+    heartbeats.set(user, { ...heartbeat, status: CHECK_IN_STATUS.OK });
+    persistHeartbeat(user);
+  }
+
+  io.to(userRoom(user)).emit('checkInSettings', settings);
+  io.to(DASHBOARDS_ROOM).emit('checkInSettings', settings);
+  console.log(`⏱️ Check-in settings for ${user}: lone worker ${settings.loneWorker ? `on (every ${settings.intervalSeconds}s)` : 'off'}`);
+
+  return { success: true, settings };
+};
+
+// Store a heartbeat; a user who was missed or offline is back to ok
+const recordHeartbeat = (user, data) => {
+  const previous = heartbeats.get(user);
+  const heartbeat = { user, ...createHeartbeat(data), status: CHECK_IN_STATUS.OK };
+  heartbeats.set(user, heartbeat);
+  persistHeartbeat(user);
+
+  if (previous && previous.status !== CHECK_IN_STATUS.OK) {
+    console.log(`💚 ${user} checked in again (was ${previous.status})`);
+    io.to(DASHBOARDS_ROOM).emit('checkInResumed', { user, previousStatus: previous.status, heartbeat });
+  }
+  io.to(DASHBOARDS_ROOM).emit('deviceHeartbeat', heartbeat);
+
+  if (isValidPoint(heartbeat)) deliverAdvisoriesAt(user, heartbeat);
+
+  const settings = getCheckInSettings(user);
+  return { heartbeat, nextCheckInSeconds: settings.loneWorker ? settings.intervalSeconds : null };
+};
+
+// Where a user was last seen: their heartbeat location or last location report
+const lastKnownPosition = (user) => {
+  const heartbeat = heartbeats.get(user);
+  if (heartbeat && isValidPoint(heartbeat)) return { lat: heartbeat.lat, lng: heartbeat.lng };
+  const last = userRuleStates.get(user)?.last;
+  return last ? { lat: last.lat, lng: last.lng } : {};
+};
+
+// Tell dashboards a lone worker went silent (missedCheckIn / deviceOffline),
+// opening an SOS for them when they asked for one
+const raiseCheckInAlert = (user, type, details) => {
+  const settings = getCheckInSettings(user);
+  const heartbeat = heartbeats.get(user) || { user };
+  const status = type === 'missedCheckIn' ? CHECK_IN_STATUS.MISSED : CHECK_IN_STATUS.OFFLINE;
+  const raisedAt = new Date().toISOString();
+
+  heartbeats.set(user, { ...heartbeat, user, status, [`${status}At`]: raisedAt });
+  persistHeartbeat(user);
+
+  const alert = {
+    id: crypto.randomUUID(),
+    type,
+    user,
+    ...details,
+    ...lastKnownPosition(user),
+    battery: heartbeat.battery ?? null,
+    lastHeartbeatAt: heartbeat.receivedAt || null,
+    raisedAt
+  };
+
+  if (settings.autoSos) {
+    const result = receiveSos({
+      user,
+      ...lastKnownPosition(user),
+      message: type === 'missedCheckIn'
+        ? 'Automatic SOS - lone worker missed a check-in'
+        : 'Automatic SOS - lone worker went offline inside a high-priority geofence'
+    }, { source: 'deadman', checkInAlertId: alert.id });
+    alert.sosAlertId = result.alert?.id || null;
+  }
+
+  console.warn(`⏰ ${type.toUpperCase()}: lone worker ${user}${alert.sosAlertId ? ` (SOS ${alert.sosAlertId})` : ''}`);
+  io.to(DASHBOARDS_ROOM).emit(type, alert);
+  webhooks.dispatch(type === 'missedCheckIn' ? 'checkin.missed' : 'device.offline', { alert });
+  return alert;
+};
+
+// Raise missedCheckIn for lone workers whose heartbeat is overdue (once
+// per silence; the next heartbeat re-arms it)
+const checkMissedCheckIns = (now = Date.now()) => {
+  checkInSettings.forEach((settings, user) => {
+    const heartbeat = heartbeats.get(user);
+    if (!settings.loneWorker || (heartbeat && heartbeat.status !== CHECK_IN_STATUS.OK)) return;
+
+    const deadline = checkInDeadline(settings, heartbeat);
+    if (now < deadline) return;
+
+    raiseCheckInAlert(user, 'missedCheckIn', {
+      intervalSeconds: settings.intervalSeconds,
+      graceSeconds: settings.graceSeconds,
+      overdueSeconds: Math.round((now - deadline) / 1000) + settings.graceSeconds
+    });
+  });
+};
+
+// A lone worker's last connection dropped while inside a high-priority geofence
+const handleDeviceDisconnect = async (user) => {
+  if (!getCheckInSettings(user).loneWorker) return;
+
+  const zones = [...(userGeofenceStates.get(user) || new Map()).entries()]
+    .filter(([, inside]) => inside === true)
+    .map(([id]) => findGeofence(id))
+    .filter(g => g && isGeofenceActive(g) && OFFLINE_ALERT_PRIORITIES.includes(g.priority));
+  if (zones.length === 0) return;
+
+  const remaining = await io.in(userRoom(user)).fetchSockets();
+  if (remaining.length > 0) return;
+
+  raiseCheckInAlert(user, 'deviceOffline', {
+    geofences: zones.map(g => ({ id: g.id, name: g.name, type: g.type, priority: g.priority }))
+  });
+};
+
+// Check-in status of a user as shown on dashboards
+const checkInStatus = (user) => {
+  const settings = getCheckInSettings(user);
+  const heartbeat = heartbeats.get(user) || null;
+  return {
+    user,
+    settings,
+    status: heartbeat?.status || CHECK_IN_STATUS.OK,
+    heartbeat,
+    nextCheckInDue: settings.loneWorker
+      ? new Date(checkInDeadline(settings, heartbeat) - settings.graceSeconds * 1000).toISOString()
+      : null
+  };
+};
+
+// ================================================================
+// SOS ALERT INTAKE
+// ================================================================
+// Phones on flaky networks retry. A retry carrying the same
+// idempotencyKey from the same user within SOS_DEDUP_WINDOW_SECONDS
+// returns the original alert instead of raising a new incident.
+
+const SOS_DEDUP_WINDOW_SECONDS = Number(process.env.SOS_DEDUP_WINDOW_SECONDS) || 600;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 200;
+
+// Repeated presses from a user with an open incident are merged into it
+const SOS_MERGE_WINDOW_SECONDS = Number(process.env.SOS_MERGE_WINDOW_SECONDS) || 300;
+const MAX_RECORDED_PRESSES = 20;
+
+// Keep the alert buffer bounded by dropping the oldest closed incidents;
+// open incidents are never pushed out by newer noise
+const trimAlerts = () => {
+  let excess = sosAlerts.length - MAX_STORED_ALERTS;
+  if (excess <= 0) return 0;
+
+  let removed = 0;
+  for (let i = sosAlerts.length - 1; i >= 0 && excess > 0; i--) {
+    if (isTerminalStatus(sosAlerts[i].status)) {
+      const [alert] = sosAlerts.splice(i, 1);
+      incidentChats.delete(String(alert.id));
+      persistAlert(alert.id);
+      persistIncidentChat(alert.id);
+      excess--;
+      removed++;
+    }
+  }
+  return removed;
+};
+
+// Open incident of this user that a new press should be merged into
+const findMergeableSos = (user) => {
+  if (user === 'Unknown User') return null;
+  const windowStart = Date.now() - SOS_MERGE_WINDOW_SECONDS * 1000;
+
+  return sosAlerts.find(a =>
+    a.user === user &&
+    !isTerminalStatus(a.status) &&
+    new Date(a.lastPressAt || a.receivedAt).getTime() >= windowStart) || null;
+};
+
+// Record another press on an existing incident and tell dashboards
+const mergeSosPress = (alert, data, source) => {
+  const press = {
+    at: new Date().toISOString(),
+    source,
+    ...(isValidPoint(data) ? { lat: getLat(data), lng: getLng(data) } : {}),
+    ...(data.message ? { message: data.message } : {})
+  };
+
+  const merged = updateAlert(alert.id, a => ({
+    ...a,
+    ...(isValidPoint(data) ? { lat: getLat(data), lon: getLng(data) } : {}),
+    pressCount: (a.pressCount || 1) + 1,
+    lastPressAt: press.at,
+    presses: [...(a.presses || []), press].slice(-MAX_RECORDED_PRESSES)
+  }));
+
+  console.log(`🔂 Repeated SOS press from ${alert.user} merged into ${alert.id} (${merged.pressCount} presses)`);
+
+  io.to(userAudience(merged.user)).emit('sosRepeated', { alert: merged, press });
+  webhooks.dispatch('sos.repeated', { alert: merged, press });
+  if (isValidPoint(data)) recordTrackingPosition(alert.user, data);
+
+  return merged;
+};
+
+// Alert previously raised by this user with the same idempotency key
+const findDuplicateSos = (user, idempotencyKey) => {
+  if (!idempotencyKey) return null;
+  const windowStart = Date.now() - SOS_DEDUP_WINDOW_SECONDS * 1000;
+
+  return sosAlerts.find(a =>
+    a.user === user &&
+    a.idempotencyKey === idempotencyKey &&
+    new Date(a.receivedAt).getTime() >= windowStart) || null;
+};
+
+// Acknowledgement sent back to the device that raised an SOS
+const sosReceipt = ({ alert, duplicate, merged, error }) => (error
+  ? { success: false, error }
+  : {
+    success: true,
+    alertId: alert.id,
+    duplicate,
+    merged: Boolean(merged),
+    pressCount: alert.pressCount || 1,
+    status: alert.status,
+    receivedAt: alert.receivedAt
+  });
+
+// The listed fields of a client payload that it actually sent
+const pickFields = (data, fields) =>
+  Object.fromEntries(fields.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+
+// Fields a device may set on its SOS; the rest of the alert (status,
+// dispatch, acknowledgements...) belongs to the server
+const SOS_CLIENT_FIELDS = [
+  'lat', 'lng', 'lon', 'latitude', 'longitude', 'accuracy', 'speed', 'heading', 'altitude',
+  'battery', 'deviceId', 'geofenceId', 'geofenceName'
+];
+
+// Store a new SOS alert (or return the original of a retried one),
+// broadcast it and start escalation, tracking and dispatch
+const receiveSos = (data, { source, checkInAlertId }) => {
+  const user = data.user || 'Unknown User';
+  const idempotencyKey = data.idempotencyKey === undefined ? undefined : String(data.idempotencyKey);
+
+  if (idempotencyKey !== undefined && (idempotencyKey === '' || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+    sosAlertsTotal.inc({ source, outcome: 'rejected' });
+    return { error: `idempotencyKey must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters` };
+  }
+
+  const original = findDuplicateSos(user, idempotencyKey);
+  if (original) {
+    console.log(`🔁 Duplicate SOS from ${user} (key ${idempotencyKey}) - returning alert ${original.id}`);
+    sosAlertsTotal.inc({ source, outcome: 'duplicate' });
+    return { alert: original, duplicate: true };
+  }
+
+  const openIncident = findMergeableSos(user);
+  if (openIncident) {
+    sosAlertsTotal.inc({ source, outcome: 'merged' });
+    return { alert: mergeSosPress(openIncident, data, source), duplicate: false, merged: true };
+  }
+
+  console.log('-------------------------');
+  console.log('🆘 SOS EMERGENCY RECEIVED!');
+  console.log('User:', user);
+  console.log('Location:', data.lat, data.lon ?? data.lng);
+  console.log('Message:', data.message || 'Emergency assistance needed');
+  console.log('Source:', source);
+  console.log('Time:', new Date().toLocaleString());
+  console.log('-------------------------');
+
+  // Priority and geofence type select the escalation policy
+  const geofence = data.geofenceId !== undefined ? findGeofence(data.geofenceId) : null;
+  const priority = GEOFENCE_PRIORITIES.includes(data.priority)
+    ? data.priority
+    : (geofence?.priority || 'high');
+
+  // Add timestamp and ID for better tracking
+  const alertData = {
+    ...pickFields(data, SOS_CLIENT_FIELDS),
+    ...(checkInAlertId ? { checkInAlertId } : {}),
+    id: crypto.randomUUID(),
+    idempotencyKey,
+    source,
+    timestamp: data.timestamp || new Date().toISOString(),
+    receivedAt: new Date().toISOString(),
+    user,
+    message: data.message || 'Emergency assistance needed',
+    priority,
+    severity: priority,
+    geofenceType: geofence?.type || data.geofenceType,
+    escalationLevel: 0,
+    escalations: [],
+    pressCount: 1,
+    lastPressAt: new Date().toISOString(),
+    ...createIncidentFields()
+  };
+
+  // Store alert (bounded buffer, closed incidents go first)
+  sosAlerts.unshift(alertData);
+  persistAlert(alertData.id);
+  trimAlerts();
+
+  // Send the SOS to the dashboards, the user's own devices and their groups
+  const audience = io.to(userAudience(user));
+  audience.emit('sosAlert', alertData);
+  audience.emit('emergency', alertData);
+  audience.emit('alert', alertData);
+  audience.emit('sos', alertData); // Also emit with original event name
+  webhooks.dispatch('sos.created', { alert: alertData });
+
+  // The user's devices join the incident chat
+  io.in(userRoom(user)).socketsJoin(incidentRoom(alertData.id));
+
+  // Follow the person in distress until the incident is closed
+  if (data.user) {
+    startTracking(alertData.user, { reason: 'sos', alertId: alertData.id, startedBy: alertData.user });
+    if (isValidPoint(data)) recordTrackingPosition(alertData.user, alertData);
+  }
+
+  // Escalate automatically if nobody acknowledges in time
+  scheduleEscalation(alertData);
+
+  // Offer the incident to the closest available responder
+  offerToNextResponder(alertData.id);
+
+  console.log('📢 SOS Alert broadcasted to', connectedClients.size, 'connected clients');
+  sosAlertsTotal.inc({ source, outcome: 'created' });
+  return { alert: findAlert(alertData.id), duplicate: false };
+};
+
+// ================================================================
+// GEOFENCE MANAGEMENT
+// ================================================================
+// Every geofence mutation (socket, REST, legacy setGeofence) goes
+// through these helpers so validation, storage and broadcasts match.
+// They return { success: true, geofence } or
+// { success: false, statusCode, code, error, details }.
+
+const geofenceFailure = (statusCode, code, error, details) => ({
+  success: false,
+  statusCode,
+  code,
+  error,
+  ...(details ? { details } : {})
+});
+
+const validationFailure = (errors) =>
+  geofenceFailure(400, ERROR_CODES.VALIDATION_FAILED, 'Invalid geofence data', errors);
+
+// Look up a geofence by id
+const findGeofence = (geofenceId) => geofenceIndex.get(geofenceId);
+
+// Is a geofence in force right now? (active flag and schedule)
+const isGeofenceActive = (geofence, now = new Date()) =>
+  Boolean(geofence.active) && (!geofence.schedule || isScheduleActive(geofence.schedule, now));
+
+// Current schedule state stored on scheduled geofences
+const scheduleFields = (geofence) =>
+  (geofence.schedule ? { scheduleActive: isScheduleActive(geofence.schedule) } : {});
+
+// Append a version to a geofence's history (after is null for deletions)
+const recordGeofenceHistory = (geofenceId, { action, before, after, actor, source, rolledBackTo }) => {
+  geofenceHistory[geofenceId] = appendVersion(geofenceHistory[geofenceId], {
+    action,
+    actor: actor || 'system',
+    source: source || 'system',
+    at: new Date().toISOString(),
+    changes: diffGeofences(before, after),
+    snapshot: after || null,
+    ...(rolledBackTo !== undefined ? { rolledBackTo } : {})
+  }, MAX_HISTORY_PER_GEOFENCE);
+  persistGeofenceHistory(geofenceId);
+};
+
+// Bump the global geofence revision; deletions leave a tombstone
+const nextGeofenceRevision = ({ deletedId, restoredId } = {}) => {
+  geofenceSync.revision += 1;
+
+  if (restoredId) {
+    geofenceSync.tombstones = geofenceSync.tombstones.filter(t => t.id !== restoredId);
+  }
+  if (deletedId) {
+    geofenceSync.tombstones.push({
+      id: deletedId,
+      revision: geofenceSync.revision,
+      deletedAt: new Date().toISOString()
+    });
+
+    // Clients older than the oldest dropped tombstone get a full snapshot
+    if (geofenceSync.tombstones.length > MAX_GEOFENCE_TOMBSTONES) {
+      const dropped = geofenceSync.tombstones.shift();
+      geofenceSync.tombstoneFloor = dropped.revision;
+    }
+  }
+
+  persistGeofenceSync();
+  return geofenceSync.revision;
+};
+
+// Geofences changed (or deleted) since a revision, or a full snapshot,
+// as seen by a principal: zones they may no longer see count as deleted
+const getGeofenceDelta = (sinceRevision, principal) => {
+  const visible = visibleGeofences(principal);
+  const delta = computeGeofenceDelta({
+    geofences: visible,
+    tombstones: geofenceSync.tombstones,
+    revision: geofenceSync.revision,
+    tombstoneFloor: geofenceSync.tombstoneFloor
+  }, sinceRevision);
+
+  if (!delta.full && visible.length < geofences.length) {
+    const hidden = geofences.filter(g => (g.revision || 0) > delta.sinceRevision && !visible.includes(g));
+    delta.deleted = [...delta.deleted, ...hidden.map(g => g.id)];
+  }
+  return delta;
+};
+
+// Create a geofence; with upsert: true an existing id is replaced instead of rejected
+const createGeofenceRecord = (input, { upsert = false, actor, source, rolledBackTo } = {}) => {
+  const result = validateGeofence(input);
+  if (!result.valid) return validationFailure(result.errors);
+
+  const id = result.value.id || crypto.randomUUID();
+  const previous = findGeofence(id) || null;
+  if (previous && !upsert) {
+    return geofenceFailure(409, ERROR_CODES.DUPLICATE_ID, `Geofence with id ${id} already exists`);
+  }
+
+  const now = new Date().toISOString();
+  const revision = nextGeofenceRevision({ restoredId: id });
+  const geofence = {
+    ...result.value,
+    ...scheduleFields(result.value),
+    id,
+    revision,
+    createdRevision: previous ? previous.createdRevision : revision,
+    createdAt: previous ? previous.createdAt : now,
+    updatedAt: now
+  };
+
+  putGeofence(geofence);
+  persistGeofence(id);
+  geofenceMutationsTotal.inc({ operation: previous ? 'replace' : 'create' });
+  recordGeofenceHistory(id, {
+    action: rolledBackTo !== undefined ? HISTORY_ACTIONS.ROLLED_BACK : (previous ? HISTORY_ACTIONS.UPDATED : HISTORY_ACTIONS.CREATED),
+    before: previous,
+    after: geofence,
+    actor,
+    source,
+    rolledBackTo
+  });
+
+  // Broadcast to the clients allowed to see it
+  broadcastGeofenceChange(geofence, previous);
+  webhooks.dispatch(previous ? 'geofence.updated' : 'geofence.created', { geofence });
+
+  return { success: true, geofence, created: !previous };
+};
+
+// Update a geofence; replace: true (PUT) ignores the stored fields,
+// otherwise the changes are merged over them (PATCH / updateGeofence)
+const updateGeofenceRecord = (geofenceId, changes, { replace = false, actor, source, rolledBackTo } = {}) => {
+  const existing = findGeofence(geofenceId);
+  if (!existing) {
+    return geofenceFailure(404, ERROR_CODES.NOT_FOUND, `Geofence with id ${geofenceId} not found`);
+  }
+
+  const merged = replace ? { ...changes } : { ...existing, ...changes };
+
+  // A shape change drops the other shape's fields unless they were sent
+  if (!replace && changes?.shapeType && changes.shapeType !== existing.shapeType) {
+    if (changes.points === undefined) delete merged.points;
+    if (changes.center === undefined) delete merged.center;
+  }
+
+  const result = validateGeofence({ ...merged, id: existing.id });
+  if (!result.valid) return validationFailure(result.errors);
+
+  const geofence = {
+    ...result.value,
+    ...scheduleFields(result.value),
+    id: existing.id,
+    revision: nextGeofenceRevision(),
+    createdRevision: existing.createdRevision || 0,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+
+  putGeofence(geofence);
+  persistGeofence(geofence.id);
+  geofenceMutationsTotal.inc({ operation: 'update' });
+  recordGeofenceHistory(existing.id, {
+    action: rolledBackTo !== undefined ? HISTORY_ACTIONS.ROLLED_BACK : HISTORY_ACTIONS.UPDATED,
+    before: existing,
+    after: geofence,
+    actor,
+    source,
+    rolledBackTo
+  });
+
+  // Broadcast update to the clients allowed to see it
+  broadcastGeofenceChange(geofence, existing);
+  webhooks.dispatch('geofence.updated', { geofence });
+
+  return { success: true, geofence };
+};
+
+// Delete a geofence and forget per-user state for it
+const deleteGeofenceRecord = (geofenceId, { actor, source } = {}) => {
+  const geofence = findGeofence(geofenceId);
+  if (!geofence) {
+    return geofenceFailure(404, ERROR_CODES.NOT_FOUND, `Geofence with id ${geofenceId} not found`);
+  }
+
+  removeGeofence(geofence.id);
+  persistGeofence(geofence.id);
+  geofenceMutationsTotal.inc({ operation: 'delete' });
+  recordGeofenceHistory(geofence.id, { action: HISTORY_ACTIONS.DELETED, before: geofence, after: null, actor, source });
+  clearGeofenceState(geofence.id);
+  const revision = nextGeofenceRevision({ deletedId: geofence.id });
+
+  // Broadcast deletion to the clients that could see it
+  emitToGeofenceAudience(geofence, 'deleteGeofence', { id: geofence.id, revision });
+  webhooks.dispatch('geofence.deleted', { id: geofence.id, revision, geofence });
+
+  return { success: true, geofence };
+};
+
+// Restore a geofence to an earlier version (undeleting it if needed). Without
+// a version: the last one before the current state that still had the zone.
+const rollbackGeofence = (geofenceId, version, { actor, source } = {}) => {
+  const id = String(geofenceId);
+  const versions = geofenceHistory[id] || [];
+  if (versions.length === 0) {
+    return geofenceFailure(404, ERROR_CODES.NOT_FOUND, `No history for geofence ${id}`);
+  }
+
+  const current = findGeofence(id);
+  let target;
+  if (version === undefined || version === null) {
+    target = (current ? versions.slice(0, -1) : versions).filter(v => v.snapshot).pop();
+    if (!target) {
+      return geofenceFailure(409, ERROR_CODES.INVALID_VALUE, `Geofence ${id} has no earlier version to restore`);
+    }
+  } else {
+    target = versions.find(v => v.version === Number(version));
+    if (!target) {
+      return geofenceFailure(404, ERROR_CODES.NOT_FOUND, `Version ${version} of geofence ${id} not found`);
+    }
+    if (!target.snapshot) {
+      return geofenceFailure(400, ERROR_CODES.INVALID_VALUE, `Version ${version} is a deletion and cannot be restored`);
+    }
+  }
+
+  const input = { ...restorableFields(target.snapshot), id };
+  const options = { actor, source, rolledBackTo: target.version };
+  const result = current
+    ? updateGeofenceRecord(id, input, { ...options, replace: true })
+    : createGeofenceRecord(input, options);
+
+  if (result.success) {
+    console.log(`⏪ Geofence "${result.geofence.name}" rolled back to version ${target.version}${current ? '' : ' (undeleted)'} by ${actor || 'system'}`);
+  }
+  return result.success ? { ...result, restoredVersion: target.version, undeleted: !current } : result;
+};
+
+// Activate / deactivate scheduled geofences whose window opened or closed
+const checkGeofenceSchedules = () => {
+  const now = new Date();
+
+  geofences.forEach(geofence => {
+    if (!geofence.schedule) return;
+
+    const scheduleActive = isScheduleActive(geofence.schedule, now);
+    if (geofence.scheduleActive === scheduleActive) return;
+
+    const updated = {
+      ...geofence,
+      scheduleActive,
+      scheduleChangedAt: now.toISOString(),
+      revision: nextGeofenceRevision()
+    };
+    putGeofence(updated);
+    persistGeofence(updated.id);
+    geofenceMutationsTotal.inc({ operation: 'schedule' });
+
+    // Users are re-evaluated from scratch next time the zone comes into force
+    if (!scheduleActive) clearGeofenceState(geofence.id);
+
+    console.log(`⏰ Scheduled geofence "${geofence.name}" ${scheduleActive ? 'activated' : 'deactivated'}`);
+
+    emitToGeofenceAudience(updated, 'updateGeofence', updated);
+    webhooks.dispatch('geofence.updated', { geofence: updated, reason: 'schedule' });
+  });
+};
+
+// ================================================================
+// SERVER-SIDE GEOFENCE EVALUATION
+// ================================================================
+
+// Build a violation record and broadcast it to all clients
+const broadcastViolation = (violationData) => {
+  const violation = {
+    user: violationData.user || 'Unknown User',
+    action: violationData.action || 'entered',
+    geofenceName: violationData.geofenceName || 'Unknown Geofence',
+    geofenceId: violationData.geofenceId,
+    lat: violationData.lat,
+    lng: violationData.lng || violationData.lon,
+    priority: violationData.priority || 'medium',
+    timestamp: violationData.timestamp || new Date().toISOString(),
+    ...violationData,
+    // Set by the server: queries sort and page on these
+    id: crypto.randomUUID(),
+    receivedAt: new Date().toISOString()
+  };
+
+  // Store violation (keep last MAX_STORED_VIOLATIONS)
+  violations.unshift(violation);
+  persistViolation(violation.id);
+  violations.splice(MAX_STORED_VIOLATIONS).forEach(dropped => persistViolation(dropped.id));
+  const knownActions = ['entered', 'exited', ...Object.values(RULE_ACTIONS)];
+  violationsTotal.inc({ action: knownActions.includes(violation.action) ? violation.action : 'other' });
+
+  // Send the violation to the dashboards, the user's devices and their groups
+  io.to(userAudience(violation.user)).emit('geofenceViolation', violation);
+  webhooks.dispatch('geofence.violation', { violation });
+
+  console.log('📢 Geofence violation broadcasted to', connectedClients.size, 'clients');
+  return violation;
+};
+
+// Fields a device may set on a violation it detected itself
+const VIOLATION_CLIENT_FIELDS = ['user', 'geofenceId', 'geofenceName', 'lat', 'lng', 'lon', 'timestamp'];
+
+// Store a violation reported by a device; rule actions, source and the
+// other server fields can't be set by it
+const receiveClientViolation = (report) => broadcastViolation({
+  ...pickFields(report, VIOLATION_CLIENT_FIELDS),
+  action: report.action === 'exited' ? 'exited' : 'entered',
+  priority: GEOFENCE_PRIORITIES.includes(report.priority) ? report.priority : 'medium',
+  source: 'client'
+});
+
+// Check a location report against every active geofence, track the
+// user's inside/outside state and emit entry/exit violations
+const evaluateLocation = (locationData) => {
+  const user = locationData.user;
+  const point = { lat: getLat(locationData), lng: getLng(locationData) };
+  const timestamp = locationData.timestamp || new Date().toISOString();
+
+  if (!userGeofenceStates.has(user)) {
+    userGeofenceStates.set(user, new Map());
+  }
+  const states = userGeofenceStates.get(user);
+
+  const inside = [];
+  const newViolations = [];
+
+  // Zones around the point plus the ones the user was inside (to catch exits)
+  const now = new Date();
+  const previouslyInside = [...states.keys()].filter(id => states.get(id) === true).map(findGeofence);
+  const activeGeofences = [...new Set([...geofenceIndex.candidatesAt(point), ...previouslyInside])]
+    .filter(g => g && isGeofenceActive(g, now));
+
+  activeGeofences.forEach(geofence => {
+    const isInside = isPointInGeofence(point, geofence);
+    const wasInside = states.get(geofence.id) === true;
+    if (isInside) {
+      states.set(geofence.id, true);
+    } else {
+      states.delete(geofence.id);
+    }
+
+    if (isInside) inside.push(geofence.id);
+    if (isInside === wasInside) return;
+
+    const action = isInside ? 'entered' : 'exited';
+    if ((isInside && !geofence.alertOnEntry) || (!isInside && !geofence.alertOnExit)) {
+      console.log(`📍 ${user} ${action} "${geofence.name}" (no alert configured)`);
+      return;
+    }
+
+    console.log(`⚠️ SERVER-DETECTED VIOLATION: ${user} ${action} "${geofence.name}"`);
+    newViolations.push(broadcastViolation({
+      user,
+      action,
+      geofenceName: geofence.name,
+      geofenceId: geofence.id,
+      geofenceType: geofence.type,
+      lat: point.lat,
+      lng: point.lng,
+      priority: geofence.priority || 'medium',
+      timestamp,
+      source: 'server'
+    }));
+  });
+
+  persistGeofenceStates(user);
+  return { user, inside, violations: [...newViolations, ...evaluateGeofenceRules(locationData, point, activeGeofences)] };
+};
+
+// Apply dwell / loitering / speed / no-movement rules of the active
+// geofences around a report; reports older than the last one are skipped.
+// A timestamp in the future is clamped to now, so a device can't stretch
+// durations or lock out its later reports with it
+const evaluateGeofenceRules = (locationData, point, activeGeofences) => {
+  const user = locationData.user;
+  const now = Date.now();
+  const reportedAt = Date.parse(locationData.timestamp);
+  const at = Number.isFinite(reportedAt) && reportedAt <= now + MAX_REPORT_CLOCK_SKEW_MS ? reportedAt : now;
+  const previous = userRuleStates.get(user) || { zones: {} };
+
+  if (previous.last && at < previous.last.at) return [];
+
+  const reportedSpeed = locationData.speed === undefined || locationData.speed === null ? NaN : Number(locationData.speed);
+  const speed = measureSpeed(previous.last, point, at, reportedSpeed);
+  const zones = {};
+  const newViolations = [];
+
+  // Geofences that were removed, paused, lost their rules or are no longer
+  // near the user drop their state
+  activeGeofences.filter(g => g.rules).forEach(geofence => {
+    const { state, triggered } = evaluateRules({
+      rules: geofence.rules,
+      state: previous.zones[geofence.id],
+      inside: isPointInGeofence(point, geofence),
+      edgeDistance: distanceToGeofenceEdge(point, geofence),
+      point,
+      at,
+      speed
+    });
+    zones[geofence.id] = state;
+
+    triggered.forEach(({ rule, action, details }) => {
+      console.log(`⚠️ SERVER-DETECTED ${action.toUpperCase()}: ${user} at "${geofence.name}"`);
+      newViolations.push(broadcastViolation({
+        user,
+        action,
+        rule,
+        ruleDetails: details,
+        geofenceName: geofence.name,
+        geofenceId: geofence.id,
+        geofenceType: geofence.type,
+        lat: point.lat,
+        lng: point.lng,
+        priority: geofence.priority || 'medium',
+        timestamp: new Date(at).toISOString(),
+        source: 'server'
+      }));
+    });
+  });
+
+  userRuleStates.set(user, { last: { lat: point.lat, lng: point.lng, at }, zones });
+  persistRuleStates(user);
+  return newViolations;
+};
+
+// Everything the server does with a location report (socket or REST)
+const handleLocationReport = (locationData) => {
+  const result = evaluateLocation(locationData);
+  const breadcrumb = recordTrackingPosition(locationData.user, locationData);
+  deliverAdvisoriesAt(locationData.user, { lat: getLat(locationData), lng: getLng(locationData) });
+  return { ...result, tracking: Boolean(breadcrumb) };
+};
+
+// Forget tracked inside/outside state for a removed geofence
+const clearGeofenceState = (geofenceId) => {
+  userGeofenceStates.forEach((states, user) => {
+    if (states.delete(geofenceId)) persistGeofenceStates(user);
+  });
+  userRuleStates.forEach((state, user) => {
+    if (!(geofenceId in state.zones)) return;
+    delete state.zones[geofenceId];
+    persistRuleStates(user);
+  });
+};
+
+// ================================================================
+// GEO-TARGETED ADVISORIES
+// ================================================================
+
+const advisoryFailure = (statusCode, code, error, details) => ({ success: false, statusCode, code, error, details });
+
+// Shape an advisory is delivered in: its geofence as it is now, or its own area
+const advisoryArea = (advisory) => (advisory.geofenceId ? findGeofence(advisory.geofenceId) : advisory.area);
+
+// Send an advisory to a user's devices once; returns whether it was new to them
+const deliverAdvisory = (advisory, user) => {
+  if (advisory.deliveries[user]) return false;
+  advisory.deliveries[user] = new Date().toISOString();
+  io.to(userRoom(user)).emit('advisory', advisoryNotice(advisory));
+  return true;
+};
+
+// Deliver the active advisories covering a user's new position
+const deliverAdvisoriesAt = (user, point) => {
+  const delivered = [...advisories.values()].filter(advisory => {
+    const area = isAdvisoryActive(advisory) && !advisory.deliveries[user] && advisoryArea(advisory);
+    return area && isPointInGeofence(point, area) && deliverAdvisory(advisory, user);
+  });
+  delivered.forEach(advisory => {
+    persistAdvisory(advisory.id);
+    console.log(`📣 Advisory ${advisory.id} delivered to ${user}`);
+    io.to(DASHBOARDS_ROOM).emit('advisoryUpdated', advisorySummary(advisory));
+  });
+};
+
+// Create an advisory and deliver it to everyone last seen inside its area
+const createAdvisory = (input, { actor } = {}) => {
+  const result = validateAdvisory(input);
+  if (!result.valid) return advisoryFailure(400, ERROR_CODES.VALIDATION_FAILED, 'Invalid advisory data', result.errors);
+
+  const id = result.value.id || crypto.randomUUID();
+  if (advisories.has(id)) return advisoryFailure(409, ERROR_CODES.DUPLICATE_ID, `Advisory with id ${id} already exists`);
+  if (result.value.geofenceId && !findGeofence(result.value.geofenceId)) {
+    return advisoryFailure(404, ERROR_CODES.NOT_FOUND, `Geofence with id ${result.value.geofenceId} not found`);
+  }
+
+  const advisory = {
+    ...result.value,
+    id,
+    createdBy: actor || 'system',
+    createdAt: new Date().toISOString(),
+    cancelledAt: null,
+    deliveries: {},
+    acknowledgements: {}
+  };
+
+  const area = advisoryArea(advisory);
+  new Set([...heartbeats.keys(), ...userRuleStates.keys()]).forEach(user => {
+    const position = lastKnownPosition(user);
+    if (isValidPoint(position) && isPointInGeofence(position, area)) deliverAdvisory(advisory, user);
+  });
+
+  advisories.set(id, advisory);
+  persistAdvisory(id);
+
+  const summary = advisorySummary(advisory);
+  io.to(DASHBOARDS_ROOM).emit('advisoryCreated', summary);
+  console.log(`📣 Advisory ${id} (${advisory.severity}) sent to ${summary.delivered} user(s), expires ${advisory.expiresAt}`);
+  return { success: true, advisory: summary };
+};
+
+// A recipient confirms they have seen an advisory
+const acknowledgeAdvisory = (advisoryId, principal) => {
+  const advisory = advisories.get(String(advisoryId));
+  if (!advisory || !advisory.deliveries[principal.sub]) {
+    return advisoryFailure(404, ERROR_CODES.NOT_FOUND, `Advisory with id ${advisoryId} not found`);
+  }
+
+  if (!advisory.acknowledgements[principal.sub]) {
+    advisory.acknowledgements[principal.sub] = new Date().toISOString();
+    persistAdvisory(advisory.id);
+    io.to(DASHBOARDS_ROOM).emit('advisoryUpdated', advisorySummary(advisory));
+  }
+  return { success: true, acknowledgedAt: advisory.acknowledgements[principal.sub] };
+};
+
+// Stop delivering an advisory and withdraw it from recipients' devices
+const cancelAdvisory = (advisoryId, { actor } = {}) => {
+  const advisory = advisories.get(String(advisoryId));
+  if (!advisory) return advisoryFailure(404, ERROR_CODES.NOT_FOUND, `Advisory with id ${advisoryId} not found`);
+  if (advisory.cancelledAt) return advisoryFailure(409, ERROR_CODES.INVALID_VALUE, `Advisory ${advisory.id} is already cancelled`);
+
+  advisory.cancelledAt = new Date().toISOString();
+  advisory.cancelledBy = actor || 'system';
+  persistAdvisory(advisory.id);
+
+  const recipients = Object.keys(advisory.deliveries).map(userRoom);
+  if (recipients.length > 0) io.to(recipients).emit('advisoryCancelled', { id: advisory.id });
+  io.to(DASHBOARDS_ROOM).emit('advisoryUpdated', advisorySummary(advisory));
+  console.log(`📣 Advisory ${advisory.id} cancelled by ${advisory.cancelledBy}`);
+  return { success: true, advisory: advisorySummary(advisory) };
+};
+
+// Active advisories a user received but has not acknowledged yet
+const pendingAdvisoriesFor = (user) => [...advisories.values()]
+  .filter(advisory => isAdvisoryActive(advisory) && advisory.deliveries[user] && !advisory.acknowledgements[user]);
+
+// Forget advisories that expired (or were cancelled) over a day ago
+const trimAdvisories = () => {
+  const cutoff = Date.now() - ADVISORY_RETENTION_MS;
+  let removed = 0;
+  advisories.forEach((advisory, id) => {
+    if (Date.parse(advisory.cancelledAt || advisory.expiresAt) < cutoff) {
+      advisories.delete(id);
+      persistAdvisory(id);
+      removed += 1;
+    }
+  });
+  return removed;
+};
+
+// ================================================================
+// SOCKET.IO CONNECTION HANDLER
+// ================================================================
+io.on('connection', (socket) => {
+  const principal = socket.data.principal;
+  console.log('✅ A user connected. Socket ID:', socket.id, '- User:', principal.sub, `(${principal.role})`);
+
+  // Store client information
+  connectedClients.set(socket.id, {
+    id: socket.id,
+    type: 'unknown', // 'web', 'mobile', etc.
+    user: principal.sub,
+    role: principal.role,
+    connectedAt: new Date().toISOString()
+  });
+
+  // Responders join their groups so escalations can page them directly
+  if (hasRole(principal, [ROLES.RESPONDER])) {
+    [ALL_RESPONDERS_GROUP, ...(principal.groups || [])].forEach(group => {
+      socket.join(responderGroupRoom(group));
+    });
+  }
+
+  // A responder who went offline can be dispatched again
+  if (responders.get(principal.sub)?.connected === false) {
+    updateResponder(principal.sub, { connected: true });
+  }
+
+  // Per-user room so tracking requests reach all of a user's devices
+  socket.join(userRoom(principal.sub));
+
+  // Enforce role permissions and self-service rules on every inbound event
+  socket.use((packet, next) => {
+    const [eventName, data] = packet;
+    const ack = typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+
+    // Unhandled event names share one label so clients can't blow up cardinality
+    const metricEvent = socket.listeners(eventName).length > 0 ? eventName : 'unknown';
+    socketEventsTotal.inc({ event: metricEvent });
+    eventRecorder.record(eventName, { socket: socket.id, user: principal.sub, role: principal.role }, data);
+
+    const reject = (message) => {
+      console.warn(`⛔ ${eventName} rejected for ${principal.sub} (${principal.role}): ${message}`);
+      socket.emit('error', { message });
+      if (ack) ack({ success: false, error: message });
+    };
+
+    const limit = rateLimiter.consume(eventName, [`socket:${socket.id}`, `user:${principal.sub}`]);
+    if (!limit.allowed) {
+      console.warn(`🚦 ${eventName} rate limited for ${principal.sub} (${limit.limitedBy})`);
+      socket.emit('rateLimited', { event: eventName, retryAfterMs: limit.retryAfterMs });
+      if (ack) ack({ success: false, code: 'RATE_LIMITED', error: 'Too many requests', retryAfterMs: limit.retryAfterMs });
+      return;
+    }
+
+    const roles = SOCKET_EVENT_ROLES[eventName];
+    if (roles && !hasRole(principal, roles)) {
+      return reject(`Forbidden - ${eventName} requires role: ${roles.join(' or ')}`);
+    }
+
+    if (principal.role === ROLES.MOBILE && SELF_SERVICE_EVENTS.includes(eventName)) {
+      if (!isSelfServiceAllowed(principal, data?.user)) {
+        return reject(`Forbidden - ${eventName} can only be sent for yourself`);
+      }
+      packet[1] = { ...data, user: principal.sub };
+    }
+
+    if (eventName === 'cancelAlert' && !canChangeIncident(principal, findAlert(data?.id), INCIDENT_STATUS.CANCELLED)) {
+      return reject('Forbidden - you can only cancel your own SOS alerts');
+    }
+
+    // Handlers run on the next tick after next(); a tick queued afterwards
+    // runs once the (synchronous part of the) handler has returned
+    const stopTimer = eventHandlingSeconds.startTimer({ event: metricEvent });
+    next();
+    process.nextTick(stopTimer);
+  });
+
+  // Send all existing geofences to newly connected client
+  const initialGeofences = visibleGeofences(principal);
+  if (initialGeofences.length > 0) {
+    initialGeofences.forEach(geofence => {
+      socket.emit('updateGeofence', geofence);
+    });
+    console.log(`📍 Sent ${initialGeofences.length} existing geofences to new user:`, socket.id);
+  }
+
+  // Re-send advisories the user has not acknowledged yet
+  pendingAdvisoriesFor(principal.sub).forEach(advisory => socket.emit('advisory', advisoryNotice(advisory)));
+
+  // ==================== SOS EMERGENCY SYSTEM ====================
+
+  // Listen for the "sos" event from a connected client
+  socket.on('sos', (data, ack) => {
+    const result = receiveSos(data || {}, { source: 'socket' });
+    if (result.error) socket.emit('error', { message: result.error });
+
+    // Tell the phone its SOS landed (and under which id) so it can stop retrying
+    if (typeof ack === 'function') ack(sosReceipt(result));
+  });
+
+  // ==================== SOS INCIDENT LIFECYCLE ====================
+
+  // Status transitions from dashboards, responders and the user in distress
+  const incidentEvents = {
+    acknowledgeAlert: INCIDENT_ACTIONS.acknowledge,
+    assignAlert: INCIDENT_ACTIONS.assign,
+    resolveAlert: INCIDENT_ACTIONS.resolve,
+    cancelAlert: INCIDENT_ACTIONS.cancel,
+    markFalseAlarm: INCIDENT_ACTIONS['false-alarm']
+  };
+
+  Object.entries(incidentEvents).forEach(([eventName, status]) => {
+    socket.on(eventName, (data, ack) => {
+      const clientInfo = connectedClients.get(socket.id);
+      console.log(`🚨 ${eventName} requested for alert ${data?.id} by ${clientInfo?.name || socket.id}`);
+
+      if (!data || data.id === undefined) {
+        const error = { message: `Invalid ${eventName} data - missing id` };
+        socket.emit('error', error);
+        if (typeof ack === 'function') ack({ success: false, error: error.message });
+        return;
+      }
+
+      const result = changeIncidentStatus(data.id, {
+        status,
+        by: actorOf(principal, data.by || clientInfo?.name || socket.id),
+        note: data.note,
+        assignedTo: data.assignedTo
+      });
+
+      if (!result.success) {
+        console.warn('⚠️ Incident transition rejected:', result.error);
+        socket.emit('error', { message: result.error });
+      }
+      if (typeof ack === 'function') {
+        ack(result.success ? { success: true, alert: result.alert } : { success: false, error: result.error });
+      }
+    });
+  });
+
+  // ==================== INCIDENT CHAT ====================
+
+  // Join an incident's chat; the ack carries its history
+  socket.on('joinIncident', (data, ack) => {
+    const alert = findAlert(data?.alertId);
+    if (!canJoinIncidentChat(principal, alert)) {
+      const error = `Alert with id ${data?.alertId} not found`;
+      socket.emit('error', { code: ERROR_CODES.NOT_FOUND, message: error });
+      if (typeof ack === 'function') ack({ success: false, code: ERROR_CODES.NOT_FOUND, error });
+      return;
+    }
+
+    const chat = getIncidentChat(alert.id);
+    if (!chat.closedAt) socket.join(incidentRoom(alert.id));
+    if (typeof ack === 'function') {
+      ack({ success: true, alertId: String(alert.id), ...chat, closed: Boolean(chat.closedAt), quickReplies: QUICK_REPLIES });
+    }
+  });
+
+  socket.on('leaveIncident', (data) => {
+    if (data?.alertId !== undefined) socket.leave(incidentRoom(data.alertId));
+  });
+
+  // Send a message - { alertId, text } or { alertId, preset }
+  socket.on('incidentMessage', (data, ack) => {
+    const result = sendIncidentMessage(data?.alertId, data, principal);
+    if (!result.success) {
+      socket.emit('error', { code: result.code, message: result.error, details: result.details });
+      if (typeof ack === 'function') ack({ success: false, code: result.code, error: result.error, details: result.details });
+      return;
+    }
+    if (typeof ack === 'function') ack({ success: true, message: result.message });
+  });
+
+  // Read receipt - { alertId, messageId }
+  socket.on('incidentRead', (data, ack) => {
+    const result = markIncidentRead(data?.alertId, data?.messageId, principal);
+    if (typeof ack === 'function') {
+      ack(result.success ? { success: true, receipt: result.receipt } : { success: false, code: result.code, error: result.error });
+    }
+  });
+
+  // Typing indicator - { alertId, typing }; relayed to the rest of the room only
+  socket.on('incidentTyping', (data) => {
+    if (data?.alertId === undefined || !socket.rooms.has(incidentRoom(data.alertId))) return;
+    socket.to(incidentRoom(data.alertId)).emit('incidentTyping', {
+      alertId: String(data.alertId),
+      user: principal.sub,
+      typing: data.typing !== false
+    });
+  });
+
+  // ==================== ADVISORIES ====================
+
+  // Admin sends an advisory - { geofenceId | area, message, severity, expiresAt | expiresInMinutes }
+  socket.on('createAdvisory', (data, ack) => {
+    const result = createAdvisory(data, { actor: actorOf(principal) });
+    if (!result.success) {
+      socket.emit('error', { code: result.code, message: result.error, details: result.details });
+      if (typeof ack === 'function') ack({ success: false, code: result.code, error: result.error, details: result.details });
+      return;
+    }
+    if (typeof ack === 'function') ack({ success: true, advisory: result.advisory });
+  });
+
+  socket.on('cancelAdvisory', (data, ack) => {
+    const result = cancelAdvisory(data?.id, { actor: actorOf(principal) });
+    if (typeof ack === 'function') {
+      ack(result.success ? { success: true, advisory: result.advisory } : { success: false, code: result.code, error: result.error });
+    }
+  });
+
+  // Recipient confirms an advisory - { id }
+  socket.on('acknowledgeAdvisory', (data, ack) => {
+    const result = acknowledgeAdvisory(data?.id, principal);
+    if (typeof ack === 'function') {
+      ack(result.success ? { success: true, acknowledgedAt: result.acknowledgedAt } : { success: false, code: result.code, error: result.error });
+    }
+  });
+
+  // ==================== LEGACY GEOFENCE SUPPORT ====================
+
+  // Report a failed geofence operation back to the requesting socket
+  const emitGeofenceError = (result, ack) => {
+    console.error('❌', result.error, result.details ? JSON.stringify(result.details) : '');
+    socket.emit('error', { code: result.code, message: result.error, details: result.details });
+    if (typeof ack === 'function') {
+      ack({ success: false, code: result.code, error: result.error, details: result.details });
+    }
+  };
+
+  // Keep original setGeofence for backward compatibility
+  socket.on('setGeofence', (geofenceData, ack) => {
+    console.log('-------------------------');
+    console.log('🗺️ LEGACY GEOFENCE UPDATED/SET');
+    console.log('Name:', geofenceData?.name || 'Unnamed Geofence');
+    console.log('Points:', geofenceData?.points?.length || 0);
+    console.log('-------------------------');
+
+    // Convert to new format and store (replace or add)
+    const result = createGeofenceRecord({
+      ...geofenceData,
+      id: geofenceData?.id || 'legacy-' + Date.now().toString(),
+      name: geofenceData?.name || 'Legacy Geofence'
+    }, { upsert: true, actor: actorOf(principal), source: 'socket:setGeofence' });
+
+    if (!result.success) {
+      emitGeofenceError(result, ack);
+      return;
+    }
+
+    console.log(result.created ? '➕ Added new legacy geofence' : '🔄 Updated existing legacy geofence');
+    console.log('📢 Legacy geofence broadcasted to all clients');
+    if (typeof ack === 'function') ack({ success: true, geofence: result.geofence });
+  });
+
+  // ==================== ENHANCED GEOFENCE SYSTEM ====================
+
+  // Handle geofence creation from web admin
+  socket.on('createGeofence', (geofenceData, ack) => {
+    console.log('-------------------------');
+    console.log('📍 CREATE GEOFENCE - Web Admin');
+    console.log('Name:', geofenceData?.name);
+    console.log('Type:', geofenceData?.type);
+    console.log('Priority:', geofenceData?.priority);
+    console.log('Shape:', geofenceData?.shapeType || geofenceData?.type);
+    console.log('Active:', geofenceData?.active);
+    console.log('-------------------------');
+
+    const result = createGeofenceRecord(geofenceData, { actor: actorOf(principal), source: 'socket' });
+    if (!result.success) {
+      emitGeofenceError(result, ack);
+      return;
+    }
+
+    console.log('✅ Geofence created successfully. Total geofences:', geofences.length);
+
+    // Send confirmation back to creator
+    const confirmation = {
+      success: true,
+      geofence: result.geofence,
+      message: `Geofence "${result.geofence.name}" created successfully`
+    };
+    socket.emit('geofenceCreated', confirmation);
+    if (typeof ack === 'function') ack(confirmation);
+
+    console.log('📢 New geofence broadcasted to', connectedClients.size, 'clients');
+  });
+
+  // Handle geofence updates from web admin
+  socket.on('updateGeofence', (geofenceData, ack) => {
+    console.log('-------------------------');
+    console.log('📍 UPDATE GEOFENCE - Web Admin');
+    console.log('ID:', geofenceData?.id);
+    console.log('Name:', geofenceData?.name);
+    console.log('Active:', geofenceData?.active);
+    console.log('-------------------------');
+
+    if (!geofenceData || !geofenceData.id) {
+      emitGeofenceError(validationFailure([
+        { field: 'id', code: ERROR_CODES.REQUIRED, message: 'id is required' }
+      ]), ack);
+      return;
+    }
+
+    let result;
+    if (findGeofence(geofenceData.id)) {
+      result = updateGeofenceRecord(geofenceData.id, geofenceData, { actor: actorOf(principal), source: 'socket' });
+      if (result.success) console.log('✅ Geofence updated successfully:', result.geofence.name);
+    } else {
+      // If not found, create it as new geofence
+      console.warn('⚠️ Geofence not found for update, creating new one:', geofenceData.id);
+      result = createGeofenceRecord(geofenceData, { actor: actorOf(principal), source: 'socket' });
+      if (result.success) console.log('✅ Created new geofence from update request');
+    }
+
+    if (!result.success) {
+      emitGeofenceError(result, ack);
+      return;
+    }
+
+    console.log('📢 Geofence update broadcasted to all clients');
+    if (typeof ack === 'function') ack({ success: true, geofence: result.geofence });
+  });
+
+  // Handle geofence deletion from web admin
+  socket.on('deleteGeofence', (data, ack) => {
+    console.log('-------------------------');
+    console.log('📍 DELETE GEOFENCE - Web Admin');
+    console.log('ID:', data?.id);
+    console.log('-------------------------');
+
+    if (!data || !data.id) {
+      emitGeofenceError(validationFailure([
+        { field: 'id', code: ERROR_CODES.REQUIRED, message: 'id is required' }
+      ]), ack);
+      return;
+    }
+
+    const result = deleteGeofenceRecord(data.id, { actor: actorOf(principal), source: 'socket' });
+    if (!result.success) {
+      console.warn('⚠️ Geofence not found for deletion:', data.id);
+      emitGeofenceError(result, ack);
+      return;
+    }
+
+    console.log('✅ Geofence deleted successfully:', result.geofence.name);
+    console.log('📢 Geofence deletion broadcasted to all clients');
+    console.log('📊 Remaining geofences:', geofences.length);
+    if (typeof ack === 'function') ack({ success: true, id: result.geofence.id });
+  });
+
+  // ==================== CLIENT MANAGEMENT ====================
+
+  // Handle client identification (for Flutter apps, web admin, etc.)
+  socket.on('identify', (identity) => {
+    const data = identity || {};
+    console.log('-------------------------');
+    console.log('🏷️ CLIENT IDENTIFICATION');
+    console.log('Type:', data.type || 'unknown');
+    console.log('Name:', data.name || 'unknown');
+    console.log('Platform:', data.platform || 'unknown');
+    console.log('Socket ID:', socket.id);
+    console.log('-------------------------');
+
+    if (connectedClients.has(socket.id)) {
+      // Mobile tokens always identify as mobile; others pick a known type
+      const type = principal.role === ROLES.MOBILE
+        ? 'mobile'
+        : (KNOWN_CLIENT_TYPES.includes(data.type) ? data.type : 'unknown');
+
+      // Only copy descriptive fields - identity and role come from the token
+      connectedClients.set(socket.id, {
+        ...connectedClients.get(socket.id),
+        type,
+        name: data.name || 'Unknown Client',
+        platform: data.platform || 'unknown',
+        userAgent: data.userAgent || 'unknown',
+        appVersion: data.appVersion,
+        user: principal.sub,
+        role: principal.role
+      });
+      rememberClient(connectedClients.get(socket.id));
+
+      // Join the rooms of the user's contact groups
+      const memberships = groupsOf(principal.sub);
+      memberships.forEach(group => socket.join(groupRoom(group.id)));
+      if (memberships.length > 0) {
+        console.log(`👪 ${principal.sub} joined groups: ${memberships.map(group => group.name).join(', ')}`);
+      }
+
+      // Send all existing geofences to new mobile client in one message;
+      // clients that track revisions should use syncGeofences instead
+      const visible = visibleGeofences(principal);
+      if (type === 'mobile' && visible.length > 0) {
+        socket.emit('allGeofences', visible);
+        socket.emit('geofenceRevision', { revision: geofenceSync.revision });
+        console.log(`📍 Sent ${visible.length} geofences to mobile client (revision ${geofenceSync.revision})`);
+      }
+
+      console.log('✅ Client identified and configured');
+    }
+  });
+
+  // ==================== GEOFENCE VIOLATIONS ====================
+
+  // Handle geofence violations from mobile clients
+  socket.on('geofenceViolation', (report) => {
+    const violationData = report || {};
+    console.log('-------------------------');
+    console.log('⚠️ GEOFENCE VIOLATION DETECTED');
+    console.log('User:', violationData.user || 'Unknown User');
+    console.log('Action:', violationData.action || 'unknown action');
+    console.log('Geofence:', violationData.geofenceName || 'Unknown Geofence');
+    console.log('Location:', violationData.lat, violationData.lng || violationData.lon);
+    console.log('Priority:', violationData.priority || 'medium');
+    console.log('Time:', new Date().toLocaleString());
+    console.log('-------------------------');
+
+    receiveClientViolation(violationData);
+  });
+
+  // ==================== LOCATION UPDATES ====================
+
+  // Evaluate live location reports against geofences server-side
+  socket.on('locationUpdate', (locationData, ack) => {
+    const clientInfo = connectedClients.get(socket.id);
+    const user = locationData?.user || clientInfo?.name || socket.id;
+
+    if (!locationData || !isValidPoint(locationData)) {
+      console.error('❌ Invalid location update - missing lat/lng');
+      const error = { message: 'Invalid location update - missing lat/lng' };
+      socket.emit('error', error);
+      if (typeof ack === 'function') ack({ success: false, ...error });
+      return;
+    }
+
+    const result = handleLocationReport({ ...locationData, user });
+
+    // Responders moving around keep their dispatch position fresh
+    if (principal.role === ROLES.RESPONDER) {
+      updateResponder(principal.sub, { lat: getLat(locationData), lng: getLng(locationData) });
+    }
+    console.log(`📍 Location update from ${user}: inside ${result.inside.length} geofence(s)`);
+
+    if (typeof ack === 'function') {
+      ack({ success: true, ...result });
+    }
+  });
+
+  // ==================== CHECK-INS ====================
+
+  // Periodic heartbeat with battery, signal and (optionally) location
+  socket.on('heartbeat', (data, ack) => {
+    const result = recordHeartbeat(data?.user || principal.sub, data || {});
+    if (typeof ack === 'function') ack({ success: true, ...result });
+  });
+
+  // Opt in / out of lone-worker mode and set the check-in interval
+  socket.on('updateCheckInSettings', (data, ack) => {
+    const result = updateCheckInSettings(data?.user || principal.sub, data || {}, {
+      updatedBy: actorOf(principal, connectedClients.get(socket.id)?.name)
+    });
+    if (!result.success) {
+      socket.emit('error', { code: result.code, message: result.error, details: result.details });
+      if (typeof ack === 'function') ack({ success: false, code: result.code, error: result.error, details: result.details });
+      return;
+    }
+    if (typeof ack === 'function') ack({ success: true, settings: result.settings });
+  });
+
+  // ==================== RESPONDER DISPATCH ====================
+
+  // Responders report availability and/or position
+  socket.on('responderStatus', (data, ack) => {
+    const changes = {};
+
+    if (data?.availability !== undefined) {
+      if (!AVAILABILITY_VALUES.includes(data.availability)) {
+        const message = `availability must be one of: ${AVAILABILITY_VALUES.join(', ')}`;
+        socket.emit('error', { message });
+        if (typeof ack === 'function') ack({ success: false, error: message });
+        return;
+      }
+      changes.availability = data.availability;
+    }
+    if (data && isValidPoint(data)) {
+      changes.lat = getLat(data);
+      changes.lng = getLng(data);
+    }
+
+    const responder = updateResponder(principal.sub, {
+      name: connectedClients.get(socket.id)?.name || principal.name,
+      ...changes
+    });
+    console.log(`🚑 Responder ${principal.sub}: ${responder.availability}`);
+    if (typeof ack === 'function') ack({ success: true, responder });
+  });
+
+  // Responder accepts or declines a dispatch offer
+  socket.on('dispatchResponse', async (data, ack) => {
+    const result = await respondToDispatchOffer({ offerId: data?.offerId, accept: data?.accept === true, principal });
+    if (!result.success) socket.emit('error', { message: result.error });
+    if (typeof ack === 'function') {
+      ack(result.success ? { success: true, alert: result.alert } : { success: false, error: result.error });
+    }
+  });
+
+  // ==================== LIVE TRACKING ====================
+
+  // Admin starts following a user
+  socket.on('startTracking', (data, ack) => {
+    if (!data || !data.user) {
+      socket.emit('error', { message: 'Invalid startTracking data - missing user' });
+      if (typeof ack === 'function') ack({ success: false, error: 'missing user' });
+      return;
+    }
+
+    const session = startTracking(data.user, {
+      reason: 'admin',
+      startedBy: actorOf(principal, connectedClients.get(socket.id)?.name),
+      intervalSeconds: Number(data.intervalSeconds) > 0 ? Number(data.intervalSeconds) : 5
+    });
+    if (typeof ack === 'function') ack({ success: true, session });
+  });
+
+  // Admin stops following a user
+  socket.on('stopTracking', (data, ack) => {
+    const stopped = data?.user
+      ? stopTracking(data.user, { stoppedBy: actorOf(principal, connectedClients.get(socket.id)?.name) })
+      : null;
+
+    if (!stopped) {
+      socket.emit('error', { message: `No active tracking session for ${data?.user}` });
+      if (typeof ack === 'function') ack({ success: false, error: 'not tracking' });
+      return;
+    }
+    if (typeof ack === 'function') ack({ success: true, session: stopped });
+  });
+
+  // ==================== UTILITY EVENTS ====================
+
+  // Get all geofences (for mobile apps requesting sync)
+  socket.on('getGeofences', (data, ack) => {
+    console.log('📍 All geofences requested by client:', socket.id);
+    const clientInfo = connectedClients.get(socket.id);
+    console.log('📍 Requesting client type:', clientInfo?.type || 'unknown');
+
+    const callback = typeof data === 'function' ? data : ack;
+
+    // Send every geofence the client may see in one message
+    const visible = visibleGeofences(principal);
+    socket.emit('allGeofences', visible);
+    if (typeof callback === 'function') {
+      callback({ success: true, revision: geofenceSync.revision, geofences: visible });
+    }
+
+    console.log(`📍 Sent ${visible.length} geofences to requesting client`);
+  });
+
+  // Catch up on geofence changes since a known revision in one round trip
+  socket.on('syncGeofences', (data, ack) => {
+    const callback = typeof data === 'function' ? data : ack;
+    const sinceRevision = typeof data === 'object' ? data?.sinceRevision : undefined;
+    const delta = getGeofenceDelta(sinceRevision, principal);
+
+    console.log(`🔄 Geofence sync for ${socket.id}: since ${sinceRevision ?? 'none'} →`,
+      delta.full
+        ? `full snapshot (${delta.created.length})`
+        : `+${delta.created.length} ~${delta.updated.length} -${delta.deleted.length}`,
+      `(revision ${delta.revision})`);
+
+    if (typeof callback === 'function') {
+      callback({ success: true, ...delta });
+    } else {
+      socket.emit('geofenceSync', { success: true, ...delta });
+    }
+  });
+
+  // Get recent SOS alerts
+  socket.on('getRecentAlerts', () => {
+    console.log('🆘 Recent alerts requested by client:', socket.id);
+    socket.emit('recentAlerts', sosAlerts.slice(0, 50)); // Send last 50 alerts
+  });
+
+  // Server status request
+  socket.on('getServerStatus', () => {
+    const status = {
+      connectedClients: connectedClients.size,
+      totalGeofences: geofences.length,
+      activeGeofences: geofences.filter(g => isGeofenceActive(g)).length,
+      recentAlerts: sosAlerts.length,
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    };
+
+    socket.emit('serverStatus', status);
+    console.log('📊 Server status sent to client:', socket.id);
+  });
+
+  // ==================== DISCONNECT HANDLER ====================
+
+  // Handle disconnection
+  socket.on('disconnect', () => {
+    const client = connectedClients.get(socket.id);
+    console.log('-------------------------');
+    console.log('❌ CLIENT DISCONNECTED');
+    console.log('Socket ID:', socket.id);
+    console.log('Type:', client?.type || 'unknown');
+    console.log('Name:', client?.name || 'unknown');
+    console.log('Connected for:', client ? Math.floor((Date.now() - new Date(client.connectedAt).getTime()) / 1000) + 's' : 'unknown');
+    console.log('-------------------------');
+
+    if (client) rememberClient(client);
+    connectedClients.delete(socket.id);
+    console.log('👥 Remaining connected clients:', connectedClients.size);
+
+    handleDeviceDisconnect(principal.sub).catch(error => {
+      console.error(`❌ Could not check lone worker ${principal.sub} after disconnect:`, error.message);
+    });
+
+    if (responders.has(principal.sub)) {
+      io.in(userRoom(principal.sub)).fetchSockets()
+        .then(remaining => {
+          if (remaining.length === 0) markResponderOffline(principal.sub);
+        })
+        .catch(error => console.error(`❌ Could not check responder ${principal.sub} after disconnect:`, error.message));
+    }
+  });
+});
+
+// ================================================================
+// CLUSTER COORDINATION
+// ================================================================
+
+// Ask every other node; resolves with the answers that arrived in time
+const collectFromPeers = (event, ...args) => new Promise(resolve => {
+  if (!CLUSTERED) return resolve([]);
+  io.serverSideEmit(event, ...args, (error, responses) => resolve(responses || []));
+});
+
+// Clients connected to this node
+const getNodeStats = () => {
+  const clientTypes = {};
+  const clientDetails = [];
+
+  connectedClients.forEach(client => {
+    clientTypes[client.type] = (clientTypes[client.type] || 0) + 1;
+    clientDetails.push({
+      id: client.id,
+      type: client.type,
+      name: client.name,
+      node: NODE_ID,
+      connectedAt: client.connectedAt,
+      connectedFor: Math.floor((Date.now() - new Date(client.connectedAt).getTime()) / 1000)
+    });
+  });
+
+  return {
+    nodeId: NODE_ID,
+    pid: process.pid,
+    leader: IS_LEADER,
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+    clients: { total: connectedClients.size, types: clientTypes, details: clientDetails }
+  };
+};
+
+io.on('nodeStats', (callback) => callback(getNodeStats()));
+
+io.on('metricsSnapshot', (callback) => callback(metrics.snapshot()));
+
+io.on('dispatchResponse', (request, callback) => {
+  callback(dispatchOffers.has(request.offerId) ? answerDispatchOffer(request) : null);
+});
+
+io.on('withdrawDispatchOffer', (offerId) => {
+  if (dispatchOffers.has(offerId)) resolveDispatchOffer(offerId, 'cancelled');
+});
+
+io.on('responderOffline', (user) => releaseOffersTo(user));
+
+if (IS_LEADER) {
+  io.on('webhookRelay', (action, ...args) => webhooks.receiveRelayed(action, args));
+}
+
+// ================================================================
+// REST API ENDPOINTS
+// ================================================================
+
+// Reject requests from blocked users and addresses before any route runs
+app.use('/api', (req, res, next) => {
+  const principal = auth.verifyToken(extractBearerToken(req.headers.authorization));
+  const block = findBlock({ user: principal?.sub, ip: req.ip });
+  if (block) {
+    return res.status(403).json({ success: false, code: 'BLOCKED', error: 'Access blocked by an administrator' });
+  }
+  next();
+});
+
+// Token-bucket limit for a REST route (per user and per IP address)
+const rateLimit = (eventName) => (req, res, next) => {
+  const limit = rateLimiter.consume(eventName, [`user:${req.principal?.sub}`, `ip:${req.ip}`]);
+  if (!limit.allowed) {
+    res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+    return res.status(429).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      error: 'Too many requests',
+      retryAfterMs: limit.retryAfterMs
+    });
+  }
+  next();
+};
+
+// Root endpoint
+app.get('/', (req, res) => {
+  res.json({
+    message: 'Vortex SOS Server - Emergency Response System',
+    version: '2.0.0',
+    status: 'running',
+    timestamp: new Date().toISOString(),
+    features: [
+      'SOS Emergency Alerts',
+      'Advanced Geofencing',
+      'Real-time Communication',
+      'Multi-client Support'
+    ]
+  });
+});
+
+// Prometheus scrape endpoint (set METRICS_TOKEN to require a bearer token);
+// in a cluster every node's counters are added up
+app.get('/metrics', async (req, res) => {
+  if (process.env.METRICS_TOKEN && extractBearerToken(req.headers.authorization) !== process.env.METRICS_TOKEN) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  const snapshots = [metrics.snapshot(), ...(await collectFromPeers('metricsSnapshot'))];
+  res.type('text/plain; version=0.0.4').send(renderPrometheus(mergeSnapshots(snapshots)));
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  const clientTypes = {};
+  connectedClients.forEach(client => {
+    clientTypes[client.type] = (clientTypes[client.type] || 0) + 1;
+  });
+
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    connectedClients: connectedClients.size,
+    clientTypes: clientTypes,
+    geofences: geofences.length,
+    activeGeofences: geofences.filter(g => isGeofenceActive(g)).length,
+    recentAlerts: sosAlerts.length,
+    uptime: process.uptime(),
+    memory: process.memoryUsage()
+  });
+});
+
+// Issue a token for a user or device (admins only)
+app.post('/api/auth/token', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const { sub, role, name, groups, expiresIn } = req.body || {};
+  const invalid = (error) => res.status(400).json({ success: false, code: ERROR_CODES.VALIDATION_FAILED, error });
+
+  if (typeof sub !== 'string' || sub.trim() === '' || !Object.values(ROLES).includes(role)) {
+    return invalid(`sub (a string) and role (${Object.values(ROLES).join(', ')}) are required`);
+  }
+  if (name !== undefined && typeof name !== 'string') {
+    return invalid('name must be a string');
+  }
+  if (groups !== undefined && (!Array.isArray(groups) || !groups.every(g => typeof g === 'string'))) {
+    return invalid('groups must be an array of strings');
+  }
+  if (expiresIn !== undefined && !isValidTokenTtl(expiresIn)) {
+    return invalid(`expiresIn must be a number of seconds between 1 and ${MAX_TOKEN_TTL_SECONDS}`);
+  }
+
+  const token = auth.signToken({
+    sub,
+    role,
+    ...(name ? { name } : {}),
+    ...(groups ? { groups } : {})
+  }, { expiresIn });
+  console.log(`🔑 Token issued for ${sub} (${role}) by ${req.principal.sub}`);
+
+  res.status(201).json({ success: true, token, sub, role });
+});
+
+// Describe the caller's own token
+app.get('/api/auth/me', authenticate, (req, res) => {
+  res.json({ success: true, principal: req.principal });
+});
+
+// Get all geofences via REST API
+app.get('/api/geofences', authenticate, (req, res) => {
+  console.log('🌐 GET /api/geofences - Client IP:', req.ip);
+
+  const activeOnly = req.query.active === 'true';
+  const visible = visibleGeofences(req.principal);
+  const filteredGeofences = activeOnly ? visible.filter(g => isGeofenceActive(g)) : visible;
+
+  res.json({
+    success: true,
+    count: filteredGeofences.length,
+    totalCount: visible.length,
+    activeCount: visible.filter(g => isGeofenceActive(g)).length,
+    revision: geofenceSync.revision,
+    geofences: filteredGeofences,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Send a failed geofence operation as a structured JSON error
+const sendGeofenceError = (res, result) => res.status(result.statusCode || 400).json({
+  success: false,
+  code: result.code,
+  error: result.error,
+  ...(result.details ? { details: result.details } : {})
+});
+
+// Geofence changes since a revision via REST API (?sinceRevision=)
+app.get('/api/geofences/sync', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    ...getGeofenceDelta(req.query.sinceRevision, req.principal),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Export geofences as GeoJSON or KML (?format=geojson|kml, ?active=true)
+app.get('/api/geofences/export', authenticate, (req, res) => {
+  const format = (req.query.format || 'geojson').toLowerCase();
+  if (!GEOFENCE_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      code: ERROR_CODES.INVALID_FORMAT,
+      error: `format must be one of: ${GEOFENCE_FORMATS.join(', ')}`
+    });
+  }
+
+  const visible = visibleGeofences(req.principal);
+  const selected = req.query.active === 'true' ? visible.filter(g => isGeofenceActive(g)) : visible;
+  console.log(`🌐 GET /api/geofences/export - ${selected.length} geofences as ${format}`);
+
+  if (format === 'kml') {
+    return res
+      .type('application/vnd.google-earth.kml+xml')
+      .attachment('geofences.kml')
+      .send(geofencesToKML(selected));
+  }
+
+  res
+    .type('application/geo+json')
+    .attachment('geofences.geojson')
+    .send(JSON.stringify(geofencesToGeoJSON(selected), null, 2));
+});
+
+// Import geofences from a GeoJSON FeatureCollection or KML document.
+// ?dryRun=true reports what would be created, updated or rejected.
+app.post('/api/geofences/import',
+  authenticate,
+  requireRole(ROLES.ADMIN),
+  express.text({
+    limit: BODY_LIMIT,
+    type: ['application/vnd.google-earth.kml+xml', 'application/xml', 'text/xml', 'text/plain']
+  }),
+  (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+    let features = null;
+
+    if (typeof req.body === 'string') {
+      const text = req.body.trim();
+      if (text.startsWith('<')) {
+        features = kmlToFeatures(text);
+      } else {
+        try {
+          features = geojsonToFeatures(JSON.parse(text));
+        } catch (error) {
+          features = null;
+        }
+      }
+    } else {
+      features = geojsonToFeatures(req.body);
+    }
+
+    if (!features) {
+      return res.status(400).json({
+        success: false,
+        code: ERROR_CODES.INVALID_FORMAT,
+        error: 'Body must be a GeoJSON FeatureCollection/Feature or a KML document'
+      });
+    }
+
+    console.log(`🌐 POST /api/geofences/import - ${features.length} features${dryRun ? ' (dry run)' : ''}`);
+
+    const report = { created: [], updated: [], rejected: [] };
+    const seenIds = new Set();
+
+    features.forEach((feature, index) => {
+      const { inputs, code, error } = featureToGeofenceInputs(feature);
+      if (error) {
+        report.rejected.push({
+          index,
+          name: feature?.properties?.name,
+          errors: [{ field: 'geometry', code, message: error }]
+        });
+        return;
+      }
+
+      inputs.forEach(input => {
+        const validation = validateGeofence(input);
+        if (!validation.valid) {
+          report.rejected.push({ index, id: input.id, name: input.name, errors: validation.errors });
+          return;
+        }
+
+        const { id, name } = validation.value;
+        const exists = id !== undefined && (findGeofence(id) || seenIds.has(id));
+        if (id !== undefined) seenIds.add(id);
+
+        if (dryRun) {
+          report[exists ? 'updated' : 'created'].push({ index, id, name });
+          return;
+        }
+
+        const audit = { actor: actorOf(req.principal), source: 'import' };
+        const result = exists
+          ? updateGeofenceRecord(id, input, { ...audit, replace: true })
+          : createGeofenceRecord(input, audit);
+
+        if (!result.success) {
+          report.rejected.push({ index, id, name, errors: result.details || [{ code: result.code, message: result.error }] });
+        } else {
+          report[exists ? 'updated' : 'created'].push({ index, id: result.geofence.id, name });
+        }
+      });
+    });
+
+    console.log(`📥 Import ${dryRun ? 'preview' : 'result'}: +${report.created.length} ~${report.updated.length} ✗${report.rejected.length}`);
+
+    res.status(dryRun ? 200 : (report.created.length > 0 ? 201 : 200)).json({
+      success: true,
+      dryRun,
+      summary: {
+        created: report.created.length,
+        updated: report.updated.length,
+        rejected: report.rejected.length
+      },
+      ...report
+    });
+  });
+
+// Geofences containing a point (?lat=&lng=) or whose bounds overlap a box
+// (?bbox=minLng,minLat,maxLng,maxLat, minLng > maxLng when it crosses the
+// antimeridian); ?active=true keeps those in force
+app.get('/api/geofences/containing', authenticate, (req, res) => {
+  const { lat, lng, bbox } = req.query;
+  let matches;
+
+  if (bbox !== undefined) {
+    const box = String(bbox).split(',').map(Number);
+    if (box.length !== 4 || !box.every(Number.isFinite) || box[1] > box[3] ||
+      (box[0] > box[2] && (box[0] > 180 || box[2] < -180))) {
+      return sendGeofenceError(res, geofenceFailure(400, ERROR_CODES.INVALID_VALUE, 'bbox must be minLng,minLat,maxLng,maxLat'));
+    }
+    matches = geofenceIndex.candidatesIn(box);
+  } else {
+    const point = { lat: Number(lat), lng: Number(lng) };
+    if ([lat, lng].some(value => value === undefined || String(value).trim() === '') || !isValidPoint(point)) {
+      return sendGeofenceError(res, geofenceFailure(400, ERROR_CODES.INVALID_VALUE, 'lat and lng (or bbox) are required'));
+    }
+    matches = geofenceIndex.candidatesAt(point).filter(g => isPointInGeofence(point, g));
+  }
+
+  matches = matches.filter(g => canSeeGeofence(req.principal, g));
+  if (req.query.active === 'true') matches = matches.filter(g => isGeofenceActive(g));
+
+  res.json({
+    success: true,
+    count: matches.length,
+    geofences: matches,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get a single geofence via REST API
+app.get('/api/geofences/:id', authenticate, (req, res) => {
+  const geofence = findGeofence(req.params.id);
+  if (!geofence || !canSeeGeofence(req.principal, geofence)) {
+    return sendGeofenceError(res, geofenceFailure(404, ERROR_CODES.NOT_FOUND, `Geofence with id ${req.params.id} not found`));
+  }
+
+  res.json({ success: true, geofence });
+});
+
+// Create geofence via REST API
+app.post('/api/geofences', authenticate, requireRole(ROLES.ADMIN), rateLimit('createGeofence'), (req, res) => {
+  console.log('🌐 POST /api/geofences - Creating geofence via REST API');
+  console.log('🌐 Geofence name:', req.body?.name);
+
+  const result = createGeofenceRecord(req.body, { actor: actorOf(req.principal), source: 'rest' });
+  if (!result.success) {
+    return sendGeofenceError(res, result);
+  }
+
+  console.log('✅ Geofence created via REST API and broadcasted');
+
+  res.status(201).json({
+    success: true,
+    message: 'Geofence created successfully',
+    geofence: result.geofence
+  });
+});
+
+// Replace geofence via REST API
+app.put('/api/geofences/:id', authenticate, requireRole(ROLES.ADMIN), rateLimit('updateGeofence'), (req, res) => {
+  console.log('🌐 PUT /api/geofences/' + req.params.id);
+
+  if (req.body?.id !== undefined && String(req.body.id) !== req.params.id) {
+    return sendGeofenceError(res, validationFailure([
+      { field: 'id', code: ERROR_CODES.INVALID_VALUE, message: 'id in body does not match the URL' }
+    ]));
+  }
+
+  const result = updateGeofenceRecord(req.params.id, req.body, { replace: true, actor: actorOf(req.principal), source: 'rest' });
+  if (!result.success) {
+    return sendGeofenceError(res, result);
+  }
+
+  res.json({ success: true, message: 'Geofence replaced successfully', geofence: result.geofence });
+});
+
+// Partially update geofence via REST API
+app.patch('/api/geofences/:id', authenticate, requireRole(ROLES.ADMIN), rateLimit('updateGeofence'), (req, res) => {
+  console.log('🌐 PATCH /api/geofences/' + req.params.id);
+
+  if (req.body?.id !== undefined && String(req.body.id) !== req.params.id) {
+    return sendGeofenceError(res, validationFailure([
+      { field: 'id', code: ERROR_CODES.INVALID_VALUE, message: 'id cannot be changed' }
+    ]));
+  }
+
+  const result = updateGeofenceRecord(req.params.id, req.body, { actor: actorOf(req.principal), source: 'rest' });
+  if (!result.success) {
+    return sendGeofenceError(res, result);
+  }
+
+  res.json({ success: true, message: 'Geofence updated successfully', geofence: result.geofence });
+});
+
+// Delete geofence via REST API
+app.delete('/api/geofences/:id', authenticate, requireRole(ROLES.ADMIN), rateLimit('deleteGeofence'), (req, res) => {
+  console.log('🌐 DELETE /api/geofences/' + req.params.id);
+
+  const result = deleteGeofenceRecord(req.params.id, { actor: actorOf(req.principal), source: 'rest' });
+  if (!result.success) {
+    return sendGeofenceError(res, result);
+  }
+
+  res.json({ success: true, message: 'Geofence deleted successfully', id: result.geofence.id });
+});
+
+// Version history of a geofence (also after it was deleted), newest first
+app.get('/api/geofences/:id/history', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  const versions = geofenceHistory[req.params.id];
+  if (!versions) {
+    return sendGeofenceError(res, geofenceFailure(404, ERROR_CODES.NOT_FOUND, `No history for geofence ${req.params.id}`));
+  }
+
+  const limit = Math.min(Number(req.query.limit) || MAX_HISTORY_PER_GEOFENCE, MAX_HISTORY_PER_GEOFENCE);
+  res.json({
+    success: true,
+    id: req.params.id,
+    deleted: !findGeofence(req.params.id),
+    count: Math.min(limit, versions.length),
+    history: [...versions].reverse().slice(0, limit)
+  });
+});
+
+// Restore an earlier version or undelete - body: { version? }
+app.post('/api/geofences/:id/rollback', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const result = rollbackGeofence(req.params.id, req.body?.version, { actor: actorOf(req.principal), source: 'rest' });
+  if (!result.success) {
+    return sendGeofenceError(res, result);
+  }
+
+  res.status(result.undeleted ? 201 : 200).json({
+    success: true,
+    message: `Geofence restored to version ${result.restoredVersion}`,
+    restoredVersion: result.restoredVersion,
+    undeleted: result.undeleted,
+    geofence: result.geofence
+  });
+});
+
+// Submit a location report via REST API (server evaluates geofences)
+app.post('/api/location', authenticate, requireRole(ROLES.MOBILE, ROLES.RESPONDER), rateLimit('locationUpdate'), (req, res) => {
+  console.log('🌐 POST /api/location - User:', req.body?.user);
+
+  if (!isSelfServiceAllowed(req.principal, req.body?.user)) {
+    return res.status(403).json({ success: false, error: 'Forbidden - location can only be sent for yourself' });
+  }
+  if (req.principal.role === ROLES.MOBILE) {
+    req.body = { ...req.body, user: req.principal.sub };
+  }
+
+  if (!req.body || !req.body.user || !isValidPoint(req.body)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid location data - user, lat and lng are required'
+    });
+  }
+
+  const result = handleLocationReport(req.body);
+
+  res.json({
+    success: true,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Heartbeat via REST API - body: { battery, charging, signal, network, lat, lng }
+app.post('/api/heartbeat', authenticate, rateLimit('heartbeat'), (req, res) => {
+  const user = req.principal.role === ROLES.MOBILE ? req.principal.sub : (req.body?.user || req.principal.sub);
+  res.json({ success: true, ...recordHeartbeat(user, req.body || {}), timestamp: new Date().toISOString() });
+});
+
+// Check-in status of every user with settings or heartbeats (?status=missed,offline)
+app.get('/api/checkins', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).split(',') : null;
+  const users = new Set([...checkInSettings.keys(), ...heartbeats.keys()]);
+  const checkIns = [...users].map(checkInStatus).filter(c => !statuses || statuses.includes(c.status));
+
+  res.json({ success: true, count: checkIns.length, checkIns, timestamp: new Date().toISOString() });
+});
+
+// Check-in status of one user (yourself, or anyone for responders)
+app.get('/api/checkins/:user', authenticate, (req, res) => {
+  if (!hasRole(req.principal, [ROLES.RESPONDER]) && req.principal.sub !== req.params.user) {
+    return res.status(403).json({ success: false, error: 'Forbidden - you can only view your own check-ins' });
+  }
+  res.json({ success: true, checkIn: checkInStatus(req.params.user) });
+});
+
+// Change check-in settings - body: { loneWorker, intervalSeconds, graceSeconds, autoSos }
+app.put('/api/checkins/:user', authenticate, (req, res) => {
+  if (req.principal.role !== ROLES.ADMIN && req.principal.sub !== req.params.user) {
+    return res.status(403).json({ success: false, error: 'Forbidden - you can only change your own check-in settings' });
+  }
+
+  const result = updateCheckInSettings(req.params.user, req.body, { updatedBy: actorOf(req.principal) });
+  if (!result.success) {
+    return res.status(result.statusCode).json({ success: false, code: result.code, error: result.error, details: result.details });
+  }
+  res.json({ success: true, checkIn: checkInStatus(req.params.user) });
+});
+
+// Responders with their position and availability
+app.get('/api/responders', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  const list = [...responders.values()];
+  const byAvailability = list.reduce((acc, r) => {
+    acc[r.availability] = (acc[r.availability] || 0) + 1;
+    return acc;
+  }, {});
+
+  res.json({ success: true, count: list.length, byAvailability, responders: list });
+});
+
+// Update a responder's availability / position - body: { availability, lat, lng }
+app.put('/api/responders/:user/status', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  if (req.principal.role !== ROLES.ADMIN && req.principal.sub !== req.params.user) {
+    return res.status(403).json({ success: false, error: 'Forbidden - you can only update your own status' });
+  }
+
+  const { availability } = req.body || {};
+  if (availability !== undefined && !AVAILABILITY_VALUES.includes(availability)) {
+    return res.status(400).json({ success: false, error: `availability must be one of: ${AVAILABILITY_VALUES.join(', ')}` });
+  }
+
+  const responder = updateResponder(req.params.user, {
+    ...(availability !== undefined ? { availability } : {}),
+    ...(req.body && isValidPoint(req.body) ? { lat: getLat(req.body), lng: getLng(req.body) } : {})
+  });
+  res.json({ success: true, responder });
+});
+
+// Accept or decline a dispatch offer - body: { accept: true|false }
+app.post('/api/dispatch/offers/:offerId', authenticate, requireRole(ROLES.RESPONDER), async (req, res) => {
+  const result = await respondToDispatchOffer({
+    offerId: req.params.offerId,
+    accept: req.body?.accept === true,
+    principal: req.principal
+  });
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+  }
+  res.json({ success: true, alert: result.alert });
+});
+
+// Start a new dispatch round for an alert
+app.post('/api/alerts/:id/dispatch', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  const alert = findAlert(req.params.id);
+  if (!alert) {
+    return res.status(404).json({ success: false, error: `Alert with id ${req.params.id} not found` });
+  }
+  if (![INCIDENT_STATUS.OPEN, INCIDENT_STATUS.ACKNOWLEDGED].includes(alert.status)) {
+    return res.status(409).json({ success: false, error: `Cannot dispatch an incident that is ${alert.status}` });
+  }
+
+  const offer = redispatchAlert(req.params.id);
+  res.json({ success: true, offer, alert: findAlert(req.params.id) });
+});
+
+// Active tracking sessions
+app.get('/api/tracking', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  const sessions = [...trackingSessions.values()];
+  res.json({ success: true, count: sessions.length, sessions });
+});
+
+// Breadcrumb trail of a user as a GeoJSON LineString (?from&to as ISO or epoch ms)
+app.get('/api/users/:user/track', authenticate, (req, res) => {
+  const { user } = req.params;
+  if (!hasRole(req.principal, [ROLES.RESPONDER]) && req.principal.sub !== user) {
+    return res.status(403).json({ success: false, error: 'Forbidden - you can only view your own track' });
+  }
+
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ success: false, error: 'from and to must be ISO dates or epoch milliseconds' });
+  }
+
+  const points = filterTrail(breadcrumbs.get(user) || [], from, to);
+  res.type('application/geo+json').json(trailToGeoJSON(user, points, trackingSessions.get(user)));
+});
+
+// Start tracking a user via REST API
+app.post('/api/users/:user/track/start', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const session = startTracking(req.params.user, {
+    reason: 'admin',
+    startedBy: actorOf(req.principal),
+    intervalSeconds: Number(req.body?.intervalSeconds) > 0 ? Number(req.body.intervalSeconds) : 5
+  });
+  res.status(201).json({ success: true, session });
+});
+
+// Stop tracking a user via REST API
+app.post('/api/users/:user/track/stop', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const session = stopTracking(req.params.user, { stoppedBy: actorOf(req.principal) });
+  if (!session) {
+    return res.status(404).json({ success: false, error: `No active tracking session for ${req.params.user}` });
+  }
+  res.json({ success: true, session });
+});
+
+// Raise an SOS over HTTP (for devices that cannot hold a websocket).
+// Send Idempotency-Key (header or body.idempotencyKey) to make retries safe.
+app.post('/api/sos', authenticate, requireRole(ROLES.MOBILE, ROLES.RESPONDER), rateLimit('sos'), (req, res) => {
+  const body = req.body || {};
+  console.log('🌐 POST /api/sos - User:', body.user || req.principal.sub);
+
+  if (!isSelfServiceAllowed(req.principal, body.user)) {
+    return res.status(403).json({ success: false, error: 'Forbidden - SOS can only be sent for yourself' });
+  }
+
+  const result = receiveSos({
+    ...body,
+    user: req.principal.role === ROLES.MOBILE ? req.principal.sub : (body.user || req.principal.sub),
+    ...(req.get('Idempotency-Key') ? { idempotencyKey: req.get('Idempotency-Key') } : {})
+  }, { source: 'http' });
+
+  if (result.error) {
+    return res.status(400).json(sosReceipt(result));
+  }
+  res.status(result.duplicate || result.merged ? 200 : 201).json(sosReceipt(result));
+});
+
+// Get recent SOS alerts via REST API
+// (filters, sorting, cursor pagination and ?format=csv|geojson - see lib/query.js)
+app.get('/api/alerts', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  sendRecordQuery(req, res, sosAlerts, 'alerts');
+});
+
+// Chat history of an incident (responders and the user in distress)
+app.get('/api/alerts/:id/messages', authenticate, (req, res) => {
+  const alert = findAlert(req.params.id);
+  if (!canJoinIncidentChat(req.principal, alert)) {
+    return res.status(404).json({ success: false, code: ERROR_CODES.NOT_FOUND, error: `Alert with id ${req.params.id} not found` });
+  }
+
+  const chat = getIncidentChat(alert.id);
+  res.json({
+    success: true,
+    alertId: String(alert.id),
+    count: chat.messages.length,
+    messages: chat.messages,
+    reads: chat.reads,
+    closed: Boolean(chat.closedAt),
+    closedAt: chat.closedAt,
+    quickReplies: QUICK_REPLIES
+  });
+});
 
-    // Store geofence
-    geofences.push(newGeofence);
-    console.log('✅ Geofence created successfully. Total geofences:', geofences.length);
+// Send a chat message - body: { text } or { preset }
+app.post('/api/alerts/:id/messages', authenticate, (req, res) => {
+  const result = sendIncidentMessage(req.params.id, req.body, req.principal);
+  if (!result.success) {
+    return res.status(result.statusCode).json({
+      success: false,
+      code: result.code,
+      error: result.error,
+      ...(result.details ? { details: result.details } : {})
+    });
+  }
+  res.status(201).json({ success: true, message: result.message });
+});
 
-    // Broadcast to all connected clients
-    socket.broadcast.emit('updateGeofence', newGeofence);
+// Get the escalation policies in effect
+app.get('/api/escalation-policies', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  res.json({ success: true, policies: escalationPolicies });
+});
 
-    // Send to specific mobile clients
-    connectedClients.forEach((client, clientId) => {
-      if (client.type === 'mobile' || clientId !== socket.id) {
-        io.to(clientId).emit('updateGeofence', newGeofence);
-      }
-    });
+// Get stored geofence violations via REST API
+// (same query parameters as /api/alerts)
+app.get('/api/violations', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  sendRecordQuery(req, res, violations, 'violations');
+});
 
-    // Send confirmation back to creator
-    socket.emit('geofenceCreated', { 
-      success: true, 
-      geofence: newGeofence,
-      message: `Geofence "${newGeofence.name}" created successfully`
-    });
+// Get a single SOS alert (incident) via REST API
+app.get('/api/alerts/:id', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  const alert = findAlert(req.params.id);
+  if (!alert) {
+    return res.status(404).json({ success: false, error: `Alert with id ${req.params.id} not found` });
+  }
 
-    console.log('📢 New geofence broadcasted to', connectedClients.size - 1, 'other clients');
-  });
+  res.json({ success: true, alert });
+});
 
-  // Handle geofence updates from web admin
-  socket.on('updateGeofence', (geofenceData) => {
-    console.log('-------------------------');
-    console.log('📍 UPDATE GEOFENCE - Web Admin');
-    console.log('ID:', geofenceData.id);
-    console.log('Name:', geofenceData.name);
-    console.log('Active:', geofenceData.active);
-    console.log('-------------------------');
+// Change incident status via REST API - body: { status, by, note, assignedTo }
+app.patch('/api/alerts/:id', authenticate, (req, res) => {
+  console.log('🌐 PATCH /api/alerts/' + req.params.id, '- Status:', req.body?.status);
 
-    if (!geofenceData || !geofenceData.id) {
-      console.error('❌ Invalid geofence update data - missing id');
-      socket.emit('error', { message: 'Invalid geofence update data - missing id' });
-      return;
-    }
+  if (!canChangeIncident(req.principal, findAlert(req.params.id), req.body?.status)) {
+    return res.status(403).json({ success: false, error: 'Forbidden - not allowed to change this incident' });
+  }
 
-    // Find and update geofence
-    const index = geofences.findIndex(g => g.id === geofenceData.id);
-    if (index !== -1) {
-      geofences[index] = {
-        ...geofences[index],
-        ...geofenceData,
-        updatedAt: new Date().toISOString()
-      };
+  const result = changeIncidentStatus(req.params.id, {
+    status: req.body?.status,
+    by: actorOf(req.principal, req.body?.by),
+    note: req.body?.note,
+    assignedTo: req.body?.assignedTo
+  });
 
-      console.log('✅ Geofence updated successfully:', geofenceData.name);
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+  }
 
-      // Broadcast update to all clients
-      io.emit('updateGeofence', geofences[index]);
+  res.json({ success: true, alert: result.alert });
+});
 
-      console.log('📢 Geofence update broadcasted to all clients');
-    } else {
-      console.warn('⚠️ Geofence not found for update, creating new one:', geofenceData.id);
+// Shorthand transitions: PATCH /api/alerts/:id/acknowledge|assign|resolve|cancel|false-alarm
+app.patch('/api/alerts/:id/:action', authenticate, (req, res) => {
+  const status = INCIDENT_ACTIONS[req.params.action];
+  if (!status) {
+    return res.status(404).json({ success: false, error: `Unknown incident action: ${req.params.action}` });
+  }
 
-      // If not found, create it as new geofence
-      const newGeofence = {
-        ...geofenceData,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-      geofences.push(newGeofence);
-      io.emit('updateGeofence', newGeofence);
+  if (!canChangeIncident(req.principal, findAlert(req.params.id), status)) {
+    return res.status(403).json({ success: false, error: 'Forbidden - not allowed to change this incident' });
+  }
 
-      console.log('✅ Created new geofence from update request');
-    }
+  const result = changeIncidentStatus(req.params.id, {
+    status,
+    by: actorOf(req.principal, req.body?.by),
+    note: req.body?.note,
+    assignedTo: req.body?.assignedTo
   });
 
-  // Handle geofence deletion from web admin
-  socket.on('deleteGeofence', (data) => {
-    console.log('-------------------------');
-    console.log('📍 DELETE GEOFENCE - Web Admin');
-    console.log('ID:', data.id);
-    console.log('-------------------------');
-
-    if (!data || !data.id) {
-      console.error('❌ Invalid geofence delete data - missing id');
-      socket.emit('error', { message: 'Invalid geofence delete data - missing id' });
-      return;
-    }
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+  }
 
-    // Find geofence to delete
-    const geofenceToDelete = geofences.find(g => g.id === data.id);
-    const geofenceName = geofenceToDelete?.name || 'Unknown';
+  res.json({ success: true, alert: result.alert });
+});
 
-    // Remove geofence
-    const initialLength = geofences.length;
-    geofences = geofences.filter(g => g.id !== data.id);
+// ==================== ALERT & VIOLATION QUERIES ====================
+
+// Answer a record query with a JSON page or a CSV / GeoJSON export
+const sendRecordQuery = (req, res, records, recordType) => {
+  const parsed = parseRecordQuery(req.query, recordType);
+  if (!parsed.valid) {
+    return res.status(400).json({
+      success: false,
+      code: ERROR_CODES.VALIDATION_FAILED,
+      error: 'Invalid query',
+      details: parsed.errors
+    });
+  }
 
-    if (geofences.length < initialLength) {
-      console.log('✅ Geofence deleted successfully:', geofenceName);
+  const query = parsed.value;
+  const { items, matched, nextCursor } = runRecordQuery(records, query, recordType);
+  if (nextCursor) res.set('X-Next-Cursor', nextCursor);
 
-      // Broadcast deletion to all clients
-      io.emit('deleteGeofence', data);
+  if (query.format === 'csv') {
+    return res.type('text/csv').attachment(`${recordType}.csv`).send(recordsToCSV(items, recordType));
+  }
+  if (query.format === 'geojson') {
+    return res
+      .type('application/geo+json')
+      .attachment(`${recordType}.geojson`)
+      .send(JSON.stringify(recordsToGeoJSON(items), null, 2));
+  }
 
-      console.log('📢 Geofence deletion broadcasted to all clients');
-      console.log('📊 Remaining geofences:', geofences.length);
-    } else {
-      console.warn('⚠️ Geofence not found for deletion:', data.id);
-      socket.emit('error', { message: `Geofence with id ${data.id} not found` });
-    }
+  res.json({
+    success: true,
+    count: items.length,
+    matchedCount: matched,
+    totalCount: records.length,
+    nextCursor,
+    [recordType]: items,
+    timestamp: new Date().toISOString()
   });
+};
 
-  // ==================== CLIENT MANAGEMENT ====================
+// ==================== BLOCKLIST ====================
 
-  // Handle client identification (for Flutter apps, web admin, etc.)
-  socket.on('identify', (data) => {
-    console.log('-------------------------');
-    console.log('🏷️ CLIENT IDENTIFICATION');
-    console.log('Type:', data.type || 'unknown');
-    console.log('Name:', data.name || 'unknown');
-    console.log('Platform:', data.platform || 'unknown');
-    console.log('Socket ID:', socket.id);
-    console.log('-------------------------');
+// Blocked users and IP addresses
+app.get('/api/blocklist', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  res.json({ success: true, count: blocklist.length, blocklist });
+});
 
-    if (connectedClients.has(socket.id)) {
-      connectedClients.set(socket.id, {
-        ...connectedClients.get(socket.id),
-        type: data.type || 'unknown',
-        name: data.name || 'Unknown Client',
-        platform: data.platform || 'unknown',
-        userAgent: data.userAgent || 'unknown',
-        ...data
-      });
+// Block a user or IP - body: { type: 'user'|'ip', value, reason?, expiresInSeconds? }
+app.post('/api/blocklist', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const { type, value, reason, expiresInSeconds } = req.body || {};
 
-      // Send all existing geofences to new mobile client
-      if (data.type === 'mobile' && geofences.length > 0) {
-        console.log('📱 Sending all geofences to new mobile client...');
+  if (!['user', 'ip'].includes(type) || typeof value !== 'string' || value.trim() === '') {
+    return res.status(400).json({
+      success: false,
+      code: ERROR_CODES.VALIDATION_FAILED,
+      error: "type ('user' or 'ip') and value are required"
+    });
+  }
+  if (expiresInSeconds !== undefined && !(Number(expiresInSeconds) > 0)) {
+    return res.status(400).json({ success: false, code: ERROR_CODES.VALIDATION_FAILED, error: 'expiresInSeconds must be positive' });
+  }
+  if (type === 'user' && value === req.principal.sub) {
+    return res.status(400).json({ success: false, code: ERROR_CODES.VALIDATION_FAILED, error: 'You cannot block yourself' });
+  }
 
-        // Send geofences one by one
-        geofences.forEach((geofence, index) => {
-          setTimeout(() => {
-            socket.emit('updateGeofence', geofence);
-          }, index * 100); // Small delay between each geofence
-        });
+  const entry = {
+    id: crypto.randomUUID(),
+    type,
+    value: value.trim(),
+    reason: reason || '',
+    createdBy: actorOf(req.principal),
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresInSeconds ? new Date(Date.now() + Number(expiresInSeconds) * 1000).toISOString() : null
+  };
+  blocklist.push(entry);
+  persistBlocklistEntry(entry.id);
+
+  // Drop live connections of whoever was just blocked
+  if (type === 'user') {
+    io.in(userRoom(entry.value)).disconnectSockets(true);
+  } else {
+    io.fetchSockets().then(sockets => sockets
+      .filter(socket => socket.handshake.address === entry.value)
+      .forEach(socket => socket.disconnect(true)));
+  }
 
-        console.log(`📍 Queued ${geofences.length} geofences for mobile client`);
+  console.log(`⛔ ${type} ${entry.value} blocked by ${entry.createdBy}${entry.reason ? ` (${entry.reason})` : ''}`);
+  res.status(201).json({ success: true, entry });
+});
 
-        // Also send via bulk method
-        setTimeout(() => {
-          socket.emit('allGeofences', geofences);
-        }, geofences.length * 100 + 500);
-      }
+// Lift a block
+app.delete('/api/blocklist/:id', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const entry = blocklist.find(e => e.id === req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, code: ERROR_CODES.NOT_FOUND, error: `Blocklist entry ${req.params.id} not found` });
+  }
 
-      console.log('✅ Client identified and configured');
-    }
-  });
+  blocklist = blocklist.filter(e => e.id !== entry.id);
+  persistBlocklistEntry(entry.id);
+  console.log(`✅ ${entry.type} ${entry.value} unblocked by ${actorOf(req.principal)}`);
+  res.json({ success: true, id: entry.id });
+});
 
-  // ==================== GEOFENCE VIOLATIONS ====================
+// ==================== CONTACT GROUPS ====================
 
-  // Handle geofence violations from mobile clients
-  socket.on('geofenceViolation', (violationData) => {
-    console.log('-------------------------');
-    console.log('⚠️ GEOFENCE VIOLATION DETECTED');
-    console.log('User:', violationData.user || 'Unknown User');
-    console.log('Action:', violationData.action || 'unknown action');
-    console.log('Geofence:', violationData.geofenceName || 'Unknown Geofence');
-    console.log('Location:', violationData.lat, violationData.lng || violationData.lon);
-    console.log('Priority:', violationData.priority || 'medium');
-    console.log('Time:', new Date().toLocaleString());
-    console.log('-------------------------');
+// Send a failed group operation as a structured JSON error
+const sendGroupError = (res, result) => res.status(result.statusCode || 400).json({
+  success: false,
+  code: result.code,
+  error: result.error,
+  ...(result.details ? { details: result.details } : {})
+});
 
-    const violation = {
-      id: Date.now() + Math.random(),
-      user: violationData.user || 'Unknown User',
-      action: violationData.action || 'entered',
-      geofenceName: violationData.geofenceName || 'Unknown Geofence',
-      geofenceId: violationData.geofenceId,
-      lat: violationData.lat,
-      lng: violationData.lng || violationData.lon,
-      priority: violationData.priority || 'medium',
-      timestamp: violationData.timestamp || new Date().toISOString(),
-      receivedAt: new Date().toISOString(),
-      ...violationData
-    };
+// Contact groups - every group for supervisors, your own groups otherwise
+app.get('/api/groups', authenticate, (req, res) => {
+  const list = hasRole(req.principal, [ROLES.RESPONDER]) ? [...groups.values()] : groupsOf(req.principal.sub);
+  res.json({ success: true, count: list.length, groups: list });
+});
 
-    // Broadcast violation to all clients (especially web admin)
-    io.emit('geofenceViolation', violation);
+// A single group (supervisors and members)
+app.get('/api/groups/:id', authenticate, (req, res) => {
+  const group = groups.get(req.params.id);
+  if (!group || (!hasRole(req.principal, [ROLES.RESPONDER]) && !group.members.includes(req.principal.sub))) {
+    return sendGroupError(res, groupFailure(404, ERROR_CODES.NOT_FOUND, `Group with id ${req.params.id} not found`));
+  }
+  res.json({ success: true, group });
+});
 
-    console.log('📢 Geofence violation broadcasted to', connectedClients.size, 'clients');
-  });
+// Create a group - body: { id?, name, kind: family|team|organisation, description?, members: [user] }
+app.post('/api/groups', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const result = createGroup(req.body, { actor: actorOf(req.principal) });
+  if (!result.success) return sendGroupError(res, result);
+  res.status(201).json({ success: true, group: result.group });
+});
 
-  // ==================== UTILITY EVENTS ====================
+// Change a group's name, kind, description or member list
+app.patch('/api/groups/:id', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const result = updateGroup(req.params.id, req.body, { actor: actorOf(req.principal) });
+  if (!result.success) return sendGroupError(res, result);
+  res.json({ success: true, group: result.group });
+});
 
-  // Get all geofences (for mobile apps requesting sync)
-  socket.on('getGeofences', () => {
-    console.log('📍 All geofences requested by client:', socket.id);
-    const clientInfo = connectedClients.get(socket.id);
-    console.log('📍 Requesting client type:', clientInfo?.type || 'unknown');
+// Add a member to a group
+app.put('/api/groups/:id/members/:user', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const group = groups.get(req.params.id);
+  const members = group ? [...group.members, req.params.user] : [];
+  const result = updateGroup(req.params.id, { members }, { actor: actorOf(req.principal) });
+  if (!result.success) return sendGroupError(res, result);
+  res.json({ success: true, group: result.group });
+});
 
-    // Send all geofences
-    socket.emit('allGeofences', geofences);
+// Remove a member from a group
+app.delete('/api/groups/:id/members/:user', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const group = groups.get(req.params.id);
+  if (group && !group.members.includes(req.params.user)) {
+    return sendGroupError(res, groupFailure(404, ERROR_CODES.NOT_FOUND, `${req.params.user} is not a member of group ${group.id}`));
+  }
+  const members = group ? group.members.filter(member => member !== req.params.user) : [];
+  const result = updateGroup(req.params.id, { members }, { actor: actorOf(req.principal) });
+  if (!result.success) return sendGroupError(res, result);
+  res.json({ success: true, group: result.group });
+});
 
-    // Also send them individually for better compatibility
-    geofences.forEach((geofence, index) => {
-      setTimeout(() => {
-        socket.emit('updateGeofence', geofence);
-      }, index * 50);
-    });
+// Delete a group
+app.delete('/api/groups/:id', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const result = deleteGroup(req.params.id);
+  if (!result.success) return sendGroupError(res, result);
+  res.json({ success: true, group: result.group });
+});
 
-    console.log(`📍 Sent ${geofences.length} geofences to requesting client`);
-  });
+// ==================== ADVISORIES ====================
 
-  // Get recent SOS alerts
-  socket.on('getRecentAlerts', () => {
-    console.log('🆘 Recent alerts requested by client:', socket.id);
-    socket.emit('recentAlerts', sosAlerts.slice(0, 50)); // Send last 50 alerts
-  });
+const sendAdvisoryError = (res, result) => res.status(result.statusCode || 400).json({
+  success: false,
+  code: result.code,
+  error: result.error,
+  ...(result.details ? { details: result.details } : {})
+});
 
-  // Server status request
-  socket.on('getServerStatus', () => {
-    const status = {
-      connectedClients: connectedClients.size,
-      totalGeofences: geofences.length,
-      activeGeofences: geofences.filter(g => g.active).length,
-      recentAlerts: sosAlerts.length,
-      uptime: process.uptime(),
-      timestamp: new Date().toISOString()
-    };
+// Advisories with delivery and acknowledgement counts (?active=true: still in force)
+app.get('/api/advisories', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  const list = [...advisories.values()]
+    .filter(advisory => req.query.active !== 'true' || isAdvisoryActive(advisory))
+    .map(advisorySummary);
+  res.json({ success: true, count: list.length, advisories: list });
+});
 
-    socket.emit('serverStatus', status);
-    console.log('📊 Server status sent to client:', socket.id);
-  });
+// A single advisory, including who received and acknowledged it
+app.get('/api/advisories/:id', authenticate, requireRole(ROLES.RESPONDER), (req, res) => {
+  const advisory = advisories.get(req.params.id);
+  if (!advisory) {
+    return sendAdvisoryError(res, advisoryFailure(404, ERROR_CODES.NOT_FOUND, `Advisory with id ${req.params.id} not found`));
+  }
+  res.json({ success: true, advisory: { ...advisorySummary(advisory), deliveries: advisory.deliveries, acknowledgements: advisory.acknowledgements } });
+});
 
-  // ==================== DISCONNECT HANDLER ====================
+// Send an advisory - body: { id?, geofenceId | area, message, severity?, expiresAt? | expiresInMinutes? }
+app.post('/api/advisories', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const result = createAdvisory(req.body, { actor: actorOf(req.principal) });
+  if (!result.success) return sendAdvisoryError(res, result);
+  res.status(201).json({ success: true, advisory: result.advisory });
+});
 
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    const client = connectedClients.get(socket.id);
-    console.log('-------------------------');
-    console.log('❌ CLIENT DISCONNECTED');
-    console.log('Socket ID:', socket.id);
-    console.log('Type:', client?.type || 'unknown');
-    console.log('Name:', client?.name || 'unknown');
-    console.log('Connected for:', client ? Math.floor((Date.now() - new Date(client.connectedAt).getTime()) / 1000) + 's' : 'unknown');
-    console.log('-------------------------');
+// Acknowledge an advisory you received
+app.post('/api/advisories/:id/acknowledge', authenticate, (req, res) => {
+  const result = acknowledgeAdvisory(req.params.id, req.principal);
+  if (!result.success) return sendAdvisoryError(res, result);
+  res.json({ success: true, acknowledgedAt: result.acknowledgedAt });
+});
 
-    connectedClients.delete(socket.id);
-    console.log('👥 Remaining connected clients:', connectedClients.size);
-  });
+// Cancel an advisory before it expires
+app.delete('/api/advisories/:id', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const result = cancelAdvisory(req.params.id, { actor: actorOf(req.principal) });
+  if (!result.success) return sendAdvisoryError(res, result);
+  res.json({ success: true, advisory: result.advisory });
 });
 
-// ================================================================
-// REST API ENDPOINTS
-// ================================================================
+// ==================== WEBHOOKS ====================
 
-// Root endpoint
-app.get('/', (req, res) => {
+const webhookNotFound = (res, id) =>
+  res.status(404).json({ success: false, code: ERROR_CODES.NOT_FOUND, error: `Webhook with id ${id} not found` });
+
+// List webhook subscriptions
+app.get('/api/webhooks', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const subscriptions = webhooks.listSubscriptions().map(publicSubscription);
   res.json({
-    message: 'Vortex SOS Server - Emergency Response System',
-    version: '2.0.0',
-    status: 'running',
-    timestamp: new Date().toISOString(),
-    features: [
-      'SOS Emergency Alerts',
-      'Advanced Geofencing',
-      'Real-time Communication',
-      'Multi-client Support'
-    ]
+    success: true,
+    count: subscriptions.length,
+    pendingDeliveries: webhooks.getPending().length,
+    deadLetters: webhooks.getDeadLetters().length,
+    webhooks: subscriptions
   });
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  const clientTypes = {};
-  connectedClients.forEach(client => {
-    clientTypes[client.type] = (clientTypes[client.type] || 0) + 1;
-  });
+// Create a webhook subscription - body: { url, events, secret?, description? }
+app.post('/api/webhooks', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const errors = validateSubscription(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, code: ERROR_CODES.VALIDATION_FAILED, error: errors.join('; ') });
+  }
 
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    connectedClients: connectedClients.size,
-    clientTypes: clientTypes,
-    geofences: geofences.length,
-    activeGeofences: geofences.filter(g => g.active).length,
-    recentAlerts: sosAlerts.length,
-    uptime: process.uptime(),
-    memory: process.memoryUsage()
-  });
+  const subscription = webhooks.createSubscription(req.body);
+  console.log('🪝 Webhook subscription created:', subscription.url, subscription.events.join(','));
+
+  // The secret is only returned once, when the subscription is created
+  res.status(201).json({ success: true, webhook: { ...publicSubscription(subscription), secret: subscription.secret } });
 });
 
-// Get all geofences via REST API
-app.get('/api/geofences', (req, res) => {
-  console.log('🌐 GET /api/geofences - Client IP:', req.ip);
+// Dead-lettered deliveries (all retries exhausted)
+app.get('/api/webhooks/dead-letters', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const deadLetters = webhooks.getDeadLetters();
+  res.json({ success: true, count: deadLetters.length, deadLetters });
+});
 
-  const activeOnly = req.query.active === 'true';
-  const filteredGeofences = activeOnly ? geofences.filter(g => g.active) : geofences;
+// Re-queue a dead-lettered delivery
+app.post('/api/webhooks/dead-letters/:deliveryId/retry', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const delivery = webhooks.retryDeadLetter(req.params.deliveryId);
+  if (!delivery) {
+    return res.status(404).json({ success: false, code: ERROR_CODES.NOT_FOUND, error: `Dead letter ${req.params.deliveryId} not found` });
+  }
 
-  res.json({
-    success: true,
-    count: filteredGeofences.length,
-    totalCount: geofences.length,
-    activeCount: geofences.filter(g => g.active).length,
-    geofences: filteredGeofences,
-    timestamp: new Date().toISOString()
-  });
+  res.json({ success: true, delivery });
 });
 
-// Create geofence via REST API
-app.post('/api/geofences', (req, res) => {
-  console.log('🌐 POST /api/geofences - Creating geofence via REST API');
-  console.log('🌐 Geofence name:', req.body.name);
-
-  const newGeofence = {
-    id: req.body.id || Date.now().toString(),
-    name: req.body.name || 'REST API Geofence',
-    type: req.body.type || 'MONITORING',
-    priority: req.body.priority || 'medium',
-    active: req.body.active !== false,
-    alertOnEntry: req.body.alertOnEntry !== false,
-    alertOnExit: req.body.alertOnExit || false,
-    shapeType: req.body.shapeType || 'polygon',
-    points: req.body.points || [],
-    center: req.body.center || null,
-    radius: req.body.radius || null,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-    ...req.body
-  };
+// Get a webhook subscription
+app.get('/api/webhooks/:id', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const subscription = webhooks.getSubscription(req.params.id);
+  if (!subscription) return webhookNotFound(res, req.params.id);
 
-  geofences.push(newGeofence);
+  res.json({ success: true, webhook: publicSubscription(subscription) });
+});
 
-  // Broadcast to all connected Socket.IO clients
-  io.emit('updateGeofence', newGeofence);
+// Update a webhook subscription
+app.patch('/api/webhooks/:id', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const errors = validateSubscription(req.body || {}, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, code: ERROR_CODES.VALIDATION_FAILED, error: errors.join('; ') });
+  }
 
-  console.log('✅ Geofence created via REST API and broadcasted');
+  const subscription = webhooks.updateSubscription(req.params.id, req.body || {});
+  if (!subscription) return webhookNotFound(res, req.params.id);
 
-  res.status(201).json({
-    success: true,
-    message: 'Geofence created successfully',
-    geofence: newGeofence
-  });
+  res.json({ success: true, webhook: publicSubscription(subscription) });
 });
 
-// Get recent SOS alerts via REST API
-app.get('/api/alerts', (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
-  const recentAlerts = sosAlerts.slice(0, limit);
+// Delete a webhook subscription (pending retries are dropped)
+app.delete('/api/webhooks/:id', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  const subscription = webhooks.deleteSubscription(req.params.id);
+  if (!subscription) return webhookNotFound(res, req.params.id);
+
+  console.log('🪝 Webhook subscription deleted:', subscription.url);
+  res.json({ success: true, id: subscription.id });
+});
+
+// Delivery log for a webhook subscription
+app.get('/api/webhooks/:id/deliveries', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  if (!webhooks.getSubscription(req.params.id)) return webhookNotFound(res, req.params.id);
 
+  const limit = parseInt(req.query.limit) || 50;
+  const deliveries = webhooks.getDeliveryLog(req.params.id);
   res.json({
     success: true,
-    count: recentAlerts.length,
-    totalCount: sosAlerts.length,
-    alerts: recentAlerts,
-    timestamp: new Date().toISOString()
+    count: Math.min(limit, deliveries.length),
+    totalCount: deliveries.length,
+    pending: webhooks.getPending().filter(d => d.webhookId === req.params.id),
+    deliveries: deliveries.slice(0, limit)
   });
 });
 
 // Get server statistics
-app.get('/api/stats', (req, res) => {
-  const clientTypes = {};
-  const clientDetails = [];
+// (clients are aggregated across every cluster node)
+app.get('/api/stats', authenticate, requireRole(ROLES.RESPONDER), async (req, res) => {
+  const nodes = [getNodeStats(), ...(await collectFromPeers('nodeStats'))];
 
-  connectedClients.forEach(client => {
-    clientTypes[client.type] = (clientTypes[client.type] || 0) + 1;
-    clientDetails.push({
-      id: client.id,
-      type: client.type,
-      name: client.name,
-      connectedAt: client.connectedAt,
-      connectedFor: Math.floor((Date.now() - new Date(client.connectedAt).getTime()) / 1000)
-    });
-  });
+  const clientTypes = {};
+  nodes.forEach(node => Object.entries(node.clients.types).forEach(([type, count]) => {
+    clientTypes[type] = (clientTypes[type] || 0) + count;
+  }));
 
   res.json({
     server: {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      nodeId: NODE_ID
     },
+    nodes: nodes.map(({ clients, memory, ...node }) => ({
+      ...node,
+      heapUsedMB: Math.round(memory.heapUsed / 1024 / 1024),
+      clients: clients.total
+    })),
     clients: {
-      total: connectedClients.size,
+      total: nodes.reduce((sum, node) => sum + node.clients.total, 0),
       types: clientTypes,
-      details: clientDetails
+      details: nodes.flatMap(node => node.clients.details),
+      known: knownClients.size
     },
     geofences: {
       total: geofences.length,
-      active: geofences.filter(g => g.active).length,
+      active: geofences.filter(g => isGeofenceActive(g)).length,
+      scheduled: geofences.filter(g => g.schedule).length,
       byType: geofences.reduce((acc, g) => {
         acc[g.type] = (acc[g.type] || 0) + 1;
         return acc;
@@ -566,7 +3794,15 @@ app.get('/api/stats', (req, res) => {
     },
     alerts: {
       total: sosAlerts.length,
+      byStatus: sosAlerts.reduce((acc, a) => {
+        acc[a.status] = (acc[a.status] || 0) + 1;
+        return acc;
+      }, {}),
       recent: sosAlerts.slice(0, 10)
+    },
+    violations: {
+      total: violations.length,
+      recent: violations.slice(0, 10)
     }
   });
 });
@@ -575,8 +3811,7 @@ app.get('/api/stats', (req, res) => {
 // SERVER STARTUP
 // ================================================================
 
-// Start the server and listen for connections
-server.listen(PORT, () => {
+const printStartupBanner = () => {
   console.clear(); // Clear console for clean startup
   console.log('🚀================================================================🚀');
   console.log('🚀                    VORTEX SOS SERVER                        🚀');
@@ -592,22 +3827,101 @@ server.listen(PORT, () => {
   console.log('🌐 REST API endpoints available at:');
   console.log('   GET  /', `http://localhost:${PORT}/`);
   console.log('   GET  /api/health', `http://localhost:${PORT}/api/health`);
+  console.log('   GET  /metrics', `http://localhost:${PORT}/metrics`);
   console.log('   GET  /api/stats', `http://localhost:${PORT}/api/stats`);
   console.log('   GET  /api/geofences', `http://localhost:${PORT}/api/geofences`);
   console.log('   POST /api/geofences', `http://localhost:${PORT}/api/geofences`);
+  console.log('   GET  /api/geofences/sync', `http://localhost:${PORT}/api/geofences/sync?sinceRevision=`);
+  console.log('   GET  /api/geofences/export', `http://localhost:${PORT}/api/geofences/export?format=geojson|kml`);
+  console.log('   POST /api/geofences/import', `http://localhost:${PORT}/api/geofences/import?dryRun=true`);
+  console.log('   GET|PUT|PATCH|DELETE /api/geofences/:id', `http://localhost:${PORT}/api/geofences/:id`);
+  console.log('   GET  /api/geofences/:id/history', `http://localhost:${PORT}/api/geofences/:id/history`);
+  console.log('   POST /api/geofences/:id/rollback', `http://localhost:${PORT}/api/geofences/:id/rollback`);
   console.log('   GET  /api/alerts', `http://localhost:${PORT}/api/alerts`);
+  console.log('   POST /api/sos', `http://localhost:${PORT}/api/sos`);
+  console.log('   PATCH /api/alerts/:id', `http://localhost:${PORT}/api/alerts/:id`);
+  console.log('   POST /api/auth/token', `http://localhost:${PORT}/api/auth/token`);
+  console.log('   GET  /api/escalation-policies', `http://localhost:${PORT}/api/escalation-policies`);
+  console.log('   GET|POST /api/webhooks', `http://localhost:${PORT}/api/webhooks`);
+  console.log('   GET  /api/users/:user/track', `http://localhost:${PORT}/api/users/:user/track?from&to`);
+  console.log('   GET  /api/responders', `http://localhost:${PORT}/api/responders`);
+  console.log('   GET|POST /api/blocklist', `http://localhost:${PORT}/api/blocklist`);
+  console.log('   GET  /api/violations', `http://localhost:${PORT}/api/violations`);
+  console.log('   POST /api/location', `http://localhost:${PORT}/api/location`);
   console.log('🚀================================================================🚀');
+  if (auth.disabled) {
+    console.warn('⚠️ AUTH_DISABLED=true - every client runs as an anonymous admin');
+  }
+  console.log('💾 Storage:', storage.backend, '-', storage.location);
+  console.log('💾 Restored', geofences.length, 'geofences,', sosAlerts.length, 'alerts,', violations.length, 'violations');
   console.log('🎯 Waiting for client connections...');
   console.log('');
-});
+};
+
+// Start the server and listen for connections (cluster workers get theirs
+// from the primary)
+if (CLUSTERED) {
+  console.log(`🧩 Cluster node ${NODE_ID} (pid ${process.pid}) ready${IS_LEADER ? ' - leader' : ''}`);
+} else {
+  server.listen(PORT, printStartupBanner);
+}
 
 // ================================================================
 // BACKGROUND TASKS & MONITORING
 // ================================================================
+// Timers are unref'd: the listening server keeps the process alive, and
+// a server started in-process (tests) can close without clearing them
+
+if (IS_LEADER) {
+  // Apply geofence schedules now and keep checking them
+  checkGeofenceSchedules();
+  setInterval(checkGeofenceSchedules, SCHEDULE_CHECK_INTERVAL_MS).unref();
+
+  // Resume escalation timers for alerts that were still open at shutdown
+  sosAlerts.forEach(alert => scheduleEscalation(alert));
+
+  // Offers that were pending at shutdown move on to the next responder
+  sosAlerts
+    .filter(alert => alert.dispatch?.status === 'offering' && alert.dispatch.currentOfferId)
+    .forEach(alert => {
+      updateAlert(alert.id, a => ({
+        ...a,
+        dispatch: {
+          ...a.dispatch,
+          currentOfferId: null,
+          offers: a.dispatch.offers.map(o => (o.outcome === 'pending' ? { ...o, outcome: 'interrupted' } : o))
+        }
+      }));
+      offerToNextResponder(alert.id);
+    });
+
+  // Resume webhook retries that were pending at shutdown
+  const resumedDeliveries = webhooks.resume();
+  if (resumedDeliveries > 0) {
+    console.log('🪝 Resumed', resumedDeliveries, 'pending webhook deliveries');
+  }
+
+  // Watch lone workers for missed check-ins
+  setInterval(checkMissedCheckIns, CHECK_IN_SWEEP_INTERVAL_MS).unref();
+
+  // Clean up old alerts every hour
+  setInterval(() => {
+    const removed = trimAlerts(); // Keep only last 100 alerts (open incidents stay)
+
+    if (removed > 0) {
+      console.log('🧹 Cleaned up', removed, 'old SOS alerts');
+    }
+
+    const expiredAdvisories = trimAdvisories();
+    if (expiredAdvisories > 0) {
+      console.log('🧹 Cleaned up', expiredAdvisories, 'expired advisories');
+    }
+  }, 3600000).unref(); // Every hour
+}
 
 // Periodic status logging every 5 minutes
 setInterval(() => {
-  const activeGeofences = geofences.filter(g => g.active).length;
+  const activeGeofences = geofences.filter(g => isGeofenceActive(g)).length;
   const clientTypes = {};
   connectedClients.forEach(client => {
     clientTypes[client.type] = (clientTypes[client.type] || 0) + 1;
@@ -626,17 +3940,10 @@ setInterval(() => {
   console.log('🆘 Recent alerts:', sosAlerts.length);
   console.log('📊================================================================📊');
   console.log('');
-}, 300000); // Every 5 minutes
-
-// Clean up old alerts every hour
-setInterval(() => {
-  const oldLength = sosAlerts.length;
-  sosAlerts = sosAlerts.slice(0, 100); // Keep only last 100 alerts
+}, 300000).unref(); // Every 5 minutes
 
-  if (oldLength > 100) {
-    console.log('🧹 Cleaned up', oldLength - 100, 'old SOS alerts');
-  }
-}, 3600000); // Every hour
+// Forget rate limit buckets that have refilled
+setInterval(() => rateLimiter.prune(), 60000).unref();
 
 // ================================================================
 // GRACEFUL SHUTDOWN HANDLING
@@ -651,12 +3958,24 @@ const gracefulShutdown = (signal) => {
   console.log('   - Uptime:', Math.floor(process.uptime()), 'seconds');
   console.log('   - Connected clients:', connectedClients.size);
   console.log('   - Total geofences:', geofences.length);
-  console.log('   - Active geofences:', geofences.filter(g => g.active).length);
+  console.log('   - Active geofences:', geofences.filter(g => isGeofenceActive(g)).length);
   console.log('   - SOS alerts processed:', sosAlerts.length);
   console.log('🛑================================================================🛑');
   console.log('👋 Thank you for using Vortex SOS Server!');
   console.log('🛑================================================================🛑');
 
+  // Flush pending writes so no state is lost on restart
+  try {
+    connectedClients.forEach(client => rememberClient(client));
+    if (storage.flush()) {
+      console.log('💾 State flushed to', storage.location);
+    }
+  } catch (error) {
+    console.error('💾 Failed to flush state during shutdown:', error.message);
+  }
+
+  eventRecorder.close();
+
   // Close server gracefully
   server.close(() => {
     console.log('✅ Server closed successfully');
@@ -670,6 +3989,17 @@ const gracefulShutdown = (signal) => {
   }, 5000);
 };
 
+// Stop pending timers and close every connection; for servers started
+// in-process (tests), which keep running the rest of their process
+const close = () => new Promise(resolve => {
+  escalationTimers.forEach(timer => clearTimeout(timer));
+  escalationTimers.clear();
+  dispatchOffers.forEach(offer => clearTimeout(offer.timer));
+  dispatchOffers.clear();
+  eventRecorder.close();
+  io.close(() => resolve());
+});
+
 // Handle shutdown signals
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
@@ -685,6 +4015,14 @@ process.on('unhandledRejection', (reason, promise) => {
   gracefulShutdown('UNHANDLED_REJECTION');
 });
 
+module.exports = {
+  app,
+  server,
+  io,
+  storage,
+  close
+};
+
 // ================================================================
 // END OF VORTEX SOS SERVER
 // ================================================================
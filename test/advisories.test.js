@@ -0,0 +1,83 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { startServer } = require('./helpers/server');
+
+describe('advisories', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  const moveTo = async (user, lat, lng) => {
+    const [status] = await server.request('POST', '/api/location', { lat, lng }, { sub: user, role: 'mobile' });
+    assert.equal(status, 200);
+  };
+
+  test('an advisory reaches users inside its area, and later arrivals', async () => {
+    await moveTo('ann', 0, 0);
+    await moveTo('ben', 10, 10);
+
+    const admin = await server.connect('ops', 'admin');
+    const ann = await server.connect('ann', 'mobile');
+    const ben = await server.connect('ben', 'mobile');
+    const received = { ann: [], ben: [] };
+    ann.on('advisory', notice => received.ann.push(notice));
+    ben.on('advisory', notice => received.ben.push(notice));
+
+    try {
+      const invalid = await admin.emitWithAck('createAdvisory', { area: { center: { lat: 0, lng: 0 }, radius: 1000 }, severity: 'loud' });
+      assert.equal(invalid.code, 'VALIDATION_FAILED');
+
+      const delivered = once(ann, 'advisory');
+      const created = await admin.emitWithAck('createAdvisory', {
+        area: { center: { lat: 0, lng: 0 }, radius: 1000 },
+        message: 'Gas leak - leave the area',
+        severity: 'severe'
+      });
+      assert.equal(created.success, true);
+      assert.equal(created.advisory.delivered, 1);
+      const [notice] = await delivered;
+      assert.equal(notice.id, created.advisory.id);
+      assert.equal(notice.message, 'Gas leak - leave the area');
+
+      const outside = await ben.emitWithAck('acknowledgeAdvisory', { id: notice.id });
+      assert.equal(outside.code, 'NOT_FOUND');
+      assert.deepEqual(received.ben, []);
+
+      const arrived = once(ben, 'advisory');
+      await moveTo('ben', 0, 0);
+      assert.equal((await arrived)[0].id, notice.id);
+
+      assert.equal((await ann.emitWithAck('acknowledgeAdvisory', { id: notice.id })).success, true);
+      const [ackStatus] = await server.request('POST', `/api/advisories/${notice.id}/acknowledge`, {}, { sub: 'ben', role: 'mobile' });
+      assert.equal(ackStatus, 200);
+
+      const [, detail] = await server.request('GET', `/api/advisories/${notice.id}`, undefined, { sub: 'rita', role: 'responder' });
+      assert.deepEqual(Object.keys(detail.advisory.deliveries).sort(), ['ann', 'ben']);
+      assert.deepEqual(Object.keys(detail.advisory.acknowledgements).sort(), ['ann', 'ben']);
+
+      const withdrawn = once(ann, 'advisoryCancelled');
+      const [cancelStatus, cancelled] = await server.request('DELETE', `/api/advisories/${notice.id}`);
+      assert.equal(cancelStatus, 200);
+      assert.equal(cancelled.advisory.active, false);
+      assert.equal((await withdrawn)[0].id, notice.id);
+
+      const [, active] = await server.request('GET', '/api/advisories?active=true', undefined, { sub: 'rita', role: 'responder' });
+      assert.equal(active.count, 0);
+      assert.equal(received.ann.length, 1);
+    } finally {
+      admin.close();
+      ann.close();
+      ben.close();
+    }
+  });
+
+  test('only admins send advisories', async () => {
+    const [status] = await server.request('POST', '/api/advisories', { area: { center: { lat: 0, lng: 0 }, radius: 10 }, message: 'hi' }, { sub: 'rita', role: 'responder' });
+    assert.equal(status, 403);
+  });
+});
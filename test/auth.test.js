@@ -0,0 +1,94 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { MAX_TOKEN_TTL_SECONDS, signToken, verifyToken } = require('../lib/auth');
+const { startServer } = require('./helpers/server');
+
+const SECRET = 'auth-test-secret';
+
+// Sign arbitrary claims the way signToken does, without its checks
+const rawToken = (claims) => {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.createHmac('sha256', SECRET).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+};
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+describe('tokens', () => {
+  test('every signed token expires, after a day by default', () => {
+    const payload = verifyToken(signToken({ sub: 'ann', role: 'mobile' }, SECRET), SECRET);
+    assert.equal(payload.exp - payload.iat, 24 * 60 * 60);
+  });
+
+  test('tokens without a numeric exp, or past it, are rejected', () => {
+    const now = Math.floor(Date.now() / 1000);
+    assert.equal(verifyToken(rawToken({ sub: 'ann', role: 'admin', iat: now }), SECRET), null);
+    assert.equal(verifyToken(rawToken({ sub: 'ann', role: 'admin', iat: now, exp: 'never' }), SECRET), null);
+    assert.equal(verifyToken(rawToken({ sub: 'ann', role: 'admin', iat: now, exp: now - 1 }), SECRET), null);
+    assert.equal(verifyToken(rawToken({ sub: 'ann', role: 'admin', iat: now, exp: now + 60 }), SECRET).sub, 'ann');
+  });
+
+  test('signToken refuses lifetimes that are not positive, finite and bounded', () => {
+    [0, -5, Infinity, NaN, '60', MAX_TOKEN_TTL_SECONDS + 1].forEach(expiresIn => {
+      assert.throws(() => signToken({ sub: 'ann', role: 'mobile' }, SECRET, { expiresIn }));
+    });
+  });
+});
+
+describe('POST /api/auth/token', () => {
+  test('rejects a sub that is not a string and a bad expiresIn', async () => {
+    const bodies = [
+      { sub: 42, role: 'mobile' },
+      { sub: ['ann'], role: 'mobile' },
+      { sub: 'ann', role: 'mobile', expiresIn: 'abc' },
+      { sub: 'ann', role: 'mobile', expiresIn: -1 },
+      { sub: 'ann', role: 'mobile', expiresIn: MAX_TOKEN_TTL_SECONDS + 1 }
+    ];
+
+    for (const body of bodies) {
+      const [status, response] = await server.request('POST', '/api/auth/token', body);
+      assert.equal(status, 400, JSON.stringify(body));
+      assert.equal(response.code, 'VALIDATION_FAILED');
+    }
+  });
+
+  test('issues an expiring token', async () => {
+    const [status, response] = await server.request('POST', '/api/auth/token', { sub: 'ann', role: 'mobile', expiresIn: 600 });
+
+    assert.equal(status, 201);
+    const payload = verifyToken(response.token, server.secret);
+    assert.equal(payload.exp - payload.iat, 600);
+  });
+});
+
+describe('socket events without a payload', () => {
+  test('identify and geofenceViolation with no data leave the server running', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const mobile = await server.connect('ann', 'mobile');
+    const responder = await server.connect('rita', 'responder');
+
+    try {
+      mobile.emit('identify');
+      mobile.emit('identify', null);
+      responder.emit('identify', null);
+      responder.emit('geofenceViolation');
+      responder.emit('geofenceViolation', null);
+
+      // Events on a socket are handled in order, so these answer after them
+      assert.equal((await mobile.emitWithAck('getGeofences', {})).success, true);
+      assert.equal((await responder.emitWithAck('getGeofences', {})).success, true);
+      assert.deepEqual(errors.mock.calls.map(call => call.arguments[0]), []);
+    } finally {
+      mobile.close();
+      responder.close();
+    }
+  });
+});
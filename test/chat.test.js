@@ -0,0 +1,69 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { startServer } = require('./helpers/server');
+
+describe('incident chat', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  test('the user in distress and responders chat until the incident is resolved', async () => {
+    const [, receipt] = await server.request('POST', '/api/sos', { lat: 0, lng: 0 }, { sub: 'ann', role: 'mobile' });
+    const alertId = receipt.alertId;
+
+    const user = await server.connect('ann', 'mobile');
+    const responder = await server.connect('rita', 'responder');
+    try {
+      const joined = await user.emitWithAck('joinIncident', { alertId });
+      assert.equal(joined.success, true);
+      assert.deepEqual(joined.messages, []);
+      assert.ok(joined.quickReplies.i_am_safe);
+      assert.equal((await responder.emitWithAck('joinIncident', { alertId })).success, true);
+
+      const delivered = once(user, 'incidentMessage');
+      const [sentStatus, sent] = await server.request('POST', `/api/alerts/${alertId}/messages`, { text: '  Help is close  ' }, { sub: 'rita', role: 'responder' });
+      assert.equal(sentStatus, 201);
+      const [incoming] = await delivered;
+      assert.equal(incoming.id, sent.message.id);
+      assert.equal(incoming.text, 'Help is close');
+      assert.equal(incoming.author, 'rita');
+
+      const replied = once(responder, 'incidentMessage');
+      const reply = await user.emitWithAck('incidentMessage', { alertId, preset: 'i_am_safe' });
+      assert.equal(reply.success, true);
+      assert.equal((await replied)[0].text, 'I am safe');
+
+      const read = once(responder, 'incidentRead');
+      assert.equal((await user.emitWithAck('incidentRead', { alertId, messageId: incoming.id })).success, true);
+      const [readReceipt] = await read;
+      assert.deepEqual([readReceipt.user, readReceipt.messageId], ['ann', incoming.id]);
+
+      const invalid = await user.emitWithAck('incidentMessage', { alertId, preset: 'nope' });
+      assert.equal(invalid.code, 'VALIDATION_FAILED');
+
+      const [outsiderStatus] = await server.request('GET', `/api/alerts/${alertId}/messages`, undefined, { sub: 'ben', role: 'mobile' });
+      assert.equal(outsiderStatus, 404);
+
+      const closed = once(user, 'incidentClosed');
+      await server.request('PATCH', `/api/alerts/${alertId}/resolve`, {}, { sub: 'rita', role: 'responder' });
+      assert.equal((await closed)[0].status, 'resolved');
+
+      const [lateStatus] = await server.request('POST', `/api/alerts/${alertId}/messages`, { text: 'still there?' }, { sub: 'ann', role: 'mobile' });
+      assert.equal(lateStatus, 409);
+
+      const [historyStatus, history] = await server.request('GET', `/api/alerts/${alertId}/messages`, undefined, { sub: 'ann', role: 'mobile' });
+      assert.equal(historyStatus, 200);
+      assert.equal(history.closed, true);
+      assert.deepEqual(history.messages.map(m => m.kind), ['text', 'quick_reply', 'system']);
+      assert.equal(history.reads.ann.messageId, incoming.id);
+    } finally {
+      user.close();
+      responder.close();
+    }
+  });
+});
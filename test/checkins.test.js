@@ -0,0 +1,71 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { startServer } = require('./helpers/server');
+
+describe('device check-ins', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    const [status] = await server.request('POST', '/api/geofences', {
+      id: 'tank', name: 'Tank farm', priority: 'high', center: { lat: 0, lng: 0 }, radius: 500
+    });
+    assert.equal(status, 201);
+  });
+
+  after(() => server.close());
+
+  test('check-in settings are validated', async () => {
+    const [status, body] = await server.request('PUT', '/api/checkins/ann', { loneWorker: 'yes', intervalSeconds: 5 }, { sub: 'ann', role: 'mobile' });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details.map(d => d.field).sort(), ['intervalSeconds', 'loneWorker']);
+
+    const [otherStatus] = await server.request('PUT', '/api/checkins/ben', { loneWorker: true }, { sub: 'ann', role: 'mobile' });
+    assert.equal(otherStatus, 403);
+  });
+
+  test('a lone worker going offline in a high-priority zone raises deviceOffline and an automatic SOS', async () => {
+    const dashboard = await server.connect('rita', 'responder');
+    const worker = await server.connect('ann', 'mobile');
+    try {
+      const [locationStatus] = await server.request('POST', '/api/location', { lat: 0, lng: 0 }, { sub: 'ann', role: 'mobile' });
+      assert.equal(locationStatus, 200);
+
+      const settings = await worker.emitWithAck('updateCheckInSettings', { loneWorker: true, autoSos: true, intervalSeconds: 600 });
+      assert.equal(settings.success, true);
+      assert.ok(settings.settings.monitoringSince);
+
+      const heartbeatSeen = once(dashboard, 'deviceHeartbeat');
+      const beat = await worker.emitWithAck('heartbeat', { battery: 42, lat: 0, lng: 0 });
+      assert.equal(beat.nextCheckInSeconds, 600);
+      assert.equal((await heartbeatSeen)[0].battery, 42);
+
+      const offline = once(dashboard, 'deviceOffline');
+      worker.close();
+      const [alert] = await offline;
+      assert.equal(alert.user, 'ann');
+      assert.equal(alert.battery, 42);
+      assert.deepEqual(alert.geofences.map(g => g.id), ['tank']);
+      assert.ok(alert.sosAlertId);
+
+      const [, alerts] = await server.request('GET', '/api/alerts?user=ann');
+      assert.deepEqual(alerts.alerts.map(a => a.id), [alert.sosAlertId]);
+
+      const [, status] = await server.request('GET', '/api/checkins/ann', undefined, { sub: 'ann', role: 'mobile' });
+      assert.equal(status.checkIn.status, 'offline');
+
+      const resumed = once(dashboard, 'checkInResumed');
+      const [heartbeatStatus, heartbeat] = await server.request('POST', '/api/heartbeat', { battery: 40 }, { sub: 'ann', role: 'mobile' });
+      assert.equal(heartbeatStatus, 200);
+      assert.equal(heartbeat.nextCheckInSeconds, 600);
+      assert.equal((await resumed)[0].previousStatus, 'offline');
+
+      const [, missed] = await server.request('GET', '/api/checkins?status=missed,offline', undefined, { sub: 'rita', role: 'responder' });
+      assert.equal(missed.count, 0);
+    } finally {
+      worker.close();
+      dashboard.close();
+    }
+  });
+});
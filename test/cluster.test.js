@@ -0,0 +1,125 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createStorage } = require('../lib/storage');
+const { createLocalTransport, createSharedStore, attachStateHub } = require('../lib/cluster');
+
+// A primary and workers talking over a fake IPC channel: messages are
+// copied and delivered on a later tick, like process.send() does.
+// settle() resolves once nothing is in flight.
+const createFakeCluster = (workerCount) => {
+  const cluster = new EventEmitter();
+  cluster.workers = {};
+  const sent = [];
+  let inFlight = 0;
+
+  const later = (deliver) => {
+    inFlight += 1;
+    setImmediate(() => {
+      inFlight -= 1;
+      deliver();
+    });
+  };
+
+  const settle = async () => {
+    while (inFlight > 0) await new Promise(resolve => setImmediate(resolve));
+  };
+
+  const nodes = Array.from({ length: workerCount }, (_, i) => {
+    const handlers = [];
+    const worker = {
+      id: i + 1,
+      isConnected: () => true,
+      send: (message) => later(() => handlers.forEach(handler => handler(structuredClone(message))))
+    };
+    cluster.workers[worker.id] = worker;
+
+    const transport = {
+      publish: (message) => {
+        sent.push(message);
+        later(() => cluster.emit('message', worker, structuredClone(message)));
+      },
+      subscribe: (handler) => handlers.push(handler)
+    };
+    return createSharedStore({
+      storage: createStorage({ backend: 'memory', readOnly: true }),
+      transport,
+      nodeId: `worker-${worker.id}`
+    });
+  });
+
+  const primary = createStorage({ backend: 'memory', flushDelay: 60000 });
+  attachStateHub({ cluster, storage: primary, isLeader: worker => worker.id === 1 });
+
+  return { nodes, primary, sent, settle };
+};
+
+const ids = (list) => (list || []).map(record => record.id).sort();
+
+describe('shared store', () => {
+  test('records written at the same time on two workers both survive everywhere', async () => {
+    const { nodes: [a, b], primary, settle } = createFakeCluster(2);
+
+    a.setEntry('sosAlerts', 'from-a', { id: 'from-a' }, { list: true, prepend: true });
+    b.setEntry('sosAlerts', 'from-b', { id: 'from-b' }, { list: true, prepend: true });
+    a.setEntry('heartbeats', 'alice', { user: 'alice' });
+    b.setEntry('heartbeats', 'bob', { user: 'bob' });
+    await settle();
+
+    [a, b, primary].forEach(store => {
+      assert.deepEqual(ids(store.get('sosAlerts')), ['from-a', 'from-b']);
+      assert.deepEqual(Object.keys(store.get('heartbeats')).sort(), ['alice', 'bob']);
+    });
+  });
+
+  test('only the changed record is sent, and deletes reach subscribers', async () => {
+    const { nodes: [a, b], primary, sent, settle } = createFakeCluster(2);
+    const changes = [];
+    b.subscribe('geofences', (value, change) => changes.push(change));
+
+    a.setEntry('geofences', 'g1', { id: 'g1', name: 'Yard' }, { list: true });
+    a.setEntry('geofences', 'g2', { id: 'g2', name: 'Dock' }, { list: true });
+    await settle();
+    a.deleteEntry('geofences', 'g1', { list: true });
+    await settle();
+
+    assert.deepEqual(sent.map(m => [m.op, m.key, m.value]), [
+      ['upsert', 'g1', { id: 'g1', name: 'Yard' }],
+      ['upsert', 'g2', { id: 'g2', name: 'Dock' }],
+      ['delete', 'g1', undefined]
+    ]);
+    assert.deepEqual(changes.map(c => [c.key, c.value?.name]), [['g1', 'Yard'], ['g2', 'Dock'], ['g1', undefined]]);
+    assert.deepEqual(ids(b.get('geofences')), ['g2']);
+    assert.deepEqual(ids(primary.get('geofences')), ['g2']);
+  });
+
+  test('trail appends from two workers are kept and bounded', async () => {
+    const { nodes: [a, b], primary, settle } = createFakeCluster(2);
+
+    a.appendEntry('breadcrumbs', 'alice', { at: 1 }, { max: 2 });
+    b.appendEntry('breadcrumbs', 'bob', { at: 1 }, { max: 2 });
+    a.appendEntry('breadcrumbs', 'alice', { at: 2 }, { max: 2 });
+    a.appendEntry('breadcrumbs', 'alice', { at: 3 }, { max: 2 });
+    await settle();
+
+    [a, b, primary].forEach(store => {
+      assert.deepEqual(store.get('breadcrumbs'), { alice: [{ at: 2 }, { at: 3 }], bob: [{ at: 1 }] });
+    });
+  });
+
+  test('nodes on the same local bus see each other\'s writes', () => {
+    const bus = new EventEmitter();
+    const [a, b] = ['a', 'b'].map(nodeId => createSharedStore({
+      storage: createStorage({ backend: 'memory', readOnly: true }),
+      transport: createLocalTransport(bus),
+      nodeId
+    }));
+
+    a.setEntry('groups', 'crew', { id: 'crew' });
+    b.setEntry('groups', 'office', { id: 'office' });
+    b.set('geofenceSync', { revision: 3 });
+
+    assert.deepEqual(Object.keys(a.get('groups')).sort(), ['crew', 'office']);
+    assert.deepEqual(a.get('geofenceSync'), { revision: 3 });
+  });
+});
@@ -0,0 +1,66 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { startServer } = require('./helpers/server');
+
+describe('responder dispatch', () => {
+  let server;
+  const sockets = {};
+
+  before(async () => {
+    server = await startServer({ DISPATCH_OFFER_TIMEOUT: '0.3' });
+    // r1 is closest to the SOS location, r3 furthest away
+    for (const [user, lat] of [['r1', 0.001], ['r2', 0.002], ['r3', 0.003]]) {
+      sockets[user] = await server.connect(user, 'responder');
+      await sockets[user].emitWithAck('responderStatus', { availability: 'available', lat, lng: 0 });
+    }
+  });
+
+  after(async () => {
+    Object.values(sockets).forEach(socket => socket.close());
+    await server.close();
+  });
+
+  const raiseSos = async (user) => {
+    const [status, receipt] = await server.request('POST', '/api/sos', { lat: 0, lng: 0 }, { sub: user, role: 'mobile' });
+    assert.equal(status, 201);
+    return receipt.alertId;
+  };
+
+  const offersOf = async (alertId) => {
+    const [, body] = await server.request('GET', '/api/alerts');
+    return body.alerts.find(a => a.id === alertId).dispatch.offers.map(o => [o.responder, o.outcome]);
+  };
+
+  test('a declined offer goes to the next closest responder, an unanswered one times out', async () => {
+    const offered = once(sockets.r1, 'dispatchOffer');
+    const alertId = await raiseSos('ann');
+    const [offer] = await offered;
+
+    const nextOffer = once(sockets.r2, 'dispatchOffer');
+    const answer = await sockets.r1.emitWithAck('dispatchResponse', { offerId: offer.offerId, accept: false });
+    assert.equal(answer.success, true);
+    await nextOffer;
+
+    // r2 never answers
+    const [lastOffer] = await once(sockets.r3, 'dispatchOffer');
+    assert.deepEqual(await offersOf(alertId), [['r1', 'declined'], ['r2', 'timeout'], ['r3', 'pending']]);
+
+    const accepted = await sockets.r3.emitWithAck('dispatchResponse', { offerId: lastOffer.offerId, accept: true });
+    assert.equal(accepted.alert.assignedTo, 'r3');
+  });
+
+  test('a responder who disconnects is passed over without waiting for the timeout', async () => {
+    const offered = once(sockets.r1, 'dispatchOffer');
+    const alertId = await raiseSos('bob');
+    await offered;
+
+    const nextOffer = once(sockets.r2, 'dispatchOffer');
+    sockets.r1.close();
+    await nextOffer;
+    assert.deepEqual(await offersOf(alertId), [['r1', 'offline'], ['r2', 'pending']]);
+
+    const [, body] = await server.request('GET', '/api/responders');
+    assert.equal(body.responders.find(r => r.user === 'r1').connected, false);
+  });
+});
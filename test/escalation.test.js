@@ -0,0 +1,50 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('SOS escalation', () => {
+  const policiesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sos-escalation-')), 'policies.json');
+  let server;
+
+  before(async () => {
+    fs.writeFileSync(policiesFile, JSON.stringify({
+      byPriority: { high: [{ afterSeconds: 0.2, rebroadcast: true, severity: 'critical' }] }
+    }));
+    server = await startServer({ ESCALATION_POLICIES_FILE: policiesFile });
+  });
+
+  after(() => server.close());
+
+  const raiseSos = async (user) => {
+    const [status, receipt] = await server.request('POST', '/api/sos', { lat: 0, lng: 0 }, { sub: user, role: 'mobile' });
+    assert.equal(status, 201);
+    return receipt.alertId;
+  };
+
+  const findAlert = async (alertId) => {
+    const [, body] = await server.request('GET', '/api/alerts');
+    return body.alerts.find(a => a.id === alertId);
+  };
+
+  test('an unacknowledged alert escalates and an acknowledged one does not', async () => {
+    const ignored = await raiseSos('ann');
+    const acknowledged = await raiseSos('bob');
+    const [status] = await server.request('PATCH', `/api/alerts/${acknowledged}/acknowledge`, {}, { sub: 'rita', role: 'responder' });
+    assert.equal(status, 200);
+
+    await sleep(400);
+
+    const escalated = await findAlert(ignored);
+    assert.equal(escalated.escalationLevel, 1);
+    assert.equal(escalated.severity, 'critical');
+
+    const quiet = await findAlert(acknowledged);
+    assert.equal(quiet.escalationLevel, 0);
+    assert.deepEqual(quiet.escalations, []);
+  });
+});
@@ -0,0 +1,20 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { getLat, getLng, isValidPoint } = require('../lib/geo');
+
+describe('coordinates', () => {
+  test('numbers and numeric strings are read in every point shape', () => {
+    assert.equal(getLat({ lat: 51.5, lng: -0.1 }), 51.5);
+    assert.equal(getLng({ latitude: '51.5', longitude: '-0.1' }), -0.1);
+    assert.equal(getLng({ lat: 1, lon: 2 }), 2);
+    assert.equal(getLat([0, 0]), 0);
+  });
+
+  test('null, empty, boolean and object values are not coordinates', () => {
+    [null, '', '  ', true, false, {}, [5]].forEach(value => {
+      assert.equal(isValidPoint({ lat: value, lng: 0 }), false, JSON.stringify(value));
+      assert.equal(isValidPoint({ lat: 0, lng: value }), false, JSON.stringify(value));
+      assert.equal(isValidPoint([value, 0]), false, JSON.stringify(value));
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const yard = { id: 'yard', name: 'Yard', description: 'Loading yard', center: { lat: 1, lng: 2 }, radius: 100 };
+
+describe('geofence REST API', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  const get = async (id) => server.request('GET', `/api/geofences/${id}`);
+
+  test('POST creates a geofence and keeps server fields and unknown keys out of it', async () => {
+    const [status, body] = await server.request('POST', '/api/geofences', {
+      ...yard,
+      createdAt: '2000-01-01T00:00:00.000Z',
+      revision: 999,
+      owner: 'mallory'
+    });
+    assert.equal(status, 201);
+    assert.equal(body.geofence.id, 'yard');
+    assert.notEqual(body.geofence.createdAt, '2000-01-01T00:00:00.000Z');
+    assert.notEqual(body.geofence.revision, 999);
+    assert.equal(body.geofence.owner, undefined);
+
+    const [duplicateStatus, duplicate] = await server.request('POST', '/api/geofences', yard);
+    assert.equal(duplicateStatus, 409);
+    assert.equal(duplicate.code, 'DUPLICATE_ID');
+  });
+
+  test('invalid geofences are rejected with a 400 naming each field', async () => {
+    const [status, body] = await server.request('POST', '/api/geofences', { center: { lat: 95, lng: 0 }, radius: -5 });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    const fields = body.details.map(detail => detail.field);
+    assert.ok(fields.includes('name'), fields.join());
+    assert.ok(fields.some(field => field.startsWith('center')), fields.join());
+
+    const [forbidden] = await server.request('POST', '/api/geofences', { ...yard, id: 'other' }, { sub: 'ann', role: 'mobile' });
+    assert.equal(forbidden, 403);
+  });
+
+  test('PATCH merges changes and keeps createdAt', async () => {
+    const [, before] = await get('yard');
+    const [status, body] = await server.request('PATCH', '/api/geofences/yard', {
+      name: 'Main yard',
+      createdAt: '2000-01-01T00:00:00.000Z'
+    });
+    assert.equal(status, 200);
+    assert.equal(body.geofence.name, 'Main yard');
+    assert.equal(body.geofence.description, 'Loading yard');
+    assert.equal(body.geofence.createdAt, before.geofence.createdAt);
+    assert.ok(body.geofence.revision > before.geofence.revision);
+
+    const [badStatus, bad] = await server.request('PATCH', '/api/geofences/yard', { radius: -1 });
+    assert.equal(badStatus, 400);
+    assert.deepEqual(bad.details.map(detail => detail.field), ['radius']);
+    const [, unchanged] = await get('yard');
+    assert.equal(unchanged.geofence.radius, 100);
+
+    const [idStatus] = await server.request('PATCH', '/api/geofences/yard', { id: 'elsewhere' });
+    assert.equal(idStatus, 400);
+  });
+
+  test('PUT replaces the stored fields', async () => {
+    const [status, body] = await server.request('PUT', '/api/geofences/yard', { name: 'Yard', center: { lat: 1, lng: 2 }, radius: 250 });
+    assert.equal(status, 200);
+    assert.equal(body.geofence.radius, 250);
+    assert.equal(body.geofence.description, undefined);
+
+    const [missingStatus] = await server.request('PUT', '/api/geofences/nowhere', { ...yard, id: undefined });
+    assert.equal(missingStatus, 404);
+    const [mismatchStatus] = await server.request('PUT', '/api/geofences/yard', { ...yard, id: 'other' });
+    assert.equal(mismatchStatus, 400);
+  });
+
+  test('DELETE removes the geofence', async () => {
+    const [status] = await server.request('DELETE', '/api/geofences/yard');
+    assert.equal(status, 200);
+
+    const [getStatus] = await get('yard');
+    assert.equal(getStatus, 404);
+    const [againStatus, again] = await server.request('DELETE', '/api/geofences/yard');
+    assert.equal(againStatus, 404);
+    assert.equal(again.code, 'NOT_FOUND');
+  });
+});
@@ -0,0 +1,98 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateGeofence } = require('../lib/validation');
+const {
+  geofenceToFeature,
+  geofencesToKML,
+  featureToGeofenceInputs,
+  kmlToFeatures
+} = require('../lib/geoformats');
+const { startServer } = require('./helpers/server');
+
+const stored = validateGeofence({
+  id: 'depot',
+  name: 'Depot',
+  shapeType: 'polygon',
+  points: [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.01 }, { lat: 0.01, lng: 0.01 }],
+  schedule: { timezone: 'UTC', weekly: [{ days: ['mon'], start: '22:00', end: '06:00' }] },
+  rules: { dwell: { minutes: 10 } },
+  groups: ['night-shift']
+}).value;
+
+const reimport = (feature) => {
+  const { inputs } = featureToGeofenceInputs(feature);
+  return validateGeofence(inputs[0]).value;
+};
+
+const polygon = (coordinates) => ({ type: 'Feature', properties: { name: 'P' }, geometry: { type: 'Polygon', coordinates } });
+
+describe('geofence export and import', () => {
+  test('GeoJSON and KML exports import back unchanged, schedule, rules and groups included', () => {
+    assert.deepEqual(reimport(geofenceToFeature(stored)), stored);
+
+    const [placemark] = kmlToFeatures(geofencesToKML([stored]));
+    assert.deepEqual(reimport(placemark), stored);
+  });
+
+  test('malformed coordinates are rejected instead of throwing', () => {
+    const cases = [
+      polygon('0,0'),
+      polygon([[0, 0], [1, 1]]),
+      polygon([['a', 'b', 'c']]),
+      { type: 'Feature', properties: { radius: 50 }, geometry: { type: 'Point', coordinates: null } },
+      { type: 'Feature', properties: null, geometry: { type: 'MultiPolygon', coordinates: [null] } },
+      { type: 'Feature', geometry: 'Polygon' }
+    ];
+
+    cases.forEach(feature => {
+      const { inputs, code } = featureToGeofenceInputs(feature);
+      assert.equal(inputs, undefined);
+      assert.equal(code, 'INVALID_FORMAT');
+    });
+  });
+
+  test('polygons with holes are rejected', () => {
+    const outer = [[0, 0], [0, 1], [1, 1], [0, 0]];
+    const hole = [[0.2, 0.2], [0.2, 0.3], [0.3, 0.3], [0.2, 0.2]];
+
+    assert.equal(featureToGeofenceInputs(polygon([outer, hole])).code, 'UNSUPPORTED_GEOMETRY');
+
+    const kml = `<kml><Placemark><name>Ring</name><Polygon>
+      <outerBoundaryIs><LinearRing><coordinates>0,0 0,1 1,1 0,0</coordinates></LinearRing></outerBoundaryIs>
+      <innerBoundaryIs><LinearRing><coordinates>0.2,0.2 0.2,0.3 0.3,0.3 0.2,0.2</coordinates></LinearRing></innerBoundaryIs>
+    </Polygon></Placemark></kml>`;
+    assert.equal(featureToGeofenceInputs(kmlToFeatures(kml)[0]).code, 'UNSUPPORTED_GEOMETRY');
+  });
+});
+
+describe('POST /api/geofences/import', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  test('reports malformed features one by one and imports the rest', async () => {
+    const [status, body] = await server.request('POST', '/api/geofences/import', {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { name: 'Broken', radius: 10 }, geometry: { type: 'Point', coordinates: null } },
+        'not a feature',
+        geofenceToFeature({ ...stored, id: 'imported' })
+      ]
+    });
+
+    assert.equal(status, 201);
+    assert.deepEqual(body.summary, { created: 1, updated: 0, rejected: 2 });
+    assert.deepEqual(body.rejected.map(r => [r.index, r.errors[0].code]), [[0, 'INVALID_FORMAT'], [1, 'INVALID_FORMAT']]);
+  });
+
+  test('a FeatureCollection whose features are not a list is a bad request', async () => {
+    const [status, body] = await server.request('POST', '/api/geofences/import', { type: 'FeatureCollection', features: {} });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_FORMAT');
+  });
+});
@@ -0,0 +1,42 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('group geofences', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    const [groupStatus] = await server.request('POST', '/api/groups', { id: 'crew', name: 'Crew', kind: 'team', members: [] });
+    assert.equal(groupStatus, 201);
+    const [status] = await server.request('POST', '/api/geofences', {
+      id: 'crew-yard',
+      name: 'Crew yard',
+      center: { lat: 0, lng: 0 },
+      radius: 100,
+      groups: ['crew']
+    });
+    assert.equal(status, 201);
+  });
+
+  after(() => server.close());
+
+  const sync = async (sinceRevision) => {
+    const [status, body] = await server.request('GET', `/api/geofences/sync?sinceRevision=${sinceRevision}`, undefined, { sub: 'ann', role: 'mobile' });
+    assert.equal(status, 200);
+    return body;
+  };
+
+  test('syncGeofences deltas follow membership changes', async () => {
+    const before = await sync(0);
+    assert.ok(![...before.created, ...before.updated].some(g => g.id === 'crew-yard'));
+
+    await server.request('PUT', '/api/groups/crew/members/ann');
+    const joined = await sync(before.revision);
+    assert.deepEqual([...joined.created, ...joined.updated].map(g => g.id), ['crew-yard']);
+
+    await server.request('DELETE', '/api/groups/crew/members/ann');
+    const left = await sync(joined.revision);
+    assert.deepEqual(left.deleted, ['crew-yard']);
+  });
+});
@@ -0,0 +1,57 @@
+// ================================================================
+// TEST SERVER - Run server.js in the test process
+// ================================================================
+// Each test file runs in its own process, so it can start one server:
+//
+//   const server = await startServer({ EVENT_LOG_FILE: ... });
+//   await fetch(`${server.url}/api/health`);
+//   await server.close();
+//
+// Storage is in memory and the port is picked by the OS.
+// ================================================================
+
+const { once } = require('events');
+const { mock } = require('node:test');
+const { io } = require('socket.io-client');
+const { signToken } = require('../../lib/auth');
+
+const SECRET = 'test-secret-0123456789';
+
+const tokenFor = (sub, role) => signToken({ sub, role }, SECRET, { expiresIn: 3600 });
+
+const startServer = async (env = {}) => {
+  Object.assign(process.env, { PORT: '0', STORAGE_BACKEND: 'memory', AUTH_SECRET: SECRET, ...env });
+
+  // The server logs every event; keep test output readable
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+
+  const instance = require('../../server');
+  if (!instance.server.listening) await once(instance.server, 'listening');
+  const url = `http://localhost:${instance.server.address().port}`;
+
+  // JSON request as `sub` with `role`; resolves with [status, body]
+  const request = async (method, path, body, { sub = 'admin', role = 'admin' } = {}) => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${tokenFor(sub, role)}` },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return [response.status, await response.json()];
+  };
+
+  // Connected Socket.IO client
+  const connect = async (sub, role) => {
+    const socket = io(url, { auth: { token: tokenFor(sub, role) }, reconnection: false });
+    await once(socket, 'connect');
+    return socket;
+  };
+
+  return { ...instance, url, secret: SECRET, request, connect };
+};
+
+module.exports = {
+  SECRET,
+  tokenFor,
+  startServer
+};
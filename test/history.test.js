@@ -0,0 +1,62 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('geofence history', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  test('every change is versioned with actor, source and a field diff', async () => {
+    await server.request('POST', '/api/geofences', { id: 'depot', name: 'Depot', center: { lat: 0, lng: 0 }, radius: 100 });
+    const [patchStatus] = await server.request('PATCH', '/api/geofences/depot', { radius: 250 }, { sub: 'ops', role: 'admin' });
+    assert.equal(patchStatus, 200);
+
+    const [status, body] = await server.request('GET', '/api/geofences/depot/history', undefined, { sub: 'rita', role: 'responder' });
+    assert.equal(status, 200);
+    assert.equal(body.deleted, false);
+    assert.deepEqual(body.history.map(v => [v.version, v.action, v.actor, v.source]), [
+      [2, 'updated', 'ops', 'rest'],
+      [1, 'created', 'admin', 'rest']
+    ]);
+    assert.deepEqual(body.history[0].changes, [{ field: 'radius', from: 100, to: 250 }]);
+    assert.equal(body.history[0].snapshot.radius, 250);
+
+    const [mobileStatus] = await server.request('GET', '/api/geofences/depot/history', undefined, { sub: 'ann', role: 'mobile' });
+    assert.equal(mobileStatus, 403);
+  });
+
+  test('rollback restores the previous version and undeletes a removed zone', async () => {
+    const [status, body] = await server.request('POST', '/api/geofences/depot/rollback', {});
+    assert.equal(status, 200);
+    assert.equal(body.restoredVersion, 1);
+    assert.equal(body.geofence.radius, 100);
+
+    await server.request('DELETE', '/api/geofences/depot');
+    const [, deleted] = await server.request('GET', '/api/geofences/depot/history');
+    assert.equal(deleted.deleted, true);
+    assert.equal(deleted.history[0].action, 'deleted');
+    assert.equal(deleted.history[0].snapshot, null);
+
+    const [deletionStatus] = await server.request('POST', '/api/geofences/depot/rollback', { version: deleted.history[0].version });
+    assert.equal(deletionStatus, 400);
+
+    const [undeleteStatus, undeleted] = await server.request('POST', '/api/geofences/depot/rollback', { version: 2 });
+    assert.equal(undeleteStatus, 201);
+    assert.equal(undeleted.undeleted, true);
+    assert.equal(undeleted.geofence.radius, 250);
+
+    const [, history] = await server.request('GET', '/api/geofences/depot/history');
+    assert.deepEqual(history.history.slice(0, 2).map(v => [v.action, v.rolledBackTo]), [
+      ['rolled_back', 2],
+      ['deleted', undefined]
+    ]);
+
+    const [responderStatus] = await server.request('POST', '/api/geofences/depot/rollback', {}, { sub: 'rita', role: 'responder' });
+    assert.equal(responderStatus, 403);
+  });
+});
@@ -0,0 +1,66 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const METRICS_TOKEN = 'scrape-token';
+
+describe('GET /metrics', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ METRICS_TOKEN });
+  });
+
+  after(() => server.close());
+
+  // Scraped samples keyed by series, e.g. 'vortex_geofence_mutations_total{operation="create"}'
+  const scrape = async () => {
+    const response = await fetch(`${server.url}/metrics`, { headers: { authorization: `Bearer ${METRICS_TOKEN}` } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    const samples = new Map();
+    (await response.text()).split('\n')
+      .filter(line => line && !line.startsWith('#'))
+      .forEach(line => {
+        const at = line.lastIndexOf(' ');
+        samples.set(line.slice(0, at), Number(line.slice(at + 1)));
+      });
+    return samples;
+  };
+
+  test('scrapes without the metrics token are refused', async () => {
+    assert.equal((await fetch(`${server.url}/metrics`)).status, 401);
+    const response = await fetch(`${server.url}/metrics`, { headers: { authorization: 'Bearer wrong' } });
+    assert.equal(response.status, 401);
+  });
+
+  test('SOS, geofence and socket activity is counted', async () => {
+    const sos = { lat: 0, lng: 0, idempotencyKey: 'metrics-1' };
+    const [, receipt] = await server.request('POST', '/api/sos', sos, { sub: 'ann', role: 'mobile' });
+    await server.request('POST', '/api/sos', sos, { sub: 'ann', role: 'mobile' });
+    const [ackStatus] = await server.request('PATCH', `/api/alerts/${receipt.alertId}/acknowledge`, {}, { sub: 'rita', role: 'responder' });
+    assert.equal(ackStatus, 200);
+
+    await server.request('POST', '/api/geofences', { id: 'yard', name: 'Yard', center: { lat: 0, lng: 0 }, radius: 100 });
+    await server.request('DELETE', '/api/geofences/yard');
+
+    const socket = await server.connect('ops', 'admin');
+    try {
+      socket.emit('noSuchEvent', {});
+      await socket.emitWithAck('getGeofences', {});
+
+      const samples = await scrape();
+      assert.equal(samples.get('vortex_sos_alerts_total{source="http",outcome="created"}'), 1);
+      assert.equal(samples.get('vortex_sos_alerts_total{source="http",outcome="duplicate"}'), 1);
+      assert.equal(samples.get('vortex_sos_acknowledgement_seconds_count'), 1);
+      assert.equal(samples.get('vortex_geofence_mutations_total{operation="create"}'), 1);
+      assert.equal(samples.get('vortex_geofence_mutations_total{operation="delete"}'), 1);
+      assert.equal(samples.get('vortex_socket_events_total{event="getGeofences"}'), 1);
+      assert.equal(samples.get('vortex_socket_events_total{event="unknown"}'), 1);
+      assert.equal(samples.has('vortex_socket_events_total{event="noSuchEvent"}'), false);
+      assert.equal(samples.get('vortex_geofences_active'), 0);
+    } finally {
+      socket.close();
+    }
+  });
+});
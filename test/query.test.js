@@ -0,0 +1,68 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRecordQuery, runRecordQuery, recordsToCSV } = require('../lib/query');
+
+const violation = (id, receivedAt, fields = {}) => ({ id, receivedAt, user: 'ann', action: 'entered', ...fields });
+
+const parse = (query) => {
+  const result = parseRecordQuery(query, 'violations');
+  assert.equal(result.valid, true);
+  return result.value;
+};
+
+describe('record queries', () => {
+  test('violations are ordered and paged by the server receive time', () => {
+    const records = [
+      violation(1, '2026-01-01T00:00:01Z', { timestamp: '2030-01-01T00:00:00Z' }),
+      violation(2, '2026-01-01T00:00:02Z', { timestamp: 'garbage' }),
+      violation(3, '2026-01-01T00:00:03Z'),
+      violation(4, 'not a time')
+    ];
+
+    const first = runRecordQuery(records, parse({ limit: '2' }), 'violations');
+    assert.deepEqual(first.items.map(v => v.id), [3, 2]);
+    assert.equal(first.matched, 3);
+
+    const second = runRecordQuery(records, parse({ limit: '2', cursor: first.nextCursor }), 'violations');
+    assert.deepEqual(second.items.map(v => v.id), [1]);
+    assert.equal(second.nextCursor, null);
+  });
+
+  test('records with the same sort value page by receive time, then id', () => {
+    const records = [
+      violation('b', '2026-01-01T00:00:02Z', { priority: 'high' }),
+      violation('a', '2026-01-01T00:00:02Z', { priority: 'high' }),
+      violation('c', '2026-01-01T00:00:01Z', { priority: 'high' })
+    ];
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = runRecordQuery(records, parse({ sort: 'priority', order: 'desc', limit: '1', ...(cursor ? { cursor } : {}) }), 'violations');
+      seen.push(...page.items.map(v => v.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, ['b', 'a', 'c']);
+  });
+
+  test('a limit that is not a positive whole number uses the default page size', () => {
+    assert.equal(parse({ limit: 'abc' }).limit, 50);
+    assert.equal(parse({ limit: '0' }).limit, 50);
+    assert.equal(parse({ limit: '2.5' }).limit, 50);
+    assert.equal(parse({ limit: '5000' }).limit, 1000);
+    assert.equal(parse({ limit: 'abc', format: 'csv' }).limit, null);
+  });
+
+  test('CSV cells that spreadsheets would evaluate are prefixed, numbers are not', () => {
+    const csv = recordsToCSV([
+      violation(1, '2026-01-01T00:00:00Z', { user: '-2+3', geofenceName: '=HYPERLINK("x")', lat: -12.5, lng: 8 }),
+      violation(2, '2026-01-01T00:00:00Z', { user: '\tcmd', geofenceName: '+1', action: '@SUM(A1)', lat: 1, lng: 2 }),
+      violation(3, '2026-01-01T00:00:00Z', { user: '-42', geofenceName: '\rx' })
+    ], 'violations');
+
+    const rows = csv.split('\r\n');
+    assert.equal(rows[1], `1,2026-01-01T00:00:00Z,,'-2+3,entered,,"'=HYPERLINK(""x"")",,-12.5,8`);
+    assert.equal(rows[2], `2,2026-01-01T00:00:00Z,,'\tcmd,'@SUM(A1),,'+1,,1,2`);
+    assert.ok(rows[3].startsWith('3,2026-01-01T00:00:00Z,,-42,entered,,"\'\r'));
+  });
+});
@@ -0,0 +1,88 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+const { startServer, tokenFor } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  const limitsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sos-ratelimit-')), 'limits.json');
+  fs.writeFileSync(limitsFile, JSON.stringify({ sos: { capacity: 2, refillPerSecond: 0.001 } }));
+  server = await startServer({ RATE_LIMITS_FILE: limitsFile });
+});
+
+after(() => server.close());
+
+describe('SOS rate limits', () => {
+  test('REST SOS beyond the bucket is refused with 429 and Retry-After', async () => {
+    for (let i = 0; i < 2; i += 1) {
+      const [status] = await server.request('POST', '/api/sos', { lat: 0, lng: 0 }, { sub: 'ann', role: 'mobile' });
+      assert.ok(status === 201 || status === 200, String(status));
+    }
+
+    const response = await fetch(`${server.url}/api/sos`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${tokenFor('ann', 'mobile')}` },
+      body: JSON.stringify({ lat: 0, lng: 0 })
+    });
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+    const body = await response.json();
+    assert.equal(body.code, 'RATE_LIMITED');
+  });
+
+  test('socket SOS beyond the bucket is refused with a rateLimited event', async () => {
+    const socket = await server.connect('ben', 'mobile');
+    try {
+      for (let i = 0; i < 2; i += 1) {
+        const receipt = await socket.emitWithAck('sos', { lat: 0, lng: 0 });
+        assert.equal(receipt.success, true);
+      }
+
+      const notice = once(socket, 'rateLimited');
+      const refused = await socket.emitWithAck('sos', { lat: 0, lng: 0 });
+      assert.equal(refused.success, false);
+      assert.equal(refused.code, 'RATE_LIMITED');
+      assert.ok(refused.retryAfterMs > 0);
+      const [event] = await notice;
+      assert.equal(event.event, 'sos');
+    } finally {
+      socket.close();
+    }
+  });
+});
+
+describe('blocklist', () => {
+  test('a blocked user is disconnected and refused until the block is lifted', async () => {
+    const socket = await server.connect('mallory', 'mobile');
+    const dropped = once(socket, 'disconnect');
+
+    const [status, body] = await server.request('POST', '/api/blocklist', { type: 'user', value: 'mallory', reason: 'spam' });
+    assert.equal(status, 201);
+    await dropped;
+
+    const [blockedStatus, blocked] = await server.request('GET', '/api/geofences', undefined, { sub: 'mallory', role: 'mobile' });
+    assert.equal(blockedStatus, 403);
+    assert.equal(blocked.code, 'BLOCKED');
+
+    const retry = io(server.url, { auth: { token: tokenFor('mallory', 'mobile') }, reconnection: false });
+    try {
+      const [error] = await once(retry, 'connect_error');
+      assert.equal(error.message, 'Blocked');
+    } finally {
+      retry.close();
+    }
+
+    const [selfStatus] = await server.request('POST', '/api/blocklist', { type: 'user', value: 'admin' });
+    assert.equal(selfStatus, 400);
+
+    const [liftStatus] = await server.request('DELETE', `/api/blocklist/${body.entry.id}`);
+    assert.equal(liftStatus, 200);
+    const [allowedStatus] = await server.request('GET', '/api/geofences', undefined, { sub: 'mallory', role: 'mobile' });
+    assert.equal(allowedStatus, 200);
+  });
+});
@@ -0,0 +1,121 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTrace } = require('../lib/replay');
+const { replay } = require('../scripts/replay');
+const { startServer } = require('./helpers/server');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('parseTrace', () => {
+  test('spaces untimed points by the interval and skips invalid lines', () => {
+    const text = [
+      '{"lat":1,"lng":2}',
+      'not json',
+      '{"lat":1,"lng":3,"user":"bob"}',
+      '{"event":"sos","data":{"lat":1,"lng":3}}'
+    ].join('\n');
+
+    const { steps, invalid } = parseTrace(text, { intervalSeconds: 5, user: 'ann' });
+
+    assert.equal(invalid, 1);
+    assert.deepEqual(steps.map(s => [s.offsetMs, s.user, s.event]), [
+      [0, 'ann', 'locationUpdate'],
+      [5000, 'bob', 'locationUpdate'],
+      [10000, 'ann', 'sos']
+    ]);
+  });
+
+  test('orders recorded events by time and keeps their role', () => {
+    const text = [
+      '{"at":"2026-01-01T00:00:10Z","user":"root","role":"admin","event":"createGeofence","data":{"name":"g"}}',
+      '{"at":"2026-01-01T00:00:00Z","user":"bob","role":"mobile","event":"identify","data":{"name":"bob"}}'
+    ].join('\n');
+
+    const { steps } = parseTrace(text);
+
+    assert.deepEqual(steps.map(s => [s.offsetMs, s.user, s.role, s.event]), [
+      [0, 'bob', 'mobile', 'identify'],
+      [10000, 'root', 'admin', 'createGeofence']
+    ]);
+  });
+
+  test('reads GeoJSON line strings', () => {
+    const geojson = {
+      type: 'Feature',
+      properties: { user: 'zoe' },
+      geometry: { type: 'LineString', coordinates: [[0, 0], [0.001, 0]] }
+    };
+
+    const { steps } = parseTrace(JSON.stringify(geojson), { intervalSeconds: 2 });
+
+    assert.deepEqual(steps.map(s => [s.offsetMs, s.user, s.data.lat, s.data.lng]), [
+      [0, 'zoe', 0, 0],
+      [2000, 'zoe', 0, 0.001]
+    ]);
+  });
+});
+
+describe('record and replay', () => {
+  const logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sos-replay-')), 'events.jsonl');
+  let server;
+
+  before(async () => {
+    server = await startServer({ EVENT_LOG_FILE: logFile });
+    const [status] = await server.request('POST', '/api/geofences', {
+      id: 'yard',
+      name: 'Yard',
+      center: { lat: 0, lng: 0 },
+      radius: 200,
+      alertOnEntry: true,
+      alertOnExit: true,
+      rules: { dwell: { minutes: 10 } }
+    });
+    assert.equal(status, 201);
+  });
+
+  after(() => server.close());
+
+  test('a recorded session replays to the same alerts and violations', async () => {
+    const socket = await server.connect('alice', 'mobile');
+    socket.emit('identify', { type: 'mobile', name: 'alice' });
+    await socket.emitWithAck('locationUpdate', { lat: 0.01, lng: 0 });
+    await socket.emitWithAck('locationUpdate', { lat: 0.0005, lng: 0 });
+    await socket.emitWithAck('sos', { lat: 0.0005, lng: 0, message: 'help' });
+    await socket.emitWithAck('locationUpdate', { lat: 0.01, lng: 0 });
+    socket.close();
+
+    // The log is written asynchronously
+    const lines = () => (fs.existsSync(logFile) ? fs.readFileSync(logFile, 'utf8').trim().split('\n') : []);
+    for (let i = 0; i < 50 && lines().length < 5; i += 1) await sleep(20);
+
+    const recorded = lines().map(line => JSON.parse(line));
+    assert.deepEqual(recorded.map(r => r.event), ['identify', 'locationUpdate', 'locationUpdate', 'sos', 'locationUpdate']);
+    assert.ok(recorded.every(r => r.user === 'alice' && r.role === 'mobile'));
+
+    const report = await replay(lines().join('\n'), {
+      url: server.url,
+      secret: server.secret,
+      speed: 0,
+      prefix: 'replayed-',
+      settle: 300
+    });
+
+    assert.equal(report.sent, 5);
+    assert.deepEqual(report.failed, []);
+    assert.deepEqual(report.alerts.map(a => a.user), ['replayed-alice']);
+    assert.deepEqual(report.violationsByAction, { entered: 1, exited: 1 });
+  });
+
+  test('a synthetic trace runs on its own clock, so time-based rules fire at full speed', async () => {
+    // Twelve minutes in the yard, one point a minute
+    const trace = Array.from({ length: 13 }, () => JSON.stringify({ lat: 0.0001, lng: 0.0001, user: 'walker' })).join('\n');
+
+    const report = await replay(trace, { url: server.url, secret: server.secret, speed: 0, interval: 60, settle: 300 });
+
+    assert.equal(report.sent, 13);
+    assert.deepEqual(report.violationsByAction, { entered: 1, dwell_exceeded: 1 });
+  });
+});
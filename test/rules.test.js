@@ -0,0 +1,58 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const MINUTE_MS = 60 * 1000;
+const ago = (minutes) => new Date(Date.now() - minutes * MINUTE_MS).toISOString();
+
+describe('geofence rules', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    const zones = [
+      { id: 'yard', center: { lat: 0, lng: 0 }, rules: { dwell: { minutes: 10 } } },
+      { id: 'track', center: { lat: 10, lng: 10 }, rules: { speed: { maxKmh: 20 } } }
+    ];
+    for (const zone of zones) {
+      const [status] = await server.request('POST', '/api/geofences', { ...zone, name: zone.id, radius: 5000 });
+      assert.equal(status, 201);
+    }
+  });
+
+  after(() => server.close());
+
+  // Report a position as `user`; resolves with the rule actions it triggered
+  const report = async (user, lat, lng, timestamp) => {
+    const [status, body] = await server.request('POST', '/api/location', { lat, lng, timestamp }, { sub: user, role: 'mobile' });
+    assert.equal(status, 200);
+    return body.violations.map(v => v.action).filter(action => !['entered', 'exited'].includes(action));
+  };
+
+  test('dwell fires once the user has been inside for longer than the rule allows', async () => {
+    assert.deepEqual(await report('dora', 0, 0, ago(20)), []);
+    assert.deepEqual(await report('dora', 0, 0.001, ago(15)), []);
+    assert.deepEqual(await report('dora', 0, 0.002, ago(5)), ['dwell_exceeded']);
+  });
+
+  test('speed between reports above the limit fires speeding', async () => {
+    assert.deepEqual(await report('sam', 10, 10, ago(2)), []);
+    // ~1.1 km in a minute
+    assert.deepEqual(await report('sam', 10.01, 10, ago(1)), ['speeding']);
+  });
+
+  test('reports older than the last one are ignored', async () => {
+    assert.deepEqual(await report('otto', 10, 10, ago(2)), []);
+    assert.deepEqual(await report('otto', 10.01, 10, ago(3)), []);
+    // Measured from the late report this would be ~33 km/h
+    assert.deepEqual(await report('otto', 10, 10, ago(1)), []);
+  });
+
+  test('a timestamp from the future neither fakes a duration nor blocks later reports', async () => {
+    assert.deepEqual(await report('fay', 0, 0, ago(1)), []);
+    assert.deepEqual(await report('fay', 0, 0, new Date(Date.now() + 60 * MINUTE_MS).toISOString()), []);
+    assert.deepEqual(await report('fay', 10, 10, new Date().toISOString()), []);
+    // Had the future report counted, this one would be dropped as out of order
+    assert.deepEqual(await report('fay', 10.01, 10, new Date(Date.now() + 1000).toISOString()), ['speeding']);
+  });
+});
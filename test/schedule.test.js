@@ -0,0 +1,59 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { isScheduleActive } = require('../lib/schedule');
+
+const at = (iso) => new Date(iso);
+
+describe('isScheduleActive', () => {
+  test('an overnight exception runs past midnight into the next date only', () => {
+    // 2026-12-31 is a Thursday
+    const schedule = {
+      weekly: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '17:00' }],
+      exceptions: [{ date: '2026-12-31', active: true, start: '20:00', end: '02:00' }]
+    };
+
+    assert.equal(isScheduleActive(schedule, at('2026-12-31T01:00:00Z')), false);
+    assert.equal(isScheduleActive(schedule, at('2026-12-31T12:00:00Z')), false);
+    assert.equal(isScheduleActive(schedule, at('2026-12-31T21:00:00Z')), true);
+    assert.equal(isScheduleActive(schedule, at('2027-01-01T01:00:00Z')), true);
+    assert.equal(isScheduleActive(schedule, at('2027-01-01T03:00:00Z')), false);
+    assert.equal(isScheduleActive(schedule, at('2027-01-01T10:00:00Z')), true);
+  });
+
+  test('a weekly overnight window runs to its end after the date range closes', () => {
+    // 2026-10-23 is a Friday
+    const schedule = {
+      weekly: [{ days: ['fri'], start: '22:00', end: '06:00' }],
+      dateRanges: [{ start: '2026-10-01', end: '2026-10-23' }]
+    };
+
+    assert.equal(isScheduleActive(schedule, at('2026-10-23T23:00:00Z')), true);
+    assert.equal(isScheduleActive(schedule, at('2026-10-24T01:00:00Z')), true);
+    assert.equal(isScheduleActive(schedule, at('2026-10-24T07:00:00Z')), false);
+    assert.equal(isScheduleActive(schedule, at('2026-10-31T01:00:00Z')), false);
+  });
+
+  test('a weekly overnight window runs into an exception date, which cancels its own windows', () => {
+    const schedule = {
+      weekly: [{ start: '22:00', end: '06:00' }],
+      exceptions: [{ date: '2026-12-25', active: false }]
+    };
+
+    assert.equal(isScheduleActive(schedule, at('2026-12-25T01:00:00Z')), true);
+    assert.equal(isScheduleActive(schedule, at('2026-12-25T23:00:00Z')), false);
+    assert.equal(isScheduleActive(schedule, at('2026-12-26T01:00:00Z')), false);
+    assert.equal(isScheduleActive(schedule, at('2026-12-26T23:00:00Z')), true);
+  });
+
+  test('windows follow the schedule timezone', () => {
+    const schedule = {
+      timezone: 'America/New_York',
+      weekly: [{ days: ['sat'], start: '23:00', end: '01:00' }]
+    };
+
+    // Saturday 2026-10-24 23:30 and Sunday 00:30 in New York (UTC-4)
+    assert.equal(isScheduleActive(schedule, at('2026-10-25T03:30:00Z')), true);
+    assert.equal(isScheduleActive(schedule, at('2026-10-25T04:30:00Z')), true);
+    assert.equal(isScheduleActive(schedule, at('2026-10-25T05:30:00Z')), false);
+  });
+});
@@ -0,0 +1,73 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, tokenFor } = require('./helpers/server');
+
+describe('POST /api/sos', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  test('only device fields are taken from the request', async () => {
+    const [status, receipt] = await server.request('POST', '/api/sos', {
+      lat: 1,
+      lng: 2,
+      battery: 40,
+      message: 'help',
+      status: 'resolved',
+      acknowledgedBy: 'mallory',
+      dispatch: { responder: 'mallory' },
+      escalationLevel: 9
+    }, { sub: 'ann', role: 'mobile' });
+    assert.equal(status, 201);
+    assert.equal(receipt.status, 'open');
+
+    const [, body] = await server.request('GET', '/api/alerts');
+    const alert = body.alerts.find(a => a.id === receipt.alertId);
+    assert.equal(alert.user, 'ann');
+    assert.equal(alert.battery, 40);
+    assert.equal(alert.message, 'help');
+    assert.equal(alert.escalationLevel, 0);
+    assert.equal(alert.acknowledgedBy, undefined);
+    assert.notDeepEqual(alert.dispatch, { responder: 'mallory' });
+  });
+
+  test('a retried SOS with the same idempotency key returns the original alert over socket and HTTP', async () => {
+    const socket = await server.connect('cleo', 'mobile');
+    let first;
+    try {
+      first = await socket.emitWithAck('sos', { lat: 1, lng: 1, idempotencyKey: 'press-1' });
+      assert.equal(first.success, true);
+      assert.equal(first.duplicate, false);
+      assert.equal(first.status, 'open');
+      assert.ok(first.receivedAt);
+
+      const retried = await socket.emitWithAck('sos', { lat: 1, lng: 1, idempotencyKey: 'press-1' });
+      assert.equal(retried.alertId, first.alertId);
+      assert.equal(retried.duplicate, true);
+
+      const [bodyStatus, viaBody] = await server.request('POST', '/api/sos', { lat: 1, lng: 1, idempotencyKey: 'press-1' }, { sub: 'cleo', role: 'mobile' });
+      assert.equal(bodyStatus, 200);
+      assert.equal(viaBody.alertId, first.alertId);
+
+      const response = await fetch(`${server.url}/api/sos`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'idempotency-key': 'press-1', authorization: `Bearer ${tokenFor('cleo', 'mobile')}` },
+        body: JSON.stringify({ lat: 1, lng: 1 })
+      });
+      assert.equal(response.status, 200);
+      const viaHeader = await response.json();
+      assert.equal(viaHeader.alertId, first.alertId);
+      assert.equal(viaHeader.duplicate, true);
+    } finally {
+      socket.close();
+    }
+
+    const [, body] = await server.request('GET', '/api/alerts?user=cleo');
+    assert.deepEqual(body.alerts.map(a => a.id), [first.alertId]);
+    assert.equal(body.alerts[0].pressCount, 1);
+  });
+});
@@ -0,0 +1,66 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGeofenceIndex } = require('../lib/spatial');
+const { startServer } = require('./helpers/server');
+
+const ids = (list) => list.map(g => g.id).sort();
+
+describe('geofence index', () => {
+  test('zones next to the antimeridian are candidates on both sides of it', () => {
+    const index = createGeofenceIndex();
+    index.rebuild([
+      { id: 'east', shapeType: 'circle', center: { lat: 10, lng: 179.999 }, radius: 2000 },
+      { id: 'west', shapeType: 'polygon', points: [{ lat: 9, lng: -179.999 }, { lat: 9, lng: -179.5 }, { lat: 11, lng: -179.5 }] }
+    ]);
+
+    assert.deepEqual(ids(index.candidatesAt({ lat: 10, lng: -179.995 })), ['east', 'west']);
+    assert.deepEqual(ids(index.candidatesAt({ lat: 10, lng: 179.995 })), ['east']);
+    assert.deepEqual(ids(index.candidatesIn([179.9, 9.5, 180, 10.5])), ['east']);
+    assert.deepEqual(ids(index.candidatesAt({ lat: 10, lng: 0 })), []);
+  });
+
+  test('a box crossing the antimeridian matches zones on both sides of it', () => {
+    const index = createGeofenceIndex();
+    index.rebuild([
+      { id: 'east', shapeType: 'circle', center: { lat: 0, lng: 175 }, radius: 1000 },
+      { id: 'west', shapeType: 'circle', center: { lat: 0, lng: -175 }, radius: 1000 },
+      { id: 'greenwich', shapeType: 'circle', center: { lat: 0, lng: 0 }, radius: 1000 }
+    ]);
+
+    assert.deepEqual(ids(index.candidatesIn([170, -10, -170, 10])), ['east', 'west']);
+    assert.deepEqual(ids(index.candidatesIn([178, -10, -178, 10])), []);
+  });
+
+  test('removed zones are no longer candidates', () => {
+    const index = createGeofenceIndex();
+    index.set({ id: 'yard', shapeType: 'circle', center: { lat: 0, lng: 0 }, radius: 100 });
+    assert.equal(index.candidatesAt({ lat: 0, lng: 0 }).length, 1);
+
+    index.remove('yard');
+    assert.equal(index.candidatesAt({ lat: 0, lng: 0 }).length, 0);
+    assert.equal(index.size, 0);
+  });
+});
+
+describe('GET /api/geofences/containing', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    for (const [id, lng] of [['east', 175], ['west', -175], ['greenwich', 0]]) {
+      const [status] = await server.request('POST', '/api/geofences', { id, name: id, center: { lat: 0, lng }, radius: 1000 });
+      assert.equal(status, 201);
+    }
+  });
+
+  after(() => server.close());
+
+  test('a bbox with minLng above maxLng is read as crossing the antimeridian', async () => {
+    const [status, body] = await server.request('GET', '/api/geofences/containing?bbox=170,-10,-170,10');
+    assert.equal(status, 200);
+    assert.deepEqual(ids(body.geofences), ['east', 'west']);
+
+    const [badStatus] = await server.request('GET', '/api/geofences/containing?bbox=170,10,-170,-10');
+    assert.equal(badStatus, 400);
+  });
+});
@@ -0,0 +1,31 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerBackend, createStorage } = require('../lib/storage');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('storage', () => {
+  test('a failed debounced write is retried with backoff until it succeeds', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const attempts = [];
+    let written = null;
+    registerBackend('flaky', () => ({
+      readAll: () => ({}),
+      writeAll: (state) => {
+        attempts.push(Date.now());
+        if (attempts.length < 3) throw new Error('disk full');
+        written = structuredClone(state);
+      }
+    }));
+
+    const storage = createStorage({ backend: 'flaky', flushDelay: 10, maxFlushDelay: 40 });
+    storage.setEntry('groups', 'crew', { id: 'crew' });
+
+    for (let i = 0; i < 50 && !written; i += 1) await sleep(10);
+
+    assert.equal(attempts.length, 3);
+    assert.deepEqual(written, { groups: { crew: { id: 'crew' } } });
+    assert.ok(attempts[2] - attempts[1] >= 30); // 10ms doubled twice
+    assert.equal(storage.flush(), false);
+  });
+});
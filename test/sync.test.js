@@ -0,0 +1,43 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const zone = (id) => ({ id, name: id, center: { lat: 0, lng: 0 }, radius: 100 });
+
+describe('geofence delta sync', () => {
+  let server;
+  let socket;
+
+  before(async () => {
+    server = await startServer();
+    socket = await server.connect('ann', 'mobile');
+  });
+
+  after(async () => {
+    socket.close();
+    await server.close();
+  });
+
+  const ids = (list) => list.map(g => g.id).sort();
+
+  test('syncGeofences returns only what changed since a revision', async () => {
+    for (const id of ['a', 'b', 'c']) await server.request('POST', '/api/geofences', zone(id));
+    const { revision: known } = await socket.emitWithAck('syncGeofences', {});
+
+    await server.request('PATCH', '/api/geofences/b', { name: 'B' });
+    await server.request('DELETE', '/api/geofences/c');
+    await server.request('POST', '/api/geofences', zone('d'));
+
+    const delta = await socket.emitWithAck('syncGeofences', { sinceRevision: known });
+    assert.equal(delta.success, true);
+    assert.ok(!delta.full);
+    assert.deepEqual(ids(delta.created), ['d']);
+    assert.deepEqual(delta.updated.map(g => [g.id, g.name]), [['b', 'B']]);
+    assert.deepEqual(delta.deleted, ['c']);
+    assert.ok(delta.revision > known);
+
+    const current = await socket.emitWithAck('syncGeofences', { sinceRevision: delta.revision });
+    assert.equal(current.revision, delta.revision);
+    assert.deepEqual([current.created, current.updated, current.deleted], [[], [], []]);
+  });
+});
@@ -0,0 +1,56 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('live tracking', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  const report = (user, lat, lng) => server.request('POST', '/api/location', { lat, lng }, { sub: user, role: 'mobile' });
+  const track = async (user) => {
+    const [status, body] = await server.request('GET', `/api/users/${user}/track`);
+    assert.equal(status, 200);
+    return body;
+  };
+
+  test('an SOS starts tracking and the trail keeps the reported points in order', async () => {
+    const [status, receipt] = await server.request('POST', '/api/sos', { lat: 1, lng: 1 }, { sub: 'ann', role: 'mobile' });
+    assert.equal(status, 201);
+
+    const [, tracking] = await server.request('GET', '/api/tracking');
+    const session = tracking.sessions.find(s => s.user === 'ann');
+    assert.equal(session.reason, 'sos');
+    assert.equal(session.alertId, receipt.alertId);
+
+    await report('ann', 1.001, 1);
+    await report('ann', 1.002, 1.001);
+
+    const trail = await track('ann');
+    assert.equal(trail.geometry.type, 'LineString');
+    assert.deepEqual(trail.geometry.coordinates, [[1, 1], [1, 1.001], [1.001, 1.002]]);
+    assert.equal(trail.properties.pointCount, 3);
+  });
+
+  test('positions are only recorded while a session is running', async () => {
+    await report('bob', 2, 2);
+    assert.deepEqual((await track('bob')).geometry.coordinates, []);
+
+    const [startStatus] = await server.request('POST', '/api/users/bob/track/start', {});
+    assert.equal(startStatus, 201);
+    await report('bob', 2.001, 2);
+
+    const [stopStatus, stopped] = await server.request('POST', '/api/users/bob/track/stop', {});
+    assert.equal(stopStatus, 200);
+    assert.equal(stopped.session.user, 'bob');
+    await report('bob', 2.002, 2);
+
+    assert.deepEqual((await track('bob')).geometry.coordinates, [[2, 2.001]]);
+    const [againStatus] = await server.request('POST', '/api/users/bob/track/stop', {});
+    assert.equal(againStatus, 404);
+  });
+});
@@ -0,0 +1,48 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('client-reported violations', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  test('only device fields are stored and the record is marked as reported by the client', async () => {
+    const socket = await server.connect('rita', 'responder');
+    try {
+      socket.emit('geofenceViolation', {
+        user: 'ann',
+        action: 'dwell',
+        rule: 'dwell',
+        geofenceId: 'yard',
+        priority: 'bogus',
+        source: 'server',
+        receivedAt: '2000-01-01T00:00:00Z',
+        injected: true
+      });
+      socket.emit('geofenceViolation', { user: 'ann', action: 'exited', priority: 'high' });
+      await socket.emitWithAck('getGeofences', {});
+    } finally {
+      socket.close();
+    }
+
+    const [status, body] = await server.request('GET', '/api/violations?sort=time&order=asc');
+    assert.equal(status, 200);
+    const [first, second] = body.violations;
+
+    assert.equal(first.action, 'entered');
+    assert.equal(first.source, 'client');
+    assert.equal(first.priority, 'medium');
+    assert.equal(first.geofenceId, 'yard');
+    assert.equal(first.rule, undefined);
+    assert.equal(first.injected, undefined);
+    assert.notEqual(first.receivedAt, '2000-01-01T00:00:00Z');
+    assert.match(first.id, /^[0-9a-f-]{36}$/);
+    assert.equal(second.action, 'exited');
+    assert.equal(second.priority, 'high');
+  });
+});
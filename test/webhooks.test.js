@@ -0,0 +1,34 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { createWebhookDispatcher } = require('../lib/webhooks');
+
+describe('webhook relay', () => {
+  test('a dead letter retried on another node is queued by the delivering node only', () => {
+    const storage = createStorage({ backend: 'memory', readOnly: true });
+    storage.set('webhooks', [{ id: 'hook', url: 'http://example.test', events: ['*'], active: true, secret: 's' }]);
+    storage.set('webhookDeadLetters', [{ id: 'd1', webhookId: 'hook', attempts: 6, deadLetteredAt: '2026-01-01T00:00:00Z' }]);
+
+    const fetchImpl = () => new Promise(() => {});
+    const leader = createWebhookDispatcher({ storage, fetchImpl });
+    const follower = createWebhookDispatcher({
+      storage,
+      fetchImpl,
+      relay: (action, ...args) => leader.receiveRelayed(action, args)
+    });
+
+    try {
+      const requeued = follower.retryDeadLetter('d1');
+      assert.equal(requeued.id, 'd1');
+      assert.equal(requeued.attempts, 0);
+
+      assert.deepEqual(follower.getPending(), []);
+      assert.deepEqual(leader.getPending().map(d => d.id), ['d1']);
+      assert.deepEqual(leader.getDeadLetters(), []);
+      assert.equal(follower.retryDeadLetter('missing'), null);
+    } finally {
+      leader.stop();
+      follower.stop();
+    }
+  });
+});